@@ -24,6 +24,7 @@ module.exports = [
                 clearTimeout: 'readonly',
                 setInterval: 'readonly',
                 clearInterval: 'readonly',
+                AbortController: 'readonly',
                 // Browser globals for frontend
                 window: 'readonly',
                 document: 'readonly',
@@ -1,8 +1,10 @@
 const ffmpeg = require('fluent-ffmpeg');
+const archiver = require('archiver');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { RECORDING, MULTITRACK, AUDIO_OUTPUT, MASTERING } = require('../constants');
 
 class AudioProcessor {
     constructor() {
@@ -12,7 +14,41 @@ class AudioProcessor {
         }
     }
 
-    async processRecording(tempDir, outputFile, cleanupTempFiles = true) {
+    /**
+     * Work out the encoder settings for a mixed recording
+     * @param {object} choice - Format and preset picked for a recording or guild, if any
+     * @param {string} choice.format - Key of AUDIO_OUTPUT.FORMATS
+     * @param {string} choice.preset - Key of AUDIO_OUTPUT.PRESETS
+     * @param {boolean} choice.mastering - Whether to run the mastering stage
+     * @returns {object} - Profile with format, preset, mastering, extension, codec, contentType and bitrate or sampleRate
+     */
+    resolveOutputProfile({ format, preset, mastering } = {}) {
+        const formatKey = [format, config.audio.format].find(key => AUDIO_OUTPUT.FORMATS[key]) || AUDIO_OUTPUT.DEFAULT_FORMAT;
+        const presetKey = [preset, config.audio.preset].find(key => AUDIO_OUTPUT.PRESETS[key]) || AUDIO_OUTPUT.DEFAULT_PRESET;
+        const formatInfo = AUDIO_OUTPUT.FORMATS[formatKey];
+        const presetInfo = AUDIO_OUTPUT.PRESETS[presetKey];
+
+        const profile = {
+            format: formatKey,
+            preset: presetKey,
+            mastering: typeof mastering === 'boolean' ? mastering : config.audio.mastering,
+            label: formatInfo.label,
+            extension: formatInfo.extension,
+            codec: formatInfo.codec,
+            contentType: formatInfo.contentType
+        };
+
+        if (formatInfo.lossless) {
+            profile.sampleRate = presetInfo.sampleRate;
+        } else {
+            // AUDIO_QUALITY predates presets and still applies when nobody picked one
+            profile.bitrate = (!preset && config.audio.quality) || presetInfo.bitrates[formatKey];
+        }
+
+        return profile;
+    }
+
+    async processRecording(tempDir, outputFile, cleanupTempFiles = true, outputProfile = this.resolveOutputProfile()) {
         if (!fs.existsSync(tempDir)) {
             throw new Error(`Temp directory not found: ${tempDir}`);
         }
@@ -20,9 +56,7 @@ class AudioProcessor {
         logger.info(`Processing recording segments from: ${tempDir} -> ${outputFile}`);
 
         // Get all user PCM files
-        const userFiles = fs.readdirSync(tempDir)
-            .filter(file => file.endsWith('.pcm'))
-            .map(file => path.join(tempDir, file));
+        const userFiles = this.getUserTrackFiles(tempDir);
 
         if (userFiles.length === 0) {
             throw new Error('No audio segments found - no one spoke during recording');
@@ -54,17 +88,21 @@ class AudioProcessor {
             });
 
             // Mix all inputs together
-            const filterComplex = validFiles.length > 1
-                ? `amix=inputs=${validFiles.length}:duration=longest:dropout_transition=0`
-                : null;
+            const filterComplex = this.buildMixFilter(validFiles.length, outputProfile.mastering);
 
             if (filterComplex) {
                 ffmpegCommand.complexFilter(filterComplex);
             }
 
+            ffmpegCommand.audioCodec(outputProfile.codec);
+            if (outputProfile.bitrate) {
+                ffmpegCommand.audioBitrate(outputProfile.bitrate);
+            }
+            if (outputProfile.sampleRate) {
+                ffmpegCommand.audioFrequency(outputProfile.sampleRate);
+            }
+
             ffmpegCommand
-                .audioCodec('libmp3lame')
-                .audioBitrate(config.audio.quality)
                 .on('start', (_commandLine) => {
                     logger.debug('FFmpeg processing started');
                 })
@@ -96,6 +134,232 @@ class AudioProcessor {
         });
     }
 
+    buildMixFilter(inputCount, mastering) {
+        if (!mastering) {
+            return inputCount > 1
+                ? `amix=inputs=${inputCount}:duration=longest:dropout_transition=0`
+                : null;
+        }
+
+        // Level each speaker on their own track so quiet voices are brought up before mixing
+        const filters = [];
+        const speakerLabels = [];
+        for (let i = 0; i < inputCount; i++) {
+            filters.push(`[${i}:a]${MASTERING.SPEAKER_FILTER}[speaker${i}]`);
+            speakerLabels.push(`[speaker${i}]`);
+        }
+
+        // The tracks are already levelled, so sum them rather than letting amix scale each one down
+        const mix = inputCount > 1
+            ? `${speakerLabels.join('')}amix=inputs=${inputCount}:duration=longest:dropout_transition=0:normalize=0`
+            : '[speaker0]anull';
+        filters.push(`${mix},${MASTERING.BUS_FILTER}`);
+
+        return filters.join(';');
+    }
+
+    /**
+     * Measure the loudness of a finished file (EBU R128, via an analysis-only loudnorm pass)
+     * @param {string} file - Audio file to measure
+     * @returns {Promise<{integratedLufs: number, truePeakDbtp: number, loudnessRangeLu: number}>}
+     */
+    measureLoudness(file) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(file)
+                .audioFilters('loudnorm=print_format=json')
+                .format('null')
+                .on('end', (_stdout, stderr) => {
+                    const match = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+                    if (!match) {
+                        reject(new Error('Loudness measurement produced no result'));
+                        return;
+                    }
+
+                    const stats = JSON.parse(match[0]);
+                    resolve({
+                        integratedLufs: parseFloat(stats.input_i),
+                        truePeakDbtp: parseFloat(stats.input_tp),
+                        loudnessRangeLu: parseFloat(stats.input_lra)
+                    });
+                })
+                .on('error', (err) => {
+                    logger.error(`Failed to measure loudness of ${file}:`, err);
+                    reject(new Error(`Loudness measurement failed: ${err.message}`));
+                })
+                .save('-');
+        });
+    }
+
+    // The continuous, time-aligned per-user tracks (speech segment files are excluded)
+    getUserTrackFiles(tempDir) {
+        return fs.readdirSync(tempDir)
+            .filter(file => file.startsWith(RECORDING.USER_TRACK_PREFIX) && file.endsWith('.pcm'))
+            .map(file => path.join(tempDir, file));
+    }
+
+    /**
+     * Encode each participant's track separately and package them as a zip.
+     * Tracks are padded to the full recording length so they line up in an editor.
+     * @param {string} tempDir - Session temp directory containing user PCM files
+     * @param {string} archiveFile - Path of the zip to create
+     * @param {string} format - Key of MULTITRACK.FORMATS
+     * @param {number} durationMs - Length of the recording
+     * @returns {Promise<{archiveFile: string, fileSize: number, trackCount: number, format: string}>}
+     */
+    async exportTracks(tempDir, archiveFile, format, durationMs) {
+        const formatInfo = MULTITRACK.FORMATS[format];
+        if (!formatInfo) {
+            throw new Error(`Unsupported track format: ${format}`);
+        }
+
+        const userFiles = this.getUserTrackFiles(tempDir)
+            .filter(file => fs.statSync(file).size > 0);
+        if (userFiles.length === 0) {
+            throw new Error('No participant audio to export');
+        }
+
+        const tracksDir = path.join(tempDir, MULTITRACK.TRACKS_DIRNAME);
+        fs.mkdirSync(tracksDir, { recursive: true });
+
+        try {
+            const trackFiles = [];
+            // One at a time - each encode already keeps a core busy
+            for (const userFile of userFiles) {
+                const trackFile = path.join(tracksDir, `${this.getTrackName(userFile)}.${formatInfo.extension}`);
+                await this.encodeTrack(userFile, trackFile, formatInfo, durationMs);
+                trackFiles.push(trackFile);
+            }
+
+            await this.createZipArchive(trackFiles, archiveFile);
+            const fileSize = fs.statSync(archiveFile).size;
+
+            logger.info(`Exported ${trackFiles.length} ${formatInfo.label} track(s) to ${archiveFile}`);
+            return {
+                archiveFile,
+                fileSize,
+                trackCount: trackFiles.length,
+                format
+            };
+        } finally {
+            fs.rmSync(tracksDir, { recursive: true, force: true });
+        }
+    }
+
+    // user_<id>_<username>.pcm -> <username>
+    getTrackName(userFile) {
+        const baseName = path.basename(userFile, '.pcm')
+            .replace(new RegExp(`^${RECORDING.USER_TRACK_PREFIX}\\d+_`), '');
+        return baseName.replace(/[^\w.-]/g, '_') || 'speaker';
+    }
+
+    encodeTrack(inputFile, outputFile, formatInfo, durationMs) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputFile)
+                .inputFormat('s16le')
+                .inputOptions([
+                    '-ac', '2',
+                    '-ar', '48000'
+                ])
+                .audioFilters(`apad=whole_dur=${(durationMs / 1000).toFixed(3)}`)
+                .audioCodec(formatInfo.codec);
+
+            if (formatInfo.bitrate) {
+                command.audioBitrate(formatInfo.bitrate);
+            }
+
+            command
+                .on('end', () => resolve(outputFile))
+                .on('error', (err) => {
+                    logger.error(`Failed to encode track ${inputFile}:`, err);
+                    reject(new Error(`Track encoding failed: ${err.message}`));
+                })
+                .save(outputFile);
+        });
+    }
+
+    createZipArchive(files, archiveFile) {
+        return new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(archiveFile);
+            // Store only: FLAC and Opus are already compressed, and deflating long WAVs ties up the CPU
+            const archive = archiver('zip', { store: true });
+
+            output.on('close', resolve);
+            archive.on('error', reject);
+
+            archive.pipe(output);
+            files.forEach(file => archive.file(file, { name: path.basename(file) }));
+            archive.finalize();
+        });
+    }
+
+    /**
+     * Write tags and chapter markers into a finished recording without re-encoding.
+     * ffmpeg maps them per container: ID3v2 text and CHAP frames for MP3, Vorbis
+     * comments for Ogg and FLAC, iTunes atoms and a chapter track for M4A, and
+     * INFO tags (no chapters) for WAV.
+     * @param {string} audioFile - Recording to tag in place
+     * @param {object} tags - ffmpeg metadata keys (title, artist, album, date, comment, ...)
+     * @param {Array<{startMs: number, endMs: number, title: string}>} chapters - Chapter markers
+     * @returns {Promise<number>} - Size of the tagged file in bytes
+     */
+    async writeTags(audioFile, tags, chapters = []) {
+        const extension = path.extname(audioFile);
+        const metadataFile = `${audioFile}.ffmetadata`;
+        const taggedFile = `${audioFile.slice(0, -extension.length)}.tagged${extension}`;
+
+        fs.writeFileSync(metadataFile, this.buildFFMetadata(tags, chapters));
+
+        try {
+            await new Promise((resolve, reject) => {
+                ffmpeg(audioFile)
+                    .input(metadataFile)
+                    .inputFormat('ffmetadata')
+                    .outputOptions([
+                        '-map', '0:a',
+                        '-map_metadata', '1',
+                        '-map_chapters', '1',
+                        '-c', 'copy',
+                        '-id3v2_version', '4'
+                    ])
+                    .on('end', resolve)
+                    .on('error', (err) => {
+                        logger.error(`Failed to tag ${audioFile}:`, err);
+                        reject(new Error(`Tagging failed: ${err.message}`));
+                    })
+                    .save(taggedFile);
+            });
+
+            fs.renameSync(taggedFile, audioFile);
+            logger.info(`Tagged ${audioFile} with ${chapters.length} chapter(s)`);
+            return fs.statSync(audioFile).size;
+        } finally {
+            fs.rmSync(metadataFile, { force: true });
+            fs.rmSync(taggedFile, { force: true });
+        }
+    }
+
+    buildFFMetadata(tags, chapters) {
+        // ffmetadata needs =, ;, #, \ and newlines backslash-escaped
+        const escape = (value) => String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+        const lines = [';FFMETADATA1'];
+
+        Object.entries(tags)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .forEach(([key, value]) => lines.push(`${key}=${escape(value)}`));
+
+        chapters.forEach(chapter => {
+            lines.push(
+                '[CHAPTER]',
+                'TIMEBASE=1/1000',
+                `START=${Math.round(chapter.startMs)}`,
+                `END=${Math.round(chapter.endMs)}`,
+                `title=${escape(chapter.title)}`
+            );
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
     async validateFFmpeg() {
         return new Promise((resolve, reject) => {
             ffmpeg.getAvailableFormats((err, formats) => {
@@ -116,7 +380,7 @@ class AudioProcessor {
 
         // Create a test PCM file with silence
         const testInput = path.join(config.paths.temp, `test_${durationMinutes}min.pcm`);
-        const testOutput = path.join(config.paths.recordings, `test_${durationMinutes}min.mp3`);
+        const testOutput = path.join(config.paths.recordings, `test_${durationMinutes}min.${this.resolveOutputProfile().extension}`);
 
         try {
             // Generate test PCM data (silence)
@@ -0,0 +1,92 @@
+const { Transform, Writable } = require('stream');
+const fs = require('fs');
+const { RECORDING } = require('../constants');
+
+/**
+ * Passes Opus packets through only while the recording session is not paused.
+ * Receive streams are in object mode (one packet per chunk), so the gate is too.
+ */
+class PauseGate extends Transform {
+    constructor(recordingSession) {
+        super({ objectMode: true });
+        this.recordingSession = recordingSession;
+    }
+
+    _transform(packet, _encoding, callback) {
+        if (this.recordingSession.paused) {
+            callback();
+            return;
+        }
+        callback(null, packet);
+    }
+}
+
+/**
+ * Writes decoded PCM at the byte offset matching its wall-clock position in the
+ * recording, so silence, pauses and late joins become gaps instead of being
+ * squashed out of the timeline. Gaps are left as holes in the file, which read
+ * back as zeros (silence) without buffering them in memory.
+ */
+class TimelineAlignedWriter extends Writable {
+    constructor(filePath, startTime) {
+        super();
+        this.filePath = filePath;
+        this.startTime = startTime;
+        this.position = 0;
+        this.fd = null;
+    }
+
+    _construct(callback) {
+        // Re-subscribing a user (e.g. after a reconnect) continues their existing file
+        const exists = fs.existsSync(this.filePath);
+        fs.open(this.filePath, exists ? 'r+' : 'w', (err, fd) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this.fd = fd;
+            this.position = exists ? fs.fstatSync(fd).size : 0;
+            callback();
+        });
+    }
+
+    _write(chunk, _encoding, callback) {
+        const elapsedMs = Date.now() - this.startTime;
+        const bytesPerFrame = RECORDING.OPUS_CHANNELS * 2;
+        const expectedPosition = Math.floor(elapsedMs * RECORDING.PCM_BYTES_PER_MS / bytesPerFrame) * bytesPerFrame;
+        const toleranceBytes = RECORDING.TIMELINE_GAP_TOLERANCE_MS * RECORDING.PCM_BYTES_PER_MS;
+
+        // Only jump forward on a real gap; small jitter keeps audio contiguous
+        if (expectedPosition - this.position > toleranceBytes) {
+            this.position = expectedPosition;
+        }
+
+        const writePosition = this.position;
+        this.position += chunk.length;
+
+        fs.write(this.fd, chunk, 0, chunk.length, writePosition, (err) => callback(err));
+    }
+
+    _final(callback) {
+        this.closeFile(callback);
+    }
+
+    _destroy(err, callback) {
+        this.closeFile(() => callback(err));
+    }
+
+    closeFile(callback) {
+        if (this.fd === null) {
+            callback();
+            return;
+        }
+        const fd = this.fd;
+        this.fd = null;
+        fs.close(fd, (err) => callback(err));
+    }
+}
+
+module.exports = {
+    PauseGate,
+    TimelineAlignedWriter
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const logger = require('../utils/logger');
+const { SPEECH_PREPROCESSING, ERROR_MESSAGES } = require('../constants');
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Cleans up a segment before transcription: high-pass and denoise with ffmpeg,
+ * then run an energy VAD over the whole segment to decide whether it holds
+ * speech at all and trim the silence before and after it.
+ */
+class SpeechPreprocessor {
+    /**
+     * @param {string} wavFile - 16kHz mono 16-bit WAV from convertPcmToWav
+     * @returns {Promise<object>} - { file, hasSpeech, durationMs, speechMs, offsetMs, trimmedRegions }
+     *   where offsetMs is where the returned file starts within the segment and
+     *   trimmedRegions lists { reason, startMs, endMs } relative to the segment start
+     */
+    async preprocess(wavFile) {
+        const cleanFile = wavFile.replace(/\.wav$/, '_clean.wav');
+        await this.filterAudio(wavFile, cleanFile);
+
+        const { sampleRate, samples } = this.readWav(cleanFile);
+        const durationMs = Math.round(samples.length / sampleRate * 1000);
+        const speechRegions = this.detectSpeechRegions(samples, sampleRate);
+        const speechMs = speechRegions.reduce((sum, region) => sum + region.endMs - region.startMs, 0);
+
+        if (speechMs < SPEECH_PREPROCESSING.MIN_SPEECH_MS) {
+            logger.debug(`No speech found in ${wavFile} (${speechMs}ms above threshold)`);
+            return {
+                file: cleanFile,
+                hasSpeech: false,
+                durationMs,
+                speechMs,
+                offsetMs: 0,
+                trimmedRegions: [{ reason: 'no_speech', startMs: 0, endMs: durationMs }]
+            };
+        }
+
+        let keepStartMs = Math.max(0, speechRegions[0].startMs - SPEECH_PREPROCESSING.TRIM_PADDING_MS);
+        let keepEndMs = Math.min(durationMs, speechRegions[speechRegions.length - 1].endMs + SPEECH_PREPROCESSING.TRIM_PADDING_MS);
+        if (keepStartMs < SPEECH_PREPROCESSING.MIN_TRIM_MS) {
+            keepStartMs = 0;
+        }
+        if (durationMs - keepEndMs < SPEECH_PREPROCESSING.MIN_TRIM_MS) {
+            keepEndMs = durationMs;
+        }
+
+        const trimmedRegions = [];
+        if (keepStartMs > 0) {
+            trimmedRegions.push({ reason: 'leading_silence', startMs: 0, endMs: keepStartMs });
+        }
+        if (keepEndMs < durationMs) {
+            trimmedRegions.push({ reason: 'trailing_silence', startMs: keepEndMs, endMs: durationMs });
+        }
+
+        if (trimmedRegions.length > 0) {
+            const startSample = Math.floor(keepStartMs * sampleRate / 1000);
+            const endSample = Math.min(samples.length, Math.ceil(keepEndMs * sampleRate / 1000));
+            this.writeWav(cleanFile, sampleRate, samples.subarray(startSample, endSample));
+            logger.debug(`Trimmed ${keepStartMs}ms leading and ${durationMs - keepEndMs}ms trailing silence from ${wavFile}`);
+        }
+
+        return {
+            file: cleanFile,
+            hasSpeech: true,
+            durationMs,
+            speechMs,
+            offsetMs: keepStartMs,
+            trimmedRegions
+        };
+    }
+
+    filterAudio(inputFile, outputFile) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputFile)
+                .audioFilters([SPEECH_PREPROCESSING.HIGHPASS_FILTER, SPEECH_PREPROCESSING.DENOISE_FILTER])
+                .outputFormat('wav')
+                .audioCodec('pcm_s16le')
+                .audioChannels(1)
+                .on('end', () => resolve(outputFile))
+                .on('error', (err) => {
+                    logger.error(`FFmpeg error preprocessing ${inputFile}:`, err);
+                    reject(new Error(`${ERROR_MESSAGES.TRANSCRIPTION.CONVERSION_FAILED}: ${err.message}`));
+                })
+                .save(outputFile);
+        });
+    }
+
+    /**
+     * Find the stretches of a segment loud enough to be speech. The threshold
+     * follows the segment's own noise floor, so steady fan or keyboard noise
+     * that survived denoising does not count as speech.
+     * @param {Int16Array} samples - Mono samples
+     * @param {number} sampleRate - Samples per second
+     * @returns {Array<{startMs: number, endMs: number}>}
+     */
+    detectSpeechRegions(samples, sampleRate) {
+        const frameSize = this.getFrameSize(sampleRate);
+        const frameLevels = this.measureFrameLevels(samples, frameSize);
+
+        if (frameLevels.length === 0) {
+            return [];
+        }
+
+        const sortedLevels = [...frameLevels].sort((a, b) => a - b);
+        const noiseFloor = sortedLevels[Math.floor((sortedLevels.length - 1) * SPEECH_PREPROCESSING.VAD_NOISE_FLOOR_PERCENTILE)];
+        const threshold = Math.min(
+            SPEECH_PREPROCESSING.VAD_MAX_THRESHOLD_DBFS,
+            Math.max(SPEECH_PREPROCESSING.VAD_MIN_THRESHOLD_DBFS, noiseFloor + SPEECH_PREPROCESSING.VAD_NOISE_MARGIN_DB)
+        );
+
+        const frameMs = frameSize / sampleRate * 1000;
+        const totalMs = samples.length / sampleRate * 1000;
+        const regions = [];
+
+        frameLevels.forEach((level, index) => {
+            if (level < threshold) {
+                return;
+            }
+
+            const startMs = Math.round(index * frameMs);
+            const endMs = Math.round(Math.min(totalMs, (index + 1) * frameMs));
+            const previous = regions[regions.length - 1];
+
+            if (previous && startMs - previous.endMs <= SPEECH_PREPROCESSING.VAD_HANGOVER_MS) {
+                previous.endMs = endMs;
+            } else {
+                regions.push({ startMs, endMs });
+            }
+        });
+
+        logger.debug(`VAD: noise floor ${noiseFloor.toFixed(1)} dBFS, threshold ${threshold.toFixed(1)} dBFS, ${regions.length} speech regions`);
+        return regions;
+    }
+
+    /**
+     * Split a WAV that is too big to send in one request into overlapping chunks.
+     * Each cut goes at the quietest frame shortly before the size limit, so words
+     * are rarely cut in half, and each chunk runs on past its cut by
+     * SPLIT_OVERLAP_MS so anything straddling the cut is heard in full by one side.
+     * @param {string} wavFile - 16-bit mono WAV to split
+     * @param {number} maxChunkBytes - Largest file a chunk may produce
+     * @returns {Array<{file: string, startMs: number, endMs: number}>} - Chunk WAVs with their place in the input
+     */
+    splitIntoChunks(wavFile, maxChunkBytes) {
+        const { sampleRate, samples } = this.readWav(wavFile);
+        const msToSamples = (ms) => Math.round(ms * sampleRate / 1000);
+        const samplesToMs = (count) => Math.round(count / sampleRate * 1000);
+        const maxChunkSamples = Math.floor((maxChunkBytes - WAV_HEADER_SIZE) / 2);
+        const overlapSamples = Math.min(msToSamples(SPEECH_PREPROCESSING.SPLIT_OVERLAP_MS), Math.floor(maxChunkSamples / 4));
+        const searchSamples = Math.min(msToSamples(SPEECH_PREPROCESSING.SPLIT_SEARCH_WINDOW_MS), Math.floor(maxChunkSamples / 2));
+        const frameSize = this.getFrameSize(sampleRate);
+
+        const chunks = [];
+        let start = 0;
+
+        while (start < samples.length) {
+            let cut = samples.length;
+            let end = samples.length;
+
+            if (samples.length - start > maxChunkSamples) {
+                // Quietest frame in the window that still leaves room for the overlap
+                const windowEnd = start + maxChunkSamples - overlapSamples;
+                const windowStart = Math.max(start + frameSize, windowEnd - searchSamples);
+                const levels = this.measureFrameLevels(samples.subarray(windowStart, windowEnd), frameSize);
+                const quietest = levels.reduce((best, level, index) => level < levels[best] ? index : best, 0);
+
+                cut = windowStart + quietest * frameSize + Math.floor(frameSize / 2);
+                end = cut + overlapSamples;
+            }
+
+            const file = wavFile.replace(/\.wav$/, `_chunk${chunks.length}.wav`);
+            this.writeWav(file, sampleRate, samples.subarray(start, end));
+            chunks.push({ file, startMs: samplesToMs(start), endMs: samplesToMs(end) });
+
+            start = cut;
+        }
+
+        logger.debug(`Split ${wavFile} into ${chunks.length} chunks`);
+        return chunks;
+    }
+
+    getFrameSize(sampleRate) {
+        return Math.max(1, Math.round(sampleRate * SPEECH_PREPROCESSING.VAD_FRAME_MS / 1000));
+    }
+
+    // RMS level of each frame in dBFS
+    measureFrameLevels(samples, frameSize) {
+        const frameLevels = [];
+
+        for (let offset = 0; offset < samples.length; offset += frameSize) {
+            const end = Math.min(samples.length, offset + frameSize);
+            let sumSquares = 0;
+            for (let i = offset; i < end; i++) {
+                const sample = samples[i] / 32768;
+                sumSquares += sample * sample;
+            }
+            const rms = Math.sqrt(sumSquares / (end - offset));
+            frameLevels.push(rms > 0 ? 20 * Math.log10(rms) : -Infinity);
+        }
+
+        return frameLevels;
+    }
+
+    /**
+     * Read a 16-bit mono WAV, walking its chunks since ffmpeg adds a LIST chunk before the data
+     * @param {string} wavFile - Path to the WAV
+     * @returns {{sampleRate: number, samples: Int16Array}}
+     */
+    readWav(wavFile) {
+        const buffer = fs.readFileSync(wavFile);
+        let sampleRate = null;
+        let offset = 12; // After RIFF, size and WAVE
+
+        while (offset + 8 <= buffer.length) {
+            const chunkId = buffer.toString('ascii', offset, offset + 4);
+            const chunkSize = buffer.readUInt32LE(offset + 4);
+            const chunkStart = offset + 8;
+
+            if (chunkId === 'fmt ') {
+                sampleRate = buffer.readUInt32LE(chunkStart + 4);
+            } else if (chunkId === 'data' && sampleRate) {
+                // Copy out so the samples are 2-byte aligned whatever the chunk offset
+                const data = Buffer.from(buffer.subarray(chunkStart, Math.min(buffer.length, chunkStart + chunkSize)));
+                return { sampleRate, samples: new Int16Array(data.buffer, data.byteOffset, Math.floor(data.length / 2)) };
+            }
+
+            offset = chunkStart + chunkSize + (chunkSize % 2); // Chunks are padded to even sizes
+        }
+
+        throw new Error(`${ERROR_MESSAGES.TRANSCRIPTION.CONVERSION_FAILED}: no audio data in ${wavFile}`);
+    }
+
+    writeWav(wavFile, sampleRate, samples) {
+        const dataSize = samples.length * 2;
+        const header = Buffer.alloc(WAV_HEADER_SIZE);
+
+        header.write('RIFF', 0);
+        header.writeUInt32LE(36 + dataSize, 4);
+        header.write('WAVE', 8);
+        header.write('fmt ', 12);
+        header.writeUInt32LE(16, 16); // fmt chunk size
+        header.writeUInt16LE(1, 20); // PCM
+        header.writeUInt16LE(1, 22); // Mono
+        header.writeUInt32LE(sampleRate, 24);
+        header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+        header.writeUInt16LE(2, 32); // Block align
+        header.writeUInt16LE(16, 34); // Bits per sample
+        header.write('data', 36);
+        header.writeUInt32LE(dataSize, 40);
+
+        fs.writeFileSync(wavFile, Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)]));
+    }
+}
+
+module.exports = new SpeechPreprocessor();
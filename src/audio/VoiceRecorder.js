@@ -1,14 +1,28 @@
-const { joinVoiceChannel, VoiceConnectionStatus, EndBehaviorType } = require('@discordjs/voice');
+const { joinVoiceChannel, entersState, VoiceConnectionStatus, EndBehaviorType } = require('@discordjs/voice');
 const { pipeline } = require('stream');
+const { EventEmitter } = require('events');
 const { opus } = require('prism-media');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const recordingJournal = require('../utils/RecordingJournal');
+const consentService = require('../services/ConsentService');
+const audioProcessor = require('./AudioProcessor');
+const { PauseGate, TimelineAlignedWriter } = require('./RecordingStreams');
 const { RECORDING, ERROR_MESSAGES, _SUCCESS_MESSAGES } = require('../constants');
 
-class VoiceRecorder {
+/**
+ * Records voice channels per guild.
+ *
+ * Emits `autoStop` ({ guildId, reason, textChannelId }) when a recording should be
+ * finalized without a /stop command; the listener is expected to call stopRecording.
+ * Emits `participantJoined` ({ guildId, userId, textChannelId }) when someone joins
+ * the channel mid-recording, so they can be told they are being recorded.
+ */
+class VoiceRecorder extends EventEmitter {
     constructor() {
+        super();
         this.activeRecordings = new Map();
         this.client = null;
         this.speakingHandlers = new Map(); // Track speaking event handlers per guild
@@ -18,7 +32,14 @@ class VoiceRecorder {
         this.client = client;
     }
 
-    async startRecording(interaction) {
+    /**
+     * Join the caller's voice channel and start recording it
+     * @param {object} interaction - The /join interaction
+     * @param {object} options - Optional settings
+     * @param {object} options.outputProfile - From audioProcessor.resolveOutputProfile; defaults to the bot-wide profile
+     * @param {string} options.multitrackFormat - Also export per-speaker tracks in this format
+     */
+    async startRecording(interaction, options = {}) {
         const guildId = interaction.guild.id;
 
         logger.info(`VoiceRecorder: Starting recording for guild ${guildId}`);
@@ -49,7 +70,9 @@ class VoiceRecorder {
             });
 
             const sessionId = `recording_${guildId}_${Date.now()}`;
+            const outputProfile = options.outputProfile || audioProcessor.resolveOutputProfile();
             const recordingSession = {
+                guildId,
                 connection,
                 startTime: Date.now(),
                 sessionId,
@@ -58,8 +81,19 @@ class VoiceRecorder {
                 speechSegments: [], // Array of speech segment metadata
                 currentSpeechSegments: new Map(), // Map of userId -> current active segment
                 segmentEndTimers: new Map(), // Map of userId -> timeout for delayed segment ending
+                paused: false,
+                pauses: [], // Array of { startTimestamp, endTimestamp, duration } pause windows
+                outages: [], // Same shape, for voice connection drops
+                reconnecting: false,
+                excludedUsers: new Set(), // userIds who opted out; their audio is discarded at stop
+                multitrackFormat: options.multitrackFormat || null, // Key of MULTITRACK.FORMATS, or null
+                voiceChannelId: voiceChannel.id,
+                textChannelId: interaction.channelId, // Where /join was issued, for auto-stop notices
+                autoStopTimers: {}, // emptyChannel / idle / maxDuration timeouts
+                stopping: false,
                 tempDir: path.join(config.paths.temp, sessionId),
-                outputFile: path.join(config.paths.recordings, `${sessionId}.mp3`)
+                outputProfile,
+                outputFile: path.join(config.paths.recordings, `${sessionId}.${outputProfile.extension}`)
             };
 
             // Add to activeRecordings early so we can clean up if there's an error
@@ -86,6 +120,7 @@ class VoiceRecorder {
             // Handle connection state changes
             connection.on(VoiceConnectionStatus.Disconnected, () => {
                 logger.warn(`Voice connection disconnected for guild ${guildId}`);
+                this.handleDisconnect(recordingSession, voiceChannel);
             });
 
             connection.on(VoiceConnectionStatus.Destroyed, () => {
@@ -94,7 +129,7 @@ class VoiceRecorder {
 
             // Track initial participants
             voiceChannel.members.forEach(member => {
-                if (!member.user.bot) {
+                if (!member.user.bot && !this.isUserExcluded(recordingSession, member.id)) {
                     recordingSession.participants.set(member.id, {
                         username: member.user.username,
                         displayName: member.displayName,
@@ -103,6 +138,8 @@ class VoiceRecorder {
                 }
             });
 
+            recordingJournal.write(recordingSession);
+
             // Handle users joining/leaving during recording
             if (this.client) {
                 const voiceStateHandler = (oldState, newState) => {
@@ -114,7 +151,7 @@ class VoiceRecorder {
                             const userId = newState.member.id;
                             const username = newState.member.user.username;
 
-                            if (!recordingSession.participants.has(userId)) {
+                            if (!recordingSession.participants.has(userId) && !this.isUserExcluded(recordingSession, userId)) {
                                 logger.info(`User ${username} joined recording`);
                                 recordingSession.participants.set(userId, {
                                     username: username,
@@ -124,6 +161,13 @@ class VoiceRecorder {
 
                                 // Set up recording for the new user
                                 this.setupUserStream(recordingSession, userId, username, voiceChannel);
+                                recordingJournal.write(recordingSession);
+
+                                this.emit('participantJoined', {
+                                    guildId,
+                                    userId,
+                                    textChannelId: recordingSession.textChannelId
+                                });
                             }
                         }
 
@@ -141,8 +185,13 @@ class VoiceRecorder {
                                 if (streamInfo && streamInfo.audioStream) {
                                     streamInfo.audioStream.destroy();
                                 }
+                                recordingJournal.write(recordingSession);
                             }
                         }
+
+                        if (oldState.channelId === voiceChannel.id || newState.channelId === voiceChannel.id) {
+                            this.checkChannelOccupancy(recordingSession, voiceChannel);
+                        }
                     }
                 };
 
@@ -150,6 +199,8 @@ class VoiceRecorder {
                 recordingSession.voiceStateHandler = voiceStateHandler; // Store for cleanup
             }
 
+            this.scheduleAutoStop(recordingSession, guildId);
+
             logger.info(`VoiceRecorder: Recording started successfully in guild ${guildId}`);
             logger.info(`VoiceRecorder: Active recordings after start: ${JSON.stringify(Array.from(this.activeRecordings.keys()))}`);
             return recordingSession;
@@ -185,11 +236,23 @@ class VoiceRecorder {
             throw new Error(ERROR_MESSAGES.RECORDING.NO_ACTIVE_RECORDING);
         }
 
+        if (recordingSession.stopping) {
+            throw new Error(ERROR_MESSAGES.RECORDING.ALREADY_STOPPING);
+        }
+        recordingSession.stopping = true;
+
         logger.info(`VoiceRecorder: Stopping recording in guild ${guildId}`);
 
         try {
+            this.clearAutoStopTimers(recordingSession);
+
             const { connection, userStreams, tempDir, outputFile } = recordingSession;
 
+            // Close a pause that is still open so it ends at the stop time
+            if (recordingSession.paused) {
+                this.closePause(recordingSession, Date.now());
+            }
+
             // Clean up any pending segment end timers
             if (recordingSession.segmentEndTimers) {
                 recordingSession.segmentEndTimers.forEach((timer, userId) => {
@@ -245,13 +308,21 @@ class VoiceRecorder {
             // Wait for all streams to finish with timeout
             await Promise.allSettled(streamCleanupPromises);
 
-            // Disconnect from voice channel
-            connection.destroy();
+            // Disconnect from voice channel (a failed reconnect may already have destroyed it)
+            if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
+                connection.destroy();
+            }
 
             // Additional wait to ensure all file writes are complete
             logger.info('Waiting for file writes to complete...');
             await new Promise(resolve => setTimeout(resolve, 2000));
 
+            // Drop everything captured from members who opted out during the session
+            const excludedUserIds = Array.from(recordingSession.excludedUsers);
+            this.discardExcludedAudio(tempDir, excludedUserIds);
+            const speechSegments = recordingSession.speechSegments
+                .filter(segment => !recordingSession.excludedUsers.has(segment.userId));
+
             // Check if any PCM files were actually created
             let filesCreated = 0;
             if (fs.existsSync(tempDir)) {
@@ -277,26 +348,443 @@ class VoiceRecorder {
             this.cleanupSpeakingEvents(guildId);
             this.cleanupVoiceStateHandler(recordingSession);
 
-            // Clean up session
+            // Clean up session; the journal stays until the recording has been processed
             this.activeRecordings.delete(guildId);
+            recordingJournal.write(recordingSession, 'stopped');
 
             logger.info(`Recording stopped for guild ${guildId}, duration: ${duration}ms, files created: ${filesCreated}`);
 
             return {
+                guildId,
+                voiceChannelId: recordingSession.voiceChannelId,
+                startTime: recordingSession.startTime,
                 tempDir,
                 outputFile,
                 duration,
                 participants: Array.from(recordingSession.participants.values()),
                 filesCreated,
-                speechSegments: recordingSession.speechSegments
+                speechSegments,
+                timelineGaps: this.getTimelineGaps(recordingSession),
+                outputProfile: recordingSession.outputProfile,
+                multitrackFormat: recordingSession.multitrackFormat
             };
 
         } catch (error) {
             logger.error('Failed to stop recording:', error);
+
+            // Let a later /stop or auto-stop try again instead of failing with ALREADY_STOPPING for good
+            recordingSession.stopping = false;
+            if (this.activeRecordings.get(guildId) === recordingSession) {
+                this.resetIdleTimer(recordingSession, guildId);
+            }
             throw error;
         }
     }
 
+    async pauseRecording(guildId) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        if (!recordingSession) {
+            throw new Error(ERROR_MESSAGES.RECORDING.NO_ACTIVE_RECORDING);
+        }
+        if (recordingSession.paused) {
+            throw new Error(ERROR_MESSAGES.RECORDING.ALREADY_PAUSED);
+        }
+
+        const timestamp = Date.now();
+        recordingSession.paused = true;
+        recordingSession.pauses.push({
+            startTimestamp: timestamp,
+            endTimestamp: null,
+            duration: null
+        });
+
+        // Close any open speech segments at the pause point instead of letting them span it
+        this.endOpenSpeechSegments(recordingSession, timestamp);
+
+        // Silence while off the record is expected, so don't count it as idle time
+        this.clearAutoStopTimer(recordingSession, 'idle');
+
+        recordingJournal.write(recordingSession);
+        logger.info(`Recording paused for guild ${guildId}`);
+        return recordingSession;
+    }
+
+    async resumeRecording(guildId) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        if (!recordingSession) {
+            throw new Error(ERROR_MESSAGES.RECORDING.NO_ACTIVE_RECORDING);
+        }
+        if (!recordingSession.paused) {
+            throw new Error(ERROR_MESSAGES.RECORDING.NOT_PAUSED);
+        }
+
+        const pause = this.closePause(recordingSession, Date.now());
+        this.resetIdleTimer(recordingSession, guildId);
+
+        recordingJournal.write(recordingSession);
+        logger.info(`Recording resumed for guild ${guildId} after ${pause.duration}ms`);
+        return pause;
+    }
+
+    endOpenSpeechSegments(recordingSession, timestamp) {
+        recordingSession.segmentEndTimers.forEach(timer => clearTimeout(timer));
+        recordingSession.segmentEndTimers.clear();
+        Array.from(recordingSession.currentSpeechSegments.keys()).forEach(userId => {
+            this.endSpeechSegment(recordingSession, userId, timestamp);
+        });
+    }
+
+    /**
+     * Try to re-establish a dropped voice connection without ending the session.
+     * The outage is recorded as a timeline gap; if every attempt fails the session
+     * is auto-stopped so whatever was captured still gets processed.
+     */
+    async handleDisconnect(recordingSession, voiceChannel) {
+        const { connection, guildId } = recordingSession;
+        if (recordingSession.stopping || recordingSession.reconnecting) {
+            return;
+        }
+
+        recordingSession.reconnecting = true;
+        const outage = {
+            startTimestamp: Date.now(),
+            endTimestamp: null,
+            duration: null
+        };
+        recordingSession.outages.push(outage);
+        this.endOpenSpeechSegments(recordingSession, outage.startTimestamp);
+        recordingJournal.write(recordingSession);
+
+        let reconnected = false;
+        try {
+            // Discord may already be moving us (e.g. region change); give it a moment
+            await Promise.race([
+                entersState(connection, VoiceConnectionStatus.Signalling, RECORDING.RECONNECT_SIGNAL_TIMEOUT_MS),
+                entersState(connection, VoiceConnectionStatus.Connecting, RECORDING.RECONNECT_SIGNAL_TIMEOUT_MS)
+            ]);
+            await entersState(connection, VoiceConnectionStatus.Ready, RECORDING.RECONNECT_READY_TIMEOUT_MS);
+            reconnected = true;
+        } catch (_error) {
+            reconnected = await this.rejoinWithBackoff(recordingSession);
+        }
+
+        outage.endTimestamp = Date.now();
+        outage.duration = outage.endTimestamp - outage.startTimestamp;
+        recordingSession.reconnecting = false;
+
+        if (recordingSession.stopping) {
+            return;
+        }
+
+        if (reconnected) {
+            logger.info(`Voice connection restored for guild ${guildId} after ${outage.duration}ms`);
+            this.resubscribeChannelMembers(recordingSession, voiceChannel);
+            recordingJournal.write(recordingSession);
+        } else {
+            logger.error(`Could not reconnect to voice for guild ${guildId}, finalizing recording`);
+            recordingJournal.write(recordingSession);
+            this.triggerAutoStop(guildId, RECORDING.AUTO_STOP_REASONS.DISCONNECTED);
+        }
+    }
+
+    async rejoinWithBackoff(recordingSession) {
+        const { connection, guildId } = recordingSession;
+
+        for (let attempt = 1; attempt <= RECORDING.RECONNECT_MAX_ATTEMPTS; attempt++) {
+            if (recordingSession.stopping || connection.state.status === VoiceConnectionStatus.Destroyed) {
+                return false;
+            }
+
+            const delay = Math.min(
+                RECORDING.RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1),
+                RECORDING.RECONNECT_MAX_DELAY_MS
+            );
+            logger.warn(`Voice reconnect attempt ${attempt}/${RECORDING.RECONNECT_MAX_ATTEMPTS} for guild ${guildId} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            try {
+                if (connection.state.status === VoiceConnectionStatus.Ready) {
+                    return true;
+                }
+                connection.rejoin();
+                await entersState(connection, VoiceConnectionStatus.Ready, RECORDING.RECONNECT_READY_TIMEOUT_MS);
+                return true;
+            } catch (error) {
+                logger.warn(`Voice reconnect attempt ${attempt} failed for guild ${guildId}: ${error.message}`);
+            }
+        }
+
+        return false;
+    }
+
+    // Make sure everyone in the channel has a live receive stream after a reconnect
+    resubscribeChannelMembers(recordingSession, voiceChannel) {
+        voiceChannel.members.forEach(member => {
+            if (member.user.bot || this.isUserExcluded(recordingSession, member.id)) {
+                return;
+            }
+
+            if (!recordingSession.participants.has(member.id)) {
+                recordingSession.participants.set(member.id, {
+                    username: member.user.username,
+                    displayName: member.displayName,
+                    joinTime: Date.now()
+                });
+            }
+
+            const streamInfo = recordingSession.userStreams.get(member.id);
+            const streamAlive = streamInfo && !streamInfo.streamEnded &&
+                !streamInfo.audioStream.destroyed && !streamInfo.writeStream.destroyed;
+            if (!streamAlive) {
+                logger.info(`Re-subscribing to ${member.user.username} after reconnect`);
+                this.setupUserStream(recordingSession, member.id, member.user.username, voiceChannel);
+            }
+        });
+    }
+
+    closePause(recordingSession, timestamp) {
+        const pause = recordingSession.pauses[recordingSession.pauses.length - 1];
+        pause.endTimestamp = timestamp;
+        pause.duration = timestamp - pause.startTimestamp;
+        recordingSession.paused = false;
+        return pause;
+    }
+
+    // Pauses and connection outages are exported as gap markers alongside the speech segments
+    getTimelineGaps(recordingSession) {
+        const toGap = (type) => (window) => ({
+            type,
+            segmentId: `${type}_${window.startTimestamp}`,
+            startTimestamp: window.startTimestamp,
+            endTimestamp: window.endTimestamp,
+            duration: window.duration
+        });
+
+        return [
+            ...recordingSession.pauses.map(toGap('pause')),
+            ...(recordingSession.outages || []).map(toGap('outage'))
+        ].sort((a, b) => a.startTimestamp - b.startTimestamp);
+    }
+
+    /**
+     * Rebuild a stopRecording-style result from the journal of a session that was
+     * interrupted by a crash, closing whatever was still open at that point.
+     * @param {object} journal - Journal read from the session temp directory
+     * @returns {object} - Same shape as the result of stopRecording
+     */
+    buildRecoveredResult(journal) {
+        const { tempDir } = journal;
+
+        // Honour opt-outs made during the session, and any made while the bot was down
+        const excludedUserIds = new Set([
+            ...(journal.excludedUsers || []),
+            ...journal.participants
+                .filter(participant => consentService.isOptedOut(journal.guildId, participant.userId))
+                .map(participant => participant.userId)
+        ]);
+        this.discardExcludedAudio(tempDir, Array.from(excludedUserIds));
+
+        const pcmFiles = fs.existsSync(tempDir)
+            ? fs.readdirSync(tempDir).filter(f => f.endsWith('.pcm')).map(f => path.join(tempDir, f))
+            : [];
+
+        // The last PCM write is the best estimate of when the process died
+        const lastWriteTime = pcmFiles.reduce(
+            (latest, file) => Math.max(latest, fs.statSync(file).mtimeMs),
+            journal.updatedAt
+        );
+
+        const recoveredSegments = journal.openSegments
+            .filter(segment => !excludedUserIds.has(segment.userId) && fs.existsSync(segment.filename))
+            .map(segment => {
+                const endTimestamp = Math.round(fs.statSync(segment.filename).mtimeMs);
+                return { ...segment, endTimestamp, duration: endTimestamp - segment.startTimestamp };
+            })
+            .filter(segment => segment.duration > RECORDING.MIN_SEGMENT_DURATION_MS);
+
+        const closeWindow = (window) => window.endTimestamp ? window : {
+            ...window,
+            endTimestamp: lastWriteTime,
+            duration: lastWriteTime - window.startTimestamp
+        };
+        const pauses = journal.pauses.map(closeWindow);
+        const outages = (journal.outages || []).map(closeWindow);
+
+        return {
+            guildId: journal.guildId,
+            voiceChannelId: journal.voiceChannelId,
+            startTime: journal.startTime,
+            tempDir,
+            outputFile: journal.outputFile,
+            duration: lastWriteTime - journal.startTime,
+            participants: journal.participants.filter(participant => !excludedUserIds.has(participant.userId)),
+            filesCreated: pcmFiles.length,
+            speechSegments: [...journal.speechSegments, ...recoveredSegments]
+                .filter(segment => !excludedUserIds.has(segment.userId))
+                .sort((a, b) => a.startTimestamp - b.startTimestamp),
+            timelineGaps: this.getTimelineGaps({ pauses, outages }),
+            // Journals written before output profiles existed always used MP3
+            outputProfile: journal.outputProfile || audioProcessor.resolveOutputProfile({ format: 'mp3' }),
+            multitrackFormat: journal.multitrackFormat || null
+        };
+    }
+
+    /**
+     * Whether a member's audio is being left out of a session. Members with a stored
+     * opt-out are added to the session's excluded set the first time they are seen.
+     */
+    isUserExcluded(recordingSession, userId) {
+        if (!recordingSession.excludedUsers.has(userId) && consentService.isOptedOut(recordingSession.guildId, userId)) {
+            recordingSession.excludedUsers.add(userId);
+        }
+        return recordingSession.excludedUsers.has(userId);
+    }
+
+    /**
+     * Stop capturing a member who opted out mid-recording. Audio they already
+     * contributed is discarded when the recording stops.
+     * @param {string} guildId - Guild with the active recording
+     * @param {string} userId - Member to exclude
+     * @returns {boolean} - Whether an active recording was affected
+     */
+    excludeUser(guildId, userId) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        if (!recordingSession || recordingSession.excludedUsers.has(userId)) {
+            return false;
+        }
+
+        recordingSession.excludedUsers.add(userId);
+
+        if (recordingSession.segmentEndTimers.has(userId)) {
+            clearTimeout(recordingSession.segmentEndTimers.get(userId));
+            recordingSession.segmentEndTimers.delete(userId);
+        }
+        this.endSpeechSegment(recordingSession, userId, Date.now());
+
+        const streamInfo = recordingSession.userStreams.get(userId);
+        if (streamInfo) {
+            streamInfo.streamEnded = true;
+            if (!streamInfo.audioStream.destroyed) {
+                streamInfo.audioStream.destroy();
+            }
+        }
+
+        recordingSession.participants.delete(userId);
+        recordingJournal.write(recordingSession);
+        logger.info(`Excluded user ${userId} from recording in guild ${guildId}`);
+        return true;
+    }
+
+    isUserExcludedFromRecording(guildId, userId) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        return Boolean(recordingSession && recordingSession.excludedUsers.has(userId));
+    }
+
+    // Delete the continuous track and speech segment files of excluded members
+    discardExcludedAudio(tempDir, excludedUserIds) {
+        if (excludedUserIds.length === 0 || !fs.existsSync(tempDir)) {
+            return;
+        }
+
+        const prefixes = excludedUserIds.flatMap(userId => [`user_${userId}_`, `segment_${userId}_`]);
+        fs.readdirSync(tempDir)
+            .filter(file => prefixes.some(prefix => file.startsWith(prefix)))
+            .forEach(file => {
+                try {
+                    fs.unlinkSync(path.join(tempDir, file));
+                } catch (error) {
+                    logger.error(`Failed to discard excluded audio ${file}:`, error);
+                }
+            });
+
+        logger.info(`Discarded audio from ${excludedUserIds.length} opted-out user(s)`);
+    }
+
+    isRecordingPaused(guildId) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        return Boolean(recordingSession && recordingSession.paused);
+    }
+
+    scheduleAutoStop(recordingSession, guildId) {
+        const { maxDurationMs } = config.recording;
+
+        if (maxDurationMs > 0) {
+            recordingSession.autoStopTimers.maxDuration = setTimeout(() => {
+                this.triggerAutoStop(guildId, RECORDING.AUTO_STOP_REASONS.MAX_DURATION);
+            }, maxDurationMs);
+        }
+
+        this.resetIdleTimer(recordingSession, guildId);
+    }
+
+    resetIdleTimer(recordingSession, guildId) {
+        const { idleTimeoutMs } = config.recording;
+        if (idleTimeoutMs <= 0 || recordingSession.stopping) {
+            return;
+        }
+
+        this.clearAutoStopTimer(recordingSession, 'idle');
+        recordingSession.autoStopTimers.idle = setTimeout(() => {
+            // Someone is mid-sentence; speaking 'start' only fires once per utterance
+            if (recordingSession.currentSpeechSegments.size > 0) {
+                this.resetIdleTimer(recordingSession, guildId);
+                return;
+            }
+            this.triggerAutoStop(guildId, RECORDING.AUTO_STOP_REASONS.IDLE);
+        }, idleTimeoutMs);
+    }
+
+    checkChannelOccupancy(recordingSession, voiceChannel) {
+        const { emptyChannelGraceMs } = config.recording;
+        const humanCount = voiceChannel.members.filter(member => !member.user.bot).size;
+
+        if (humanCount > 0) {
+            if (recordingSession.autoStopTimers.emptyChannel) {
+                logger.info(`Someone rejoined ${voiceChannel.name}, cancelling empty-channel auto-stop`);
+                this.clearAutoStopTimer(recordingSession, 'emptyChannel');
+            }
+            return;
+        }
+
+        if (recordingSession.autoStopTimers.emptyChannel || recordingSession.stopping) {
+            return;
+        }
+
+        logger.info(`Voice channel ${voiceChannel.name} is empty, stopping in ${emptyChannelGraceMs}ms unless someone rejoins`);
+        recordingSession.autoStopTimers.emptyChannel = setTimeout(() => {
+            this.triggerAutoStop(recordingSession.guildId, RECORDING.AUTO_STOP_REASONS.EMPTY_CHANNEL);
+        }, emptyChannelGraceMs);
+    }
+
+    triggerAutoStop(guildId, reason) {
+        const recordingSession = this.activeRecordings.get(guildId);
+        if (!recordingSession || recordingSession.stopping) {
+            return;
+        }
+
+        this.clearAutoStopTimers(recordingSession);
+        logger.info(`Auto-stopping recording for guild ${guildId}: ${reason}`);
+
+        this.emit('autoStop', {
+            guildId,
+            reason,
+            textChannelId: recordingSession.textChannelId
+        });
+    }
+
+    clearAutoStopTimer(recordingSession, name) {
+        if (recordingSession.autoStopTimers[name]) {
+            clearTimeout(recordingSession.autoStopTimers[name]);
+            delete recordingSession.autoStopTimers[name];
+        }
+    }
+
+    clearAutoStopTimers(recordingSession) {
+        Object.keys(recordingSession.autoStopTimers).forEach(name => {
+            this.clearAutoStopTimer(recordingSession, name);
+        });
+    }
+
     getActiveRecording(guildId) {
         return this.activeRecordings.get(guildId);
     }
@@ -314,7 +802,7 @@ class VoiceRecorder {
 
         // Subscribe to each user individually
         voiceChannel.members.forEach(member => {
-            if (!member.user.bot) {
+            if (!member.user.bot && !this.isUserExcluded(recordingSession, member.id)) {
                 const userId = member.id;
                 const username = member.user.username;
 
@@ -336,7 +824,7 @@ class VoiceRecorder {
                     });
 
                     const userFile = path.join(tempDir, `user_${userId}_${username}.pcm`);
-                    const writeStream = fs.createWriteStream(userFile);
+                    const writeStream = new TimelineAlignedWriter(userFile, recordingSession.startTime);
 
                     // Track stream state and data
                     let streamEnded = false;
@@ -365,7 +853,7 @@ class VoiceRecorder {
 
                     // Set up pipeline with proper error handling
                     const pipelinePromise = new Promise((resolve, reject) => {
-                        pipeline(audioStream, decoder, writeStream, (err) => {
+                        pipeline(audioStream, new PauseGate(recordingSession), decoder, writeStream, (err) => {
                             _pipelineCompleted = true;
                             logger.info(`Pipeline completed for user ${username}. Audio received: ${audioDataReceived}, Total bytes: ${totalDataReceived}`);
                             if (err && !streamEnded) {
@@ -453,11 +941,11 @@ class VoiceRecorder {
             });
 
             const userFile = path.join(tempDir, `user_${userId}_${username}.pcm`);
-            const writeStream = fs.createWriteStream(userFile);
+            const writeStream = new TimelineAlignedWriter(userFile, recordingSession.startTime);
 
             // Set up pipeline
             const pipelinePromise = new Promise((resolve, reject) => {
-                pipeline(audioStream, decoder, writeStream, (err) => {
+                pipeline(audioStream, new PauseGate(recordingSession), decoder, writeStream, (err) => {
                     if (err) {
                         logger.error(`Pipeline failed for user ${username}:`, err);
                         reject(err);
@@ -574,6 +1062,13 @@ class VoiceRecorder {
     handleSpeechStart(recordingSession, userId, username, displayName, timestamp) {
         const { segmentEndTimers } = recordingSession;
 
+        // No new segments while the recording is paused or from members who opted out
+        if (recordingSession.paused || this.isUserExcluded(recordingSession, userId)) {
+            return;
+        }
+
+        this.resetIdleTimer(recordingSession, recordingSession.guildId);
+
         // Cancel any pending segment end timer for this user
         if (segmentEndTimers.has(userId)) {
             clearTimeout(segmentEndTimers.get(userId));
@@ -640,6 +1135,8 @@ class VoiceRecorder {
 
             // Create audio recording pipeline for this segment
             try {
+                // subscribe() returns the user's shared receive stream, so the segment
+                // pipes from it instead of owning it (see endSpeechSegment)
                 const receiver = recordingSession.connection.receiver;
                 const audioStream = receiver.subscribe(userId, {
                     end: { behavior: EndBehaviorType.Manual }
@@ -654,7 +1151,8 @@ class VoiceRecorder {
                 const writeStream = fs.createWriteStream(segmentFile);
 
                 // Set up pipeline with additional error handling
-                pipeline(audioStream, decoder, writeStream, (err) => {
+                audioStream.pipe(decoder);
+                pipeline(decoder, writeStream, (err) => {
                     if (err && !segment.ended) {
                         logger.error(`Pipeline failed for segment ${segmentId}:`, err);
                     }
@@ -679,6 +1177,7 @@ class VoiceRecorder {
 
                 currentSpeechSegments.set(userId, segment);
 
+                recordingJournal.write(recordingSession);
                 logger.info(`Started speech segment for ${username}: ${segmentId}`);
 
             } catch (error) {
@@ -704,16 +1203,15 @@ class VoiceRecorder {
         segment.endTimestamp = timestamp;
         segment.duration = timestamp - segment.startTimestamp;
 
-        // Clean up streams
+        // Clean up streams - detach from the shared receive stream rather than
+        // destroying it, which would also end the user's continuous recording
         try {
-            if (segment.audioStream && !segment.audioStream.destroyed) {
-                segment.audioStream.destroy();
+            if (segment.audioStream && segment.decoder) {
+                segment.audioStream.unpipe(segment.decoder);
             }
+            // Ending the decoder flushes it and lets the pipeline close the file
             if (segment.decoder && !segment.decoder.destroyed) {
-                segment.decoder.destroy();
-            }
-            if (segment.writeStream && !segment.writeStream.destroyed) {
-                segment.writeStream.end();
+                segment.decoder.end();
             }
         } catch (error) {
             logger.error(`Error cleaning up segment ${segment.segmentId}:`, error);
@@ -747,6 +1245,8 @@ class VoiceRecorder {
             }
             logger.debug(`Discarded short speech segment for ${segment.username}: ${segment.duration}ms (minimum: ${RECORDING.MIN_SEGMENT_DURATION_MS}ms)`);
         }
+
+        recordingJournal.write(recordingSession);
     }
 
     cleanupSpeakingEvents(guildId) {
@@ -1,14 +1,25 @@
-const { REST, Routes, SlashCommandBuilder } = require('discord.js');
+const { REST, Routes, SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
 const voiceRecorder = require('../audio/VoiceRecorder');
 const audioProcessor = require('../audio/AudioProcessor');
 const fileManager = require('../utils/fileManager');
+const recordingJournal = require('../utils/RecordingJournal');
 const transcriptionService = require('../services/TranscriptionService');
 const summarizationService = require('../services/SummarizationService');
 const titleGenerationService = require('../services/TitleGenerationService');
-const { _COMMANDS, _ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../constants');
+const consentService = require('../services/ConsentService');
+const guildSettingsService = require('../services/GuildSettingsService');
+const vocabularyService = require('../services/VocabularyService');
+const summaryTemplateService = require('../services/SummaryTemplateService');
+const askService = require('../services/AskService');
+const digestService = require('../services/DigestService');
+const recordingMetadata = require('../utils/RecordingMetadata');
+const transcriptStore = require('../utils/TranscriptStore');
+const transcriptExportService = require('../services/TranscriptExportService');
+const translationService = require('../services/TranslationService');
+const { _COMMANDS, _ERROR_MESSAGES, SUCCESS_MESSAGES, RECORDING, CONSENT, MULTITRACK, AUDIO_OUTPUT, MASTERING, AUDIO_TAGS, TRANSCRIPTION, TRANSCRIPT_EXPORT, VOCABULARY, SUMMARIZATION, SUMMARY_TEMPLATES, ASK, DIGEST } = require('../constants');
 
 class CommandHandler {
     constructor(client, expressServer) {
@@ -17,6 +28,10 @@ class CommandHandler {
         this.commands = new Map();
         this.setupCommands();
         this.setupAutocomplete();
+        this.setupButtons();
+
+        voiceRecorder.on('autoStop', (event) => this.handleAutoStop(event));
+        voiceRecorder.on('participantJoined', (event) => this.handleParticipantJoined(event));
     }
 
     // Helper to create web viewer link for transcript
@@ -31,17 +46,60 @@ class CommandHandler {
                 return;
             }
 
-            if (interaction.commandName === 'summarize') {
-                await this.handleSummarizeAutocomplete(interaction);
+            if (interaction.commandName === 'summarize' && interaction.options.getFocused(true).name === 'type') {
+                await this.handleSummaryTypeAutocomplete(interaction);
+            } else if (['summarize', 'export', 'translate', 'ask'].includes(interaction.commandName)) {
+                await this.handleTranscriptAutocomplete(interaction);
+            } else if (interaction.commandName === 'vocabulary') {
+                await this.handleVocabularyAutocomplete(interaction);
+            } else if (interaction.commandName === 'template') {
+                await this.handleTemplateAutocomplete(interaction);
+            }
+        });
+    }
+
+    setupButtons() {
+        this.client.on('interactionCreate', async (interaction) => {
+            if (!interaction.isButton()) {
+                return;
+            }
+
+            if (interaction.customId.startsWith(`${CONSENT.BUTTON_PREFIX}:`)) {
+                await this.handleConsentButton(interaction);
             }
         });
     }
 
     setupCommands() {
+        const formatChoices = Object.entries(AUDIO_OUTPUT.FORMATS).map(([value, format]) => ({ name: format.label, value }));
+        const presetChoices = Object.entries(AUDIO_OUTPUT.PRESETS).map(([value, preset]) => ({ name: preset.label, value }));
+        const providerChoices = Object.entries(TRANSCRIPTION.PROVIDERS).map(([value, provider]) => ({ name: provider.label, value }));
+        const languageChoices = Object.entries(TRANSCRIPTION.LANGUAGES).map(([value, name]) => ({ name, value }));
+        const exportChoices = Object.entries(TRANSCRIPT_EXPORT.FORMATS).map(([value, format]) => ({ name: format.label, value }));
+        const periodChoices = Object.entries(DIGEST.PERIODS).map(([value, name]) => ({ name, value }));
+
         this.commands.set('join', {
             data: new SlashCommandBuilder()
                 .setName('join')
-                .setDescription('Join your voice channel and start recording'),
+                .setDescription('Join your voice channel and start recording')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('Audio format for this recording (defaults to the server setting)')
+                        .setRequired(false)
+                        .addChoices(...formatChoices))
+                .addStringOption(option =>
+                    option.setName('quality')
+                        .setDescription('Quality preset for this recording (defaults to the server setting)')
+                        .setRequired(false)
+                        .addChoices(...presetChoices))
+                .addStringOption(option =>
+                    option.setName('tracks')
+                        .setDescription('Also export one track per speaker in this format')
+                        .setRequired(false)
+                        .addChoices(
+                            ...Object.entries(MULTITRACK.FORMATS).map(([value, format]) => ({ name: format.label, value })),
+                            { name: 'None', value: 'none' }
+                        )),
             execute: this.handleJoin.bind(this)
         });
 
@@ -52,10 +110,42 @@ class CommandHandler {
             execute: this.handleStop.bind(this)
         });
 
+        this.commands.set('pause', {
+            data: new SlashCommandBuilder()
+                .setName('pause')
+                .setDescription('Pause the current recording without leaving the channel'),
+            execute: this.handlePause.bind(this)
+        });
+
+        this.commands.set('resume', {
+            data: new SlashCommandBuilder()
+                .setName('resume')
+                .setDescription('Resume a paused recording'),
+            execute: this.handleResume.bind(this)
+        });
+
+        this.commands.set('optout', {
+            data: new SlashCommandBuilder()
+                .setName('optout')
+                .setDescription('Stop the bot from recording your voice in this server'),
+            execute: this.handleOptOut.bind(this)
+        });
+
+        this.commands.set('optin', {
+            data: new SlashCommandBuilder()
+                .setName('optin')
+                .setDescription('Allow the bot to record your voice in this server again'),
+            execute: this.handleOptIn.bind(this)
+        });
+
         this.commands.set('last_recording', {
             data: new SlashCommandBuilder()
                 .setName('last_recording')
-                .setDescription('Get a download link for your most recent recording'),
+                .setDescription('Get a download link for your most recent recording')
+                .addBooleanOption(option =>
+                    option.setName('tracks')
+                        .setDescription('Link the per-speaker tracks zip instead of the mixed recording')
+                        .setRequired(false)),
             execute: this.handleLastRecording.bind(this)
         });
 
@@ -79,13 +169,9 @@ class CommandHandler {
                 .setDescription('Generate a summary of a transcript')
                 .addStringOption(option =>
                     option.setName('type')
-                        .setDescription('Type of summary to generate')
+                        .setDescription('Type of summary to generate, or one of this server\'s /template names')
                         .setRequired(false)
-                        .addChoices(
-                            { name: 'Brief (Discord chat)', value: 'brief' },
-                            { name: 'Detailed (Full summary)', value: 'detailed' },
-                            { name: 'Key Points (Bullet list)', value: 'key_points' }
-                        ))
+                        .setAutocomplete(true))
                 .addStringOption(option =>
                     option.setName('transcript')
                         .setDescription('Transcript title or "latest" for most recent')
@@ -94,6 +180,228 @@ class CommandHandler {
             execute: this.handleSummarize.bind(this)
         });
 
+        this.commands.set('export', {
+            data: new SlashCommandBuilder()
+                .setName('export')
+                .setDescription('Download a transcript as a document or subtitles')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('File format')
+                        .setRequired(true)
+                        .addChoices(...exportChoices))
+                .addStringOption(option =>
+                    option.setName('transcript')
+                        .setDescription('Transcript title or "latest" for most recent')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addBooleanOption(option =>
+                    option.setName('summaries')
+                        .setDescription('Include the title and any generated summaries (documents only)')
+                        .setRequired(false)),
+            execute: this.handleExport.bind(this)
+        });
+
+        this.commands.set('translate', {
+            data: new SlashCommandBuilder()
+                .setName('translate')
+                .setDescription('Translate a transcript, keeping its speakers and timestamps')
+                .addStringOption(option =>
+                    option.setName('language')
+                        .setDescription('Language to translate into')
+                        .setRequired(true)
+                        .addChoices(...languageChoices))
+                .addStringOption(option =>
+                    option.setName('transcript')
+                        .setDescription('Transcript title or "latest" for most recent')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addBooleanOption(option =>
+                    option.setName('summaries')
+                        .setDescription('Also translate the summaries generated so far')
+                        .setRequired(false)),
+            execute: this.handleTranslate.bind(this)
+        });
+
+        this.commands.set('ask', {
+            data: new SlashCommandBuilder()
+                .setName('ask')
+                .setDescription('Ask a question about a transcript, or about all of this server\'s transcripts')
+                .addStringOption(option =>
+                    option.setName('question')
+                        .setDescription('e.g. What did Alex say about the deploy date?')
+                        .setRequired(true)
+                        .setMaxLength(ASK.MAX_QUESTION_LENGTH))
+                .addStringOption(option =>
+                    option.setName('transcript')
+                        .setDescription('Transcript title or "latest"; leave out to search every transcript from this server')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            execute: this.handleAsk.bind(this)
+        });
+
+        this.commands.set('digest', {
+            data: new SlashCommandBuilder()
+                .setName('digest')
+                .setDescription('Roll up this server\'s meetings over a period into one digest')
+                .addStringOption(option =>
+                    option.setName('period')
+                        .setDescription('Period to cover (default: this week)')
+                        .setRequired(false)
+                        .addChoices(...periodChoices))
+                .addStringOption(option =>
+                    option.setName('from')
+                        .setDescription('First day, YYYY-MM-DD (UTC); overrides the period')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('to')
+                        .setDescription('Last day, YYYY-MM-DD (UTC); defaults to today')
+                        .setRequired(false)),
+            execute: this.handleDigest.bind(this)
+        });
+
+        this.commands.set('settings', {
+            data: new SlashCommandBuilder()
+                .setName('settings')
+                .setDescription('View or change how this server\'s recordings are made')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addSubcommand(subcommand =>
+                    subcommand.setName('show')
+                        .setDescription('Show the current settings'))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('audio')
+                        .setDescription('Set the default audio format and quality for recordings')
+                        .addStringOption(option =>
+                            option.setName('format')
+                                .setDescription('Audio format')
+                                .setRequired(false)
+                                .addChoices(...formatChoices, { name: 'Bot default', value: 'default' }))
+                        .addStringOption(option =>
+                            option.setName('quality')
+                                .setDescription('Quality preset')
+                                .setRequired(false)
+                                .addChoices(...presetChoices, { name: 'Bot default', value: 'default' }))
+                        .addBooleanOption(option =>
+                            option.setName('mastering')
+                                .setDescription('Level speakers and compress/limit the mix (off keeps the raw mix)')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('transcription')
+                        .setDescription('Choose where recordings are transcribed and which languages are used')
+                        .addStringOption(option =>
+                            option.setName('provider')
+                                .setDescription('Transcription provider')
+                                .setRequired(false)
+                                .addChoices(...providerChoices, { name: 'Bot default', value: 'default' }))
+                        .addStringOption(option =>
+                            option.setName('language')
+                                .setDescription('Language spoken in recordings, or auto-detect it for each line')
+                                .setRequired(false)
+                                .addChoices(
+                                    { name: 'Auto-detect', value: TRANSCRIPTION.AUTO_LANGUAGE },
+                                    ...languageChoices,
+                                    { name: 'Bot default', value: 'default' }
+                                ))
+                        .addStringOption(option =>
+                            option.setName('summary_language')
+                                .setDescription('Language summaries and titles are written in')
+                                .setRequired(false)
+                                .addChoices(...languageChoices, { name: 'Bot default', value: 'default' }))
+                        .addBooleanOption(option =>
+                            option.setName('vocabulary_corrections')
+                                .setDescription('Replace misheard spellings of /vocabulary terms in transcripts')
+                                .setRequired(false))),
+            execute: this.handleSettings.bind(this)
+        });
+
+        this.commands.set('vocabulary', {
+            data: new SlashCommandBuilder()
+                .setName('vocabulary')
+                .setDescription('Manage the names and terms transcription should spell correctly')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add a term, or change the misheard spellings of one')
+                        .addStringOption(option =>
+                            option.setName('term')
+                                .setDescription('The term as it should be spelled, e.g. SoundScribe')
+                                .setRequired(true)
+                                .setMaxLength(VOCABULARY.MAX_TERM_LENGTH))
+                        .addStringOption(option =>
+                            option.setName('replaces')
+                                .setDescription('Misheard spellings to correct, separated by commas, e.g. sound scribe, sandscribe')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a term')
+                        .addStringOption(option =>
+                            option.setName('term')
+                                .setDescription('Term to remove')
+                                .setRequired(true)
+                                .setAutocomplete(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show the terms in this server\'s glossary')),
+            execute: this.handleVocabulary.bind(this)
+        });
+
+        // create and edit take the same fields; only create requires the prompt
+        const addTemplateFields = (subcommand, isCreate) => subcommand
+            .addStringOption(option =>
+                option.setName('system_prompt')
+                    .setDescription('Who the model should be and what it writes, e.g. You are the scribe of a D&D campaign...')
+                    .setRequired(isCreate)
+                    .setMaxLength(SUMMARY_TEMPLATES.MAX_PROMPT_LENGTH))
+            .addStringOption(option =>
+                option.setName('instructions')
+                    .setDescription('What the summary should cover, e.g. Recap the party\'s decisions and loot')
+                    .setRequired(false)
+                    .setMaxLength(SUMMARY_TEMPLATES.MAX_PROMPT_LENGTH))
+            .addIntegerOption(option =>
+                option.setName('max_tokens')
+                    .setDescription(`Longest summary in tokens (default ${SUMMARY_TEMPLATES.DEFAULT_MAX_TOKENS})`)
+                    .setRequired(false)
+                    .setMinValue(SUMMARY_TEMPLATES.MIN_TOKENS)
+                    .setMaxValue(SUMMARY_TEMPLATES.MAX_TOKENS))
+            .addStringOption(option =>
+                option.setName('sections')
+                    .setDescription('Headings the summary is laid out in, separated by commas, e.g. Story, Combat, Loot')
+                    .setRequired(false));
+
+        this.commands.set('template', {
+            data: new SlashCommandBuilder()
+                .setName('template')
+                .setDescription('Manage this server\'s summary templates for /summarize')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addSubcommand(subcommand =>
+                    addTemplateFields(subcommand.setName('create')
+                        .setDescription('Create a summary template')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Name to pick it by in /summarize, e.g. session_recap')
+                                .setRequired(true)
+                                .setMaxLength(32)), true))
+                .addSubcommand(subcommand =>
+                    addTemplateFields(subcommand.setName('edit')
+                        .setDescription('Change a summary template; options left out keep their value')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Template to change')
+                                .setRequired(true)
+                                .setAutocomplete(true)), false))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show this server\'s summary templates'))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('delete')
+                        .setDescription('Delete a summary template')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Template to delete')
+                                .setRequired(true)
+                                .setAutocomplete(true))),
+            execute: this.handleTemplate.bind(this)
+        });
+
         this.commands.set('list', {
             data: new SlashCommandBuilder()
                 .setName('list')
@@ -137,14 +445,26 @@ class CommandHandler {
             const guildId = interaction.guild.id;
             logger.info(`Join command: Starting recording for guild ${guildId}`);
 
-            const _recordingSession = await voiceRecorder.startRecording(interaction);
+            const guildSettings = guildSettingsService.get(guildId);
+            const outputProfile = audioProcessor.resolveOutputProfile({
+                format: interaction.options.getString('format') || guildSettings.outputFormat,
+                preset: interaction.options.getString('quality') || guildSettings.outputPreset,
+                mastering: guildSettings.mastering
+            });
+
+            const _recordingSession = await voiceRecorder.startRecording(interaction, {
+                outputProfile,
+                multitrackFormat: this.resolveMultitrackFormat(interaction.options.getString('tracks'))
+            });
 
             logger.info(`Join command: Recording started successfully for guild ${guildId}`);
 
             await interaction.editReply({
-                content: `🎙️ Started recording in ${interaction.member.voice.channel.name}! Use /stop to finish recording.`
+                content: `🎙️ Started recording in ${interaction.member.voice.channel.name} as ${this.describeOutputProfile(outputProfile)}! Use /stop to finish recording.`
             });
 
+            await this.postConsentNotice(interaction);
+
         } catch (error) {
             logger.error('Error in join command:', error);
             await interaction.editReply({
@@ -171,190 +491,860 @@ class CommandHandler {
                 return;
             }
 
-            const recordingResult = await voiceRecorder.stopRecording(guildId);
+            const responseContent = await this.finalizeRecording(
+                guildId,
+                content => interaction.editReply({ content })
+            );
 
-            // Check if any audio was captured
-            if (recordingResult.filesCreated === 0) {
-                const durationMinutes = Math.round(recordingResult.duration / 60000);
+            await interaction.editReply({
+                content: responseContent
+            });
 
-                await interaction.editReply({
-                    content: '⚠️ **No audio captured**\n\n' +
-                            '📊 **Recording Details:**\n' +
-                            `• Duration: ${durationMinutes} minutes\n` +
-                            `• Participants: ${recordingResult.participants.length}\n` +
-                            '• Audio segments: 0\n\n' +
-                            '💡 **Possible reasons:**\n' +
-                            '• No one spoke during recording\n' +
-                            '• Microphones were muted\n' +
-                            '• Voice activity detection threshold not met\n' +
-                            '• Bot permissions issue\n\n' +
-                            'Try recording again and make sure someone speaks clearly.'
+        } catch (error) {
+            logger.error('Error in stop command:', error);
+            await interaction.editReply({
+                content: `❌ Failed to stop recording: ${error.message}`
+            });
+        }
+    }
+
+    /**
+     * Stop a guild's recording and run it through the processing pipeline.
+     * @param {string} guildId - Guild whose recording should be finalized
+     * @param {function(string): Promise} updateStatus - Receives progress messages
+     * @returns {Promise<string>} - Final message describing the recording
+     */
+    async finalizeRecording(guildId, updateStatus) {
+        const recordingResult = await voiceRecorder.stopRecording(guildId);
+        return this.processRecordingResult(recordingResult, updateStatus);
+    }
+
+    /**
+     * Mix, transcribe, title and summarize a stopped recording.
+     * @param {object} recordingResult - Result of voiceRecorder.stopRecording
+     * @param {function(string): Promise} updateStatus - Receives progress messages
+     * @returns {Promise<string>} - Final message describing the recording
+     */
+    async processRecordingResult(recordingResult, updateStatus) {
+        // Check if any audio was captured
+        if (recordingResult.filesCreated === 0) {
+            const durationMinutes = Math.round(recordingResult.duration / 60000);
+            recordingJournal.finish(recordingResult.tempDir);
+
+            return '⚠️ **No audio captured**\n\n' +
+                    '📊 **Recording Details:**\n' +
+                    `• Duration: ${durationMinutes} minutes\n` +
+                    `• Participants: ${recordingResult.participants.length}\n` +
+                    '• Audio segments: 0\n\n' +
+                    '💡 **Possible reasons:**\n' +
+                    '• No one spoke during recording\n' +
+                    '• Microphones were muted\n' +
+                    '• Voice activity detection threshold not met\n' +
+                    '• Bot permissions issue\n\n' +
+                    'Try recording again and make sure someone speaks clearly.';
+        }
+
+        await updateStatus(SUCCESS_MESSAGES.PROCESSING_AUDIO);
+
+        // Per-speaker tracks come from the same PCM files, so export them before anything is cleaned up
+        let tracksExport = null;
+        let tracksExportFailed = false;
+        if (recordingResult.multitrackFormat) {
+            try {
+                const archiveFile = path.join(
+                    path.dirname(recordingResult.outputFile),
+                    fileManager.getTracksArchiveName(recordingResult.outputFile)
+                );
+                tracksExport = await audioProcessor.exportTracks(
+                    recordingResult.tempDir,
+                    archiveFile,
+                    recordingResult.multitrackFormat,
+                    recordingResult.duration
+                );
+            } catch (error) {
+                logger.error('Failed to export per-speaker tracks:', error);
+                tracksExportFailed = true;
+            }
+        }
+
+        // Process the recording segments (but don't clean up temp files yet if we have speech segments)
+        const shouldKeepTempFiles = recordingResult.speechSegments && recordingResult.speechSegments.length > 0;
+        const processedResult = await audioProcessor.processRecording(
+            recordingResult.tempDir,
+            recordingResult.outputFile,
+            !shouldKeepTempFiles, // Only cleanup if no speech segments to transcribe
+            recordingResult.outputProfile
+        );
+
+        const recordingId = fileManager.getRecordingId(recordingResult.outputFile);
+        const { loudness } = await this.saveRecordingMetadata(recordingId, recordingResult, processedResult);
+
+        // Auto-generate transcript if speech segments were detected
+        let transcriptUrl = null;
+        let transcriptStats = null;
+        let generatedTitle = null;
+        let transcriptionResults = null;
+
+        if (recordingResult.speechSegments && recordingResult.speechSegments.length > 0) {
+            // Save speech segments metadata for future reference, with pauses as gap markers
+            const timelineEntries = [...recordingResult.speechSegments, ...recordingResult.timelineGaps]
+                .sort((a, b) => a.startTimestamp - b.startTimestamp);
+            const metadataPath = path.join(path.dirname(recordingResult.outputFile), `${fileManager.getRecordingId(recordingResult.outputFile)}_segments.json`);
+            require('fs').writeFileSync(metadataPath, JSON.stringify(timelineEntries, null, 2));
+            logger.info(`Saved ${recordingResult.speechSegments.length} speech segments metadata to ${metadataPath}`);
+
+            // Update user about transcription starting
+            await updateStatus(`${SUCCESS_MESSAGES.PROCESSING_AUDIO} ${SUCCESS_MESSAGES.GENERATING_TRANSCRIPT}`);
+
+            try {
+                // Generate transcript automatically
+                transcriptionResults = await transcriptionService.transcribeSegments(timelineEntries, { guildId: recordingResult.guildId });
+
+                // Save the canonical transcript JSON and its Markdown rendering
+                const transcript = transcriptionService.saveTranscript(recordingId, transcriptionResults, {
+                    recordingStart: recordingResult.startTime,
+                    guildId: recordingResult.guildId
                 });
-                return;
+                recordingMetadata.update(recordingId, {
+                    transcriptionProvider: transcriptionService.getProvider(recordingResult.guildId).name,
+                    transcriptionLanguage: transcriptionService.getLanguage(recordingResult.guildId),
+                    transcriptionAttempts: transcriptionService.summarizeAttempts(transcriptionResults),
+                    preprocessing: transcriptionService.summarizePreprocessing(transcriptionResults)
+                });
+
+                const transcriptFilename = `transcript_${recordingId}.md`;
+
+                // Create download link for transcript
+                transcriptUrl = this.expressServer.createTemporaryUrl(transcriptFilename);
+                transcriptStats = transcript.metadata;
+
+                // Create web viewer link
+                const _webViewerUrl = this.createTranscriptViewerLink(transcriptFilename);
+
+                logger.info(`Auto-generated transcript with ${transcriptStats.transcribedSegments}/${transcriptStats.totalSegments} segments`);
+
+                // Generate title and brief summary from transcript content
+                let briefSummary = null;
+                try {
+                    await updateStatus(`${SUCCESS_MESSAGES.PROCESSING_AUDIO} ${SUCCESS_MESSAGES.GENERATING_TRANSCRIPT} 🏷️ Generating title and summary...`);
+
+                    const transcriptId = recordingId;
+
+                    // Generate title
+                    const titleResult = await titleGenerationService.generateTitle(transcript.document);
+                    await titleGenerationService.saveTitle(titleResult, transcriptId);
+                    generatedTitle = titleResult;
+                    logger.info(`Generated title: "${titleResult.title}" (slug: ${titleResult.slug})`);
+
+                    // Generate brief summary
+                    const summaryResult = await summarizationService.summarizeTranscript(transcriptId, 'brief');
+                    briefSummary = summaryResult.summary;
+                    logger.info(`Generated brief summary for transcript ${transcriptId}`);
+
+                } catch (titleError) {
+                    logger.error('Failed to generate title or summary:', titleError);
+                    // Continue without title - don't fail the whole recording
+                    // Generate fallback title
+                    try {
+                        const transcriptId = fileManager.getRecordingId(recordingResult.outputFile);
+                        const fallbackTitle = titleGenerationService.generateFallbackTitle(transcriptId);
+                        await titleGenerationService.saveTitle(fallbackTitle, transcriptId);
+                        generatedTitle = fallbackTitle;
+                        logger.info(`Used fallback title: "${fallbackTitle.title}"`);
+                    } catch (fallbackError) {
+                        logger.error('Failed to generate fallback title:', fallbackError);
+                    }
+                }
+
+                // Store data for the improved /stop response
+                recordingResult.generatedTitle = generatedTitle;
+                recordingResult.briefSummary = briefSummary;
+
+            } catch (error) {
+                logger.error('Failed to auto-generate transcript:', error);
+                // Continue without transcript - don't fail the whole recording
+            } finally {
+                // Clean up temp directory after transcription is complete
+                if (shouldKeepTempFiles) {
+                    try {
+                        const fs = require('fs');
+                        if (fs.existsSync(recordingResult.tempDir)) {
+                            fs.rmSync(recordingResult.tempDir, { recursive: true, force: true });
+                            logger.info(`Cleaned up temp directory after transcription: ${recordingResult.tempDir}`);
+                        }
+                    } catch (cleanupError) {
+                        logger.error('Failed to clean up temp directory after transcription:', cleanupError);
+                    }
+                }
             }
+        }
 
-            await interaction.editReply({
-                content: SUCCESS_MESSAGES.PROCESSING_AUDIO
+        // Tag the recording now that its title is known, falling back to the raw segments if transcription failed
+        await this.tagRecording(
+            recordingId,
+            recordingResult,
+            processedResult,
+            transcriptionResults || [...(recordingResult.speechSegments || []), ...(recordingResult.timelineGaps || [])]
+        );
+
+        // Generate temporary download link for audio
+        const fileName = path.basename(processedResult.outputFile);
+        const downloadUrl = this.expressServer.createTemporaryUrl(fileName);
+
+        const durationMinutes = Math.round(recordingResult.duration / 60000);
+        const fileSizeMB = Math.round(processedResult.fileSize / 1024 / 1024 * 100) / 100;
+
+        // Build response message
+        let responseContent = '🎙️ **Recording Complete!**\n\n';
+
+        // Add title if available
+        if (recordingResult.generatedTitle) {
+            responseContent += `📝 **"${recordingResult.generatedTitle.title}"**\n\n`;
+        }
+
+        // Add summary if available
+        if (recordingResult.briefSummary) {
+            const maxSummaryLength = 800;
+            const displaySummary = recordingResult.briefSummary.length > maxSummaryLength
+                ? recordingResult.briefSummary.substring(0, maxSummaryLength) + '...'
+                : recordingResult.briefSummary;
+            responseContent += `📋 **Summary:**\n${displaySummary}\n\n`;
+        }
+
+        responseContent += '🔗 **Links:**\n';
+        responseContent += `• 🎵 [Audio Recording](${downloadUrl})`;
+        if (recordingResult.outputProfile && recordingResult.outputProfile.mastering && loudness) {
+            responseContent += ` (mastered, ${loudness.integratedLufs} LUFS)`;
+        }
+        responseContent += '\n';
+
+        if (tracksExport) {
+            const tracksUrl = this.expressServer.createTemporaryUrl(path.basename(tracksExport.archiveFile));
+            const formatLabel = MULTITRACK.FORMATS[tracksExport.format].label;
+            responseContent += `• 🎚️ [Per-speaker Tracks](${tracksUrl}) (${tracksExport.trackCount} × ${formatLabel}, zip)\n`;
+        } else if (tracksExportFailed) {
+            responseContent += '• ⚠️ Per-speaker track export failed\n';
+        }
+
+        // Add transcript info if available
+        if (transcriptUrl && transcriptStats) {
+            const webViewerUrl = this.createTranscriptViewerLink(`transcript_${recordingId}.md`);
+            const detailedSummaryUrl = `${config.express.baseUrl}/summary?id=${recordingId}&type=detailed`;
+
+            responseContent += `• 📄 [Transcript](${webViewerUrl}) | [Download](${transcriptUrl})\n`;
+            responseContent += `• 📊 [Detailed Summary](${detailedSummaryUrl})\n\n`;
+
+            responseContent += `📈 **Stats:** ${transcriptStats.participants.join(', ')} • ${transcriptStats.transcribedSegments}/${transcriptStats.totalSegments} segments\n\n`;
+        } else if (recordingResult.speechSegments && recordingResult.speechSegments.length > 0) {
+            responseContent += '⚠️ **Transcript:** Generation failed, but you can try /transcribe later\n\n';
+        } else {
+            responseContent += '\n📊 **Recording Details:**\n';
+            responseContent += `• Duration: ${durationMinutes} minutes\n`;
+            responseContent += `• File size: ${fileSizeMB} MB\n`;
+            responseContent += `• Participants: ${recordingResult.participants.length}\n\n`;
+        }
+
+        responseContent += '⚠️ *Files expire in 24 hours*';
+
+        recordingJournal.finish(recordingResult.tempDir);
+
+        return responseContent;
+    }
+
+    /**
+     * Finalize recordings that were interrupted by a crash or restart and post
+     * the results where each recording was started.
+     * @param {object[]} journals - Unfinished journals from recordingJournal.findUnfinished
+     */
+    async recoverRecordings(journals) {
+        for (const journal of journals) {
+            logger.info(`Recovering interrupted recording ${journal.sessionId}`);
+            recordingJournal.setStatus(journal.tempDir, 'recovering');
+
+            const header = '♻️ **Recovered recording**\n' +
+                `The bot restarted during a recording started ${new Date(journal.startTime).toLocaleString()}. ` +
+                'Here is everything captured up to that point.\n\n';
+
+            let statusMessage = null;
+            try {
+                const textChannel = await this.client.channels.fetch(journal.textChannelId);
+                statusMessage = await textChannel.send(header + SUCCESS_MESSAGES.PROCESSING_AUDIO);
+            } catch (error) {
+                logger.error(`Failed to post recovery notice to channel ${journal.textChannelId}:`, error);
+            }
+
+            const updateStatus = async (content) => {
+                if (statusMessage) {
+                    await statusMessage.edit(header + content);
+                }
+            };
+
+            try {
+                const recordingResult = voiceRecorder.buildRecoveredResult(journal);
+                const responseContent = await this.processRecordingResult(recordingResult, updateStatus);
+                await updateStatus(responseContent);
+                logger.info(`Recovered recording ${journal.sessionId}`);
+            } catch (error) {
+                logger.error(`Failed to recover recording ${journal.sessionId}:`, error);
+                recordingJournal.setStatus(journal.tempDir, 'failed');
+                try {
+                    await updateStatus(`❌ Failed to recover recording: ${error.message}`);
+                } catch (messageError) {
+                    logger.error('Failed to edit recovery notice with error message:', messageError);
+                }
+            }
+        }
+    }
+
+    async saveRecordingMetadata(recordingId, recordingResult, processedResult) {
+        const outputProfile = recordingResult.outputProfile || audioProcessor.resolveOutputProfile();
+
+        let loudness = null;
+        try {
+            loudness = await audioProcessor.measureLoudness(processedResult.outputFile);
+        } catch (error) {
+            logger.warn(`Could not measure loudness of ${processedResult.outputFile}: ${error.message}`);
+        }
+
+        return recordingMetadata.update(recordingId, {
+            durationMs: recordingResult.duration,
+            participants: recordingResult.participants.map(participant => participant.displayName || participant.username),
+            output: {
+                format: outputProfile.format,
+                preset: outputProfile.preset,
+                bitrate: outputProfile.bitrate || null,
+                sampleRate: outputProfile.sampleRate || null,
+                fileSize: processedResult.fileSize
+            },
+            mastering: {
+                enabled: Boolean(outputProfile.mastering),
+                target: outputProfile.mastering
+                    ? {
+                        integratedLufs: MASTERING.TARGET_LUFS,
+                        truePeakDbtp: MASTERING.TARGET_TRUE_PEAK_DB,
+                        loudnessRangeLu: MASTERING.TARGET_LRA
+                    }
+                    : null
+            },
+            loudness
+        });
+    }
+
+    /**
+     * Write title, date, guild, channel, participants and chapter markers into
+     * the recording so it stays self-describing once downloaded
+     * @param {string} recordingId - Recording being tagged
+     * @param {object} recordingResult - Result of stopRecording or buildRecoveredResult
+     * @param {object} processedResult - Result of processRecording; fileSize is updated
+     * @param {Array} timelineEntries - Transcription results or segments with gap markers, for chapters
+     */
+    async tagRecording(recordingId, recordingResult, processedResult, timelineEntries) {
+        const guild = this.client.guilds.cache.get(recordingResult.guildId);
+        const channel = guild ? guild.channels.cache.get(recordingResult.voiceChannelId) : null;
+        const participants = recordingResult.participants
+            .map(participant => participant.displayName || participant.username)
+            .join(', ');
+        const recordedAt = new Date(recordingResult.startTime || Date.now());
+        const location = [guild && guild.name, channel && channel.name].filter(Boolean).join(' / ');
+        const title = recordingResult.generatedTitle
+            ? recordingResult.generatedTitle.title
+            : `${AUDIO_TAGS.FALLBACK_TITLE} ${recordedAt.toISOString().slice(0, 10)}`;
+        const chapters = recordingResult.startTime
+            ? transcriptionService.buildChapters(timelineEntries, recordingResult.startTime, recordingResult.duration)
+            : [];
+
+        const tags = {
+            title,
+            artist: participants,
+            album: location,
+            date: recordedAt.toISOString().slice(0, 19),
+            comment: `Recorded ${recordedAt.toUTCString()}${location ? ` in ${location}` : ''}${participants ? ` with ${participants}` : ''}`,
+            // Written as TXXX frames in ID3
+            guild: guild ? guild.name : null,
+            channel: channel ? channel.name : null,
+            participants
+        };
+
+        try {
+            processedResult.fileSize = await audioProcessor.writeTags(processedResult.outputFile, tags, chapters);
+        } catch (error) {
+            logger.warn(`Could not tag ${processedResult.outputFile}: ${error.message}`);
+            return;
+        }
+
+        recordingMetadata.update(recordingId, {
+            title,
+            chapters: chapters.map(({ startMs, endMs, title: chapterTitle }) => ({ startMs, endMs, title: chapterTitle }))
+        });
+    }
+
+    async handleAutoStop({ guildId, reason, textChannelId }) {
+        const description = RECORDING.AUTO_STOP_DESCRIPTIONS[reason] || reason;
+        const header = `⏹️ **Recording stopped automatically** because ${description}.\n\n`;
+
+        let statusMessage = null;
+        try {
+            const textChannel = await this.client.channels.fetch(textChannelId);
+            statusMessage = await textChannel.send(header + SUCCESS_MESSAGES.PROCESSING_AUDIO);
+        } catch (error) {
+            logger.error(`Failed to post auto-stop notice to channel ${textChannelId}:`, error);
+        }
+
+        const updateStatus = async (content) => {
+            if (statusMessage) {
+                await statusMessage.edit(header + content);
+            }
+        };
+
+        try {
+            const responseContent = await this.finalizeRecording(guildId, updateStatus);
+            await updateStatus(responseContent);
+        } catch (error) {
+            logger.error(`Failed to finalize auto-stopped recording for guild ${guildId}:`, error);
+            try {
+                await updateStatus(`❌ Failed to process recording: ${error.message}`);
+            } catch (messageError) {
+                logger.error('Failed to edit auto-stop notice with error message:', messageError);
+            }
+        }
+    }
+
+    describeOutputProfile(outputProfile) {
+        return `${outputProfile.label} (${this.describeOutputQuality(outputProfile)})`;
+    }
+
+    describeOutputQuality(outputProfile) {
+        const quality = outputProfile.bitrate || `${outputProfile.sampleRate / 1000} kHz`;
+        return `${AUDIO_OUTPUT.PRESETS[outputProfile.preset].label}, ${quality}`;
+    }
+
+    async handleSettings(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'audio') {
+                const changes = {};
+                ['format', 'quality'].forEach(optionName => {
+                    const value = interaction.options.getString(optionName);
+                    if (value) {
+                        const key = optionName === 'format' ? 'outputFormat' : 'outputPreset';
+                        changes[key] = value === 'default' ? null : value;
+                    }
+                });
+
+                const mastering = interaction.options.getBoolean('mastering');
+                if (mastering !== null) {
+                    changes.mastering = mastering;
+                }
+
+                if (Object.keys(changes).length > 0) {
+                    guildSettingsService.update(guildId, changes);
+                }
+            } else if (subcommand === 'transcription') {
+                const provider = interaction.options.getString('provider');
+                if (provider && provider !== 'default' && !transcriptionService.providers[provider].isConfigured()) {
+                    await interaction.reply({
+                        content: `❌ ${TRANSCRIPTION.PROVIDERS[provider].label} is not configured on this bot. ` +
+                            `Available: ${transcriptionService.getConfiguredProviders().map(configured => configured.label).join(', ')}`,
+                        flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+                    });
+                    return;
+                }
+
+                const changes = {};
+                [['provider', 'transcriptionProvider'], ['language', 'transcriptionLanguage'], ['summary_language', 'summaryLanguage']].forEach(([optionName, key]) => {
+                    const value = interaction.options.getString(optionName);
+                    if (value) {
+                        changes[key] = value === 'default' ? null : value;
+                    }
+                });
+
+                const vocabularyCorrections = interaction.options.getBoolean('vocabulary_corrections');
+                if (vocabularyCorrections !== null) {
+                    changes.vocabularyCorrections = vocabularyCorrections;
+                }
+
+                if (Object.keys(changes).length > 0) {
+                    guildSettingsService.update(guildId, changes);
+                }
+            }
+
+            await interaction.reply({
+                content: this.describeGuildSettings(guildId),
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
             });
 
-            // Process the recording segments (but don't clean up temp files yet if we have speech segments)
-            const shouldKeepTempFiles = recordingResult.speechSegments && recordingResult.speechSegments.length > 0;
-            const processedResult = await audioProcessor.processRecording(
-                recordingResult.tempDir,
-                recordingResult.outputFile,
-                !shouldKeepTempFiles // Only cleanup if no speech segments to transcribe
-            );
+        } catch (error) {
+            logger.error('Error in settings command:', error);
+            await interaction.reply({
+                content: `❌ Failed to update settings: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
+
+    describeGuildSettings(guildId) {
+        const guildSettings = guildSettingsService.get(guildId);
+        const outputProfile = audioProcessor.resolveOutputProfile({
+            format: guildSettings.outputFormat,
+            preset: guildSettings.outputPreset,
+            mastering: guildSettings.mastering
+        });
+        const isDefault = (value) => value ? '' : ' *(bot default)*';
+
+        return '⚙️ **Server Settings**\n\n' +
+                `🎵 **Audio format:** ${outputProfile.label}${isDefault(guildSettings.outputFormat)}\n` +
+                `🎚️ **Quality:** ${this.describeOutputQuality(outputProfile)}${isDefault(guildSettings.outputPreset)}\n` +
+                `🔊 **Mastering:** ${outputProfile.mastering ? `on (speakers levelled to ${MASTERING.TARGET_LUFS} LUFS, compressed and limited)` : 'off (raw mix)'}${isDefault(guildSettings.mastering !== undefined)}\n` +
+                `📝 **Transcription:** ${transcriptionService.getProvider(guildId).label}${isDefault(guildSettings.transcriptionProvider)}\n` +
+                `🗣️ **Spoken language:** ${transcriptionService.describeLanguage(transcriptionService.getLanguage(guildId))}${isDefault(guildSettings.transcriptionLanguage)}\n` +
+                `🌐 **Summary language:** ${transcriptionService.describeLanguage(summarizationService.getOutputLanguage(guildId))}${isDefault(guildSettings.summaryLanguage)}\n` +
+                `📖 **Vocabulary:** ${vocabularyService.getTerms(guildId).length} terms, corrections ${vocabularyService.isCorrectionEnabled(guildId) ? 'on' : 'off'}${isDefault(guildSettings.vocabularyCorrections !== undefined)}\n\n` +
+                '💡 `/join` can override these for a single recording.';
+    }
+
+    // /join choice first, then the MULTITRACK_FORMAT default; 'none' turns the export off
+    resolveMultitrackFormat(requestedFormat) {
+        const format = requestedFormat || config.audio.multitrackFormat;
+        if (!format || format === 'none') {
+            return null;
+        }
+
+        if (!MULTITRACK.FORMATS[format]) {
+            logger.warn(`Ignoring unknown multitrack format "${format}"`);
+            return null;
+        }
+        return format;
+    }
+
+    buildConsentButtons(guildId) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${CONSENT.BUTTON_PREFIX}:${CONSENT.ACTIONS.ACCEPT}:${guildId}`)
+                .setLabel('I\'m OK with this')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`${CONSENT.BUTTON_PREFIX}:${CONSENT.ACTIONS.DECLINE}:${guildId}`)
+                .setLabel('Don\'t record me')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    async postConsentNotice(interaction) {
+        try {
+            await interaction.channel.send({
+                content: CONSENT.NOTICE,
+                components: [this.buildConsentButtons(interaction.guild.id)]
+            });
+        } catch (error) {
+            logger.error('Failed to post recording consent notice:', error);
+        }
+    }
+
+    // Let someone who joined mid-recording know, by DM or in the recording's text channel
+    async handleParticipantJoined({ guildId, userId, textChannelId }) {
+        const components = [this.buildConsentButtons(guildId)];
+
+        try {
+            const guild = await this.client.guilds.fetch(guildId);
+            const user = await this.client.users.fetch(userId);
+            await user.send({
+                content: `**${guild.name}**\n${CONSENT.LATE_JOIN_NOTICE}`,
+                components
+            });
+            return;
+        } catch (error) {
+            logger.warn(`Could not DM recording notice to user ${userId}, falling back to channel: ${error.message}`);
+        }
+
+        try {
+            const textChannel = await this.client.channels.fetch(textChannelId);
+            await textChannel.send({
+                content: `<@${userId}> ${CONSENT.LATE_JOIN_NOTICE}`,
+                components,
+                allowedMentions: { users: [userId] }
+            });
+        } catch (error) {
+            logger.error(`Failed to post recording notice for user ${userId}:`, error);
+        }
+    }
+
+    async handleConsentButton(interaction) {
+        const [, action, guildId] = interaction.customId.split(':');
+        const userId = interaction.user.id;
+
+        try {
+            let content;
+            if (action === CONSENT.ACTIONS.DECLINE) {
+                this.optOutUser(guildId, userId);
+                content = SUCCESS_MESSAGES.OPTED_OUT;
+            } else {
+                consentService.optIn(guildId, userId);
+                content = voiceRecorder.isUserExcludedFromRecording(guildId, userId)
+                    ? `${SUCCESS_MESSAGES.OPTED_IN} You stay excluded from the recording in progress.`
+                    : SUCCESS_MESSAGES.CONSENT_ACCEPTED;
+            }
+
+            await interaction.reply({
+                content,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+
+        } catch (error) {
+            logger.error('Error handling consent button:', error);
+            await interaction.reply({
+                content: `❌ Failed to record your choice: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
+
+    optOutUser(guildId, userId) {
+        consentService.optOut(guildId, userId);
+        voiceRecorder.excludeUser(guildId, userId);
+    }
+
+    async handleVocabulary(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const subcommand = interaction.options.getSubcommand();
+            let content;
+
+            if (subcommand === 'add') {
+                const term = interaction.options.getString('term').trim();
+                const replacements = (interaction.options.getString('replaces') || '')
+                    .split(',')
+                    .map(replacement => replacement.trim())
+                    .filter(replacement => replacement && replacement.length <= VOCABULARY.MAX_TERM_LENGTH);
+
+                if (!term) {
+                    content = '❌ Enter the term as it should be spelled.';
+                } else {
+                    const { entry, created } = vocabularyService.add(guildId, term, replacements, interaction.user.id);
+                    content = `✅ ${created ? 'Added' : 'Updated'} **${entry.term}**`;
+                    if (entry.replacements.length > 0) {
+                        content += `, correcting: ${entry.replacements.join(', ')}`;
+                    }
+                    if (!vocabularyService.isCorrectionEnabled(guildId)) {
+                        content += '\n💡 Corrections are off for this server, so the term is only used as a transcription hint. Turn them on with `/settings transcription vocabulary_corrections`.';
+                    }
+                }
+            } else if (subcommand === 'remove') {
+                const term = interaction.options.getString('term').trim();
+                content = vocabularyService.remove(guildId, term)
+                    ? `🗑️ Removed **${term}** from the glossary.`
+                    : `❌ **${term}** is not in the glossary.`;
+            } else {
+                const terms = vocabularyService.getTerms(guildId);
+                if (terms.length === 0) {
+                    content = '📖 The glossary is empty. Add product names, codenames and nicknames with `/vocabulary add`.';
+                } else {
+                    content = `📖 **Vocabulary** (${terms.length}/${VOCABULARY.MAX_TERMS})\n\n` +
+                        terms.map(entry => `• **${entry.term}**${entry.replacements.length > 0 ? ` ← ${entry.replacements.join(', ')}` : ''}`).join('\n') +
+                        `\n\n💡 Speakers' display names are added to the transcription hint automatically. Corrections are ${vocabularyService.isCorrectionEnabled(guildId) ? 'on' : 'off'}.`;
+                }
+            }
+
+            // Keep long glossaries within Discord's message limit
+            if (content.length > 2000) {
+                content = content.substring(0, 1997) + '...';
+            }
+
+            await interaction.reply({
+                content,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+
+        } catch (error) {
+            logger.error('Error in vocabulary command:', error);
+            await interaction.reply({
+                content: `❌ Failed to update the vocabulary: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
 
-            // Auto-generate transcript if speech segments were detected
-            let transcriptUrl = null;
-            let transcriptStats = null;
-            let generatedTitle = null;
+    async handleVocabularyAutocomplete(interaction) {
+        try {
+            const focusedValue = interaction.options.getFocused().toLowerCase();
+            const choices = vocabularyService.getTerms(interaction.guildId)
+                .filter(entry => entry.term.toLowerCase().includes(focusedValue))
+                .slice(0, 25) // Discord limit is 25 choices
+                .map(entry => ({ name: entry.term, value: entry.term }));
 
-            if (recordingResult.speechSegments && recordingResult.speechSegments.length > 0) {
-                // Save speech segments metadata for future reference
-                const metadataPath = path.join(path.dirname(recordingResult.outputFile), `${path.basename(recordingResult.outputFile, '.mp3')}_segments.json`);
-                require('fs').writeFileSync(metadataPath, JSON.stringify(recordingResult.speechSegments, null, 2));
-                logger.info(`Saved ${recordingResult.speechSegments.length} speech segments metadata to ${metadataPath}`);
+            await interaction.respond(choices);
+        } catch (error) {
+            logger.error('Error in vocabulary autocomplete:', error);
+        }
+    }
 
-                // Update user about transcription starting
-                await interaction.editReply({
-                    content: `${SUCCESS_MESSAGES.PROCESSING_AUDIO} ${SUCCESS_MESSAGES.GENERATING_TRANSCRIPT}`
-                });
+    async handleTemplate(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const subcommand = interaction.options.getSubcommand();
+            const describe = (template) => [
+                `• **${template.name}** (max ${template.maxTokens} tokens)`,
+                `  ${template.systemPrompt.length > 150 ? `${template.systemPrompt.substring(0, 147)}...` : template.systemPrompt}`,
+                ...(template.sections.length > 0 ? [`  Sections: ${template.sections.join(', ')}`] : [])
+            ].join('\n');
+            let content;
+
+            if (subcommand === 'create' || subcommand === 'edit') {
+                const sections = interaction.options.getString('sections');
+                const fields = {
+                    systemPrompt: interaction.options.getString('system_prompt') ?? undefined,
+                    instructions: interaction.options.getString('instructions') ?? undefined,
+                    maxTokens: interaction.options.getInteger('max_tokens') ?? undefined,
+                    sections: sections !== null ? summaryTemplateService.parseSections(sections) : undefined
+                };
+                const name = interaction.options.getString('name');
+
+                if (subcommand === 'create') {
+                    const template = summaryTemplateService.create(guildId, { name, ...fields }, interaction.user.id);
+                    content = `✅ Created template **${template.name}**\n\n${describe(template)}\n\n💡 Use it with \`/summarize type:${template.name}\`.`;
+                } else {
+                    const template = summaryTemplateService.update(guildId, name, fields);
+                    content = template
+                        ? `✅ Updated template **${template.name}**\n\n${describe(template)}\n\n💡 Summaries already made with it are kept as they are.`
+                        : `❌ There is no template named **${name}**.`;
+                }
+            } else if (subcommand === 'delete') {
+                const name = interaction.options.getString('name');
+                content = summaryTemplateService.remove(guildId, name)
+                    ? `🗑️ Deleted template **${name}**. Summaries already made with it are kept.`
+                    : `❌ There is no template named **${name}**.`;
+            } else {
+                const templates = summaryTemplateService.list(guildId);
+                content = templates.length === 0
+                    ? '📋 This server has no summary templates. Create one with `/template create`.'
+                    : `📋 **Summary Templates** (${templates.length}/${SUMMARY_TEMPLATES.MAX_TEMPLATES})\n\n${templates.map(describe).join('\n')}`;
+            }
 
-                try {
-                    // Generate transcript automatically
-                    const transcriptionResults = await transcriptionService.transcribeSegments(recordingResult.speechSegments);
-                    const transcript = transcriptionService.formatTranscript(transcriptionResults);
+            // Keep long template lists within Discord's message limit
+            if (content.length > 2000) {
+                content = content.substring(0, 1997) + '...';
+            }
 
-                    // Save transcript to file
-                    const transcriptFilename = `transcript_${path.basename(recordingResult.outputFile, '.mp3')}.md`;
-                    const transcriptPath = path.join(path.dirname(recordingResult.outputFile), transcriptFilename);
-                    require('fs').writeFileSync(transcriptPath, transcript.text);
+            await interaction.reply({
+                content,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
 
-                    // Create download link for transcript
-                    transcriptUrl = this.expressServer.createTemporaryUrl(transcriptFilename);
-                    transcriptStats = transcript.metadata;
+        } catch (error) {
+            logger.error('Error in template command:', error);
+            await interaction.reply({
+                content: `❌ Failed to update the template: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
 
-                    // Create web viewer link
-                    const _webViewerUrl = this.createTranscriptViewerLink(transcriptFilename);
+    async handleTemplateAutocomplete(interaction) {
+        try {
+            const focusedValue = interaction.options.getFocused().toLowerCase();
+            const choices = summaryTemplateService.list(interaction.guildId)
+                .filter(template => template.name.includes(focusedValue))
+                .slice(0, 25) // Discord limit is 25 choices
+                .map(template => ({ name: template.name, value: template.name }));
 
-                    logger.info(`Auto-generated transcript with ${transcriptStats.transcribedSegments}/${transcriptStats.totalSegments} segments`);
+            await interaction.respond(choices);
+        } catch (error) {
+            logger.error('Error in template autocomplete:', error);
+        }
+    }
 
-                    // Generate title and brief summary from transcript content
-                    let briefSummary = null;
-                    try {
-                        await interaction.editReply({
-                            content: `${SUCCESS_MESSAGES.PROCESSING_AUDIO} ${SUCCESS_MESSAGES.GENERATING_TRANSCRIPT} 🏷️ Generating title and summary...`
-                        });
+    // Built-in summary types, then the server's templates
+    async handleSummaryTypeAutocomplete(interaction) {
+        try {
+            const focusedValue = interaction.options.getFocused().toLowerCase();
+            const choices = summarizationService.getSummaryTypes(interaction.guildId)
+                .map(type => ({ name: SUMMARIZATION.TYPE_LABELS[type] || `Template: ${type}`, value: type }))
+                .filter(choice => choice.name.toLowerCase().includes(focusedValue) || choice.value.includes(focusedValue))
+                .slice(0, 25); // Discord limit is 25 choices
 
-                        const transcriptId = path.basename(recordingResult.outputFile, '.mp3');
-                        const transcriptPath = path.join(path.dirname(recordingResult.outputFile), `transcript_${transcriptId}.md`);
+            await interaction.respond(choices);
+        } catch (error) {
+            logger.error('Error in summary type autocomplete:', error);
+            await interaction.respond([]);
+        }
+    }
 
-                        // Generate title
-                        const titleResult = await titleGenerationService.generateTitle(transcript.text);
-                        await titleGenerationService.saveTitle(titleResult, transcriptId);
-                        generatedTitle = titleResult;
-                        logger.info(`Generated title: "${titleResult.title}" (slug: ${titleResult.slug})`);
+    async handleOptOut(interaction) {
+        try {
+            this.optOutUser(interaction.guild.id, interaction.user.id);
 
-                        // Generate brief summary
-                        const summaryResult = await summarizationService.summarizeTranscript(transcriptPath, 'brief');
-                        briefSummary = summaryResult.summary;
-                        logger.info(`Generated brief summary for transcript ${transcriptId}`);
+            await interaction.reply({
+                content: SUCCESS_MESSAGES.OPTED_OUT,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
 
-                    } catch (titleError) {
-                        logger.error('Failed to generate title or summary:', titleError);
-                        // Continue without title - don't fail the whole recording
-                        // Generate fallback title
-                        try {
-                            const transcriptId = path.basename(recordingResult.outputFile, '.mp3');
-                            const fallbackTitle = titleGenerationService.generateFallbackTitle(transcriptId);
-                            await titleGenerationService.saveTitle(fallbackTitle, transcriptId);
-                            generatedTitle = fallbackTitle;
-                            logger.info(`Used fallback title: "${fallbackTitle.title}"`);
-                        } catch (fallbackError) {
-                            logger.error('Failed to generate fallback title:', fallbackError);
-                        }
-                    }
+        } catch (error) {
+            logger.error('Error in optout command:', error);
+            await interaction.reply({
+                content: `❌ Failed to opt out: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
 
-                    // Store data for the improved /stop response
-                    recordingResult.generatedTitle = generatedTitle;
-                    recordingResult.briefSummary = briefSummary;
+    async handleOptIn(interaction) {
+        try {
+            const guildId = interaction.guild.id;
+            const userId = interaction.user.id;
 
-                } catch (error) {
-                    logger.error('Failed to auto-generate transcript:', error);
-                    // Continue without transcript - don't fail the whole recording
-                } finally {
-                    // Clean up temp directory after transcription is complete
-                    if (shouldKeepTempFiles) {
-                        try {
-                            const fs = require('fs');
-                            if (fs.existsSync(recordingResult.tempDir)) {
-                                fs.rmSync(recordingResult.tempDir, { recursive: true, force: true });
-                                logger.info(`Cleaned up temp directory after transcription: ${recordingResult.tempDir}`);
-                            }
-                        } catch (cleanupError) {
-                            logger.error('Failed to clean up temp directory after transcription:', cleanupError);
-                        }
-                    }
-                }
+            let content = '💡 You have not opted out, so your voice is already included in recordings.';
+            if (consentService.optIn(guildId, userId)) {
+                content = voiceRecorder.isUserExcludedFromRecording(guildId, userId)
+                    ? `${SUCCESS_MESSAGES.OPTED_IN} You stay excluded from the recording in progress.`
+                    : SUCCESS_MESSAGES.OPTED_IN;
             }
 
-            // Generate temporary download link for audio
-            const fileName = path.basename(processedResult.outputFile);
-            const downloadUrl = this.expressServer.createTemporaryUrl(fileName);
-
-            const durationMinutes = Math.round(recordingResult.duration / 60000);
-            const fileSizeMB = Math.round(processedResult.fileSize / 1024 / 1024 * 100) / 100;
-
-            // Build response message
-            let responseContent = '🎙️ **Recording Complete!**\n\n';
+            await interaction.reply({
+                content,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
 
-            // Add title if available
-            if (recordingResult.generatedTitle) {
-                responseContent += `📝 **"${recordingResult.generatedTitle.title}"**\n\n`;
-            }
+        } catch (error) {
+            logger.error('Error in optin command:', error);
+            await interaction.reply({
+                content: `❌ Failed to opt in: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
 
-            // Add summary if available
-            if (recordingResult.briefSummary) {
-                const maxSummaryLength = 800;
-                const displaySummary = recordingResult.briefSummary.length > maxSummaryLength
-                    ? recordingResult.briefSummary.substring(0, maxSummaryLength) + '...'
-                    : recordingResult.briefSummary;
-                responseContent += `📋 **Summary:**\n${displaySummary}\n\n`;
-            }
+    async handlePause(interaction) {
+        try {
+            await voiceRecorder.pauseRecording(interaction.guild.id);
 
-            responseContent += '🔗 **Links:**\n';
-            responseContent += `• 🎵 [Audio Recording](${downloadUrl})\n`;
+            await interaction.reply({
+                content: SUCCESS_MESSAGES.RECORDING_PAUSED
+            });
 
-            // Add transcript info if available
-            if (transcriptUrl && transcriptStats) {
-                const recordingId = path.basename(recordingResult.outputFile, '.mp3');
-                const webViewerUrl = this.createTranscriptViewerLink(`transcript_${recordingId}.md`);
-                const detailedSummaryUrl = `${config.express.baseUrl}/summary?id=${recordingId}&type=detailed`;
-                
-                responseContent += `• 📄 [Transcript](${webViewerUrl}) | [Download](${transcriptUrl})\n`;
-                responseContent += `• 📊 [Detailed Summary](${detailedSummaryUrl})\n\n`;
-                
-                responseContent += `📈 **Stats:** ${transcriptStats.participants.join(', ')} • ${transcriptStats.transcribedSegments}/${transcriptStats.totalSegments} segments\n\n`;
-            } else if (recordingResult.speechSegments && recordingResult.speechSegments.length > 0) {
-                responseContent += '⚠️ **Transcript:** Generation failed, but you can try /transcribe later\n\n';
-            } else {
-                responseContent += `\n📊 **Recording Details:**\n`;
-                responseContent += `• Duration: ${durationMinutes} minutes\n`;
-                responseContent += `• File size: ${fileSizeMB} MB\n`;
-                responseContent += `• Participants: ${recordingResult.participants.length}\n\n`;
-            }
+        } catch (error) {
+            logger.error('Error in pause command:', error);
+            await interaction.reply({
+                content: `❌ Failed to pause recording: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
+            });
+        }
+    }
 
-            responseContent += '⚠️ *Files expire in 24 hours*';
+    async handleResume(interaction) {
+        try {
+            const pause = await voiceRecorder.resumeRecording(interaction.guild.id);
+            const pausedSeconds = Math.round(pause.duration / 1000);
 
-            await interaction.editReply({
-                content: responseContent
+            await interaction.reply({
+                content: `${SUCCESS_MESSAGES.RECORDING_RESUMED} (paused for ${transcriptionService.formatDuration(pausedSeconds)})`
             });
 
         } catch (error) {
-            logger.error('Error in stop command:', error);
-            await interaction.editReply({
-                content: `❌ Failed to stop recording: ${error.message}`
+            logger.error('Error in resume command:', error);
+            await interaction.reply({
+                content: `❌ Failed to resume recording: ${error.message}`,
+                flags: 1 << 6 // InteractionResponseFlags.Ephemeral
             });
         }
     }
@@ -372,6 +1362,11 @@ class CommandHandler {
                 return;
             }
 
+            if (interaction.options.getBoolean('tracks')) {
+                await this.replyWithTracksArchive(interaction, latestFile);
+                return;
+            }
+
             const downloadUrl = this.expressServer.createTemporaryUrl(latestFile.name);
             const created = new Date(latestFile.created);
             const fileSizeMB = Math.round(latestFile.size / 1024 / 1024 * 100) / 100;
@@ -393,6 +1388,30 @@ class CommandHandler {
         }
     }
 
+    async replyWithTracksArchive(interaction, recording) {
+        const archive = fileManager.getTracksArchive(recording.name);
+
+        if (!archive) {
+            await interaction.editReply({
+                content: `❌ No per-speaker tracks were exported for ${recording.name}.\n\n` +
+                        '💡 Use `/join tracks:<format>` to export them with the next recording.'
+            });
+            return;
+        }
+
+        const downloadUrl = this.expressServer.createTemporaryUrl(archive.name);
+        const fileSizeMB = Math.round(archive.size / 1024 / 1024 * 100) / 100;
+
+        await interaction.editReply({
+            content: '🎚️ **Per-speaker Tracks**\n\n' +
+                    `• Recording: ${recording.name}\n` +
+                    `• File: ${archive.name}\n` +
+                    `• Size: ${fileSizeMB} MB\n\n` +
+                    `📥 **Download:** ${downloadUrl}\n\n` +
+                    '⚠️ Files are automatically deleted after 24 hours.'
+        });
+    }
+
     async handleTranscribe(interaction) {
         try {
             await interaction.deferReply();
@@ -418,11 +1437,12 @@ class CommandHandler {
 
             // Look for speech segments metadata file
             const fs = require('fs');
-            const metadataPath = latestFile.path.replace('.mp3', '_segments.json');
+            const recordingId = fileManager.getRecordingId(latestFile.name);
+            const metadataPath = path.join(config.paths.recordings, `${recordingId}_segments.json`);
 
             if (!fs.existsSync(metadataPath)) {
                 // Fallback: try to find continuous user recording files
-                const tempDirPath = latestFile.path.replace('.mp3', '').replace('recordings', 'temp');
+                const tempDirPath = path.join(config.paths.temp, recordingId);
 
                 if (fs.existsSync(tempDirPath)) {
                     const userFiles = fs.readdirSync(tempDirPath)
@@ -460,21 +1480,17 @@ class CommandHandler {
                         });
 
                         // Transcribe the continuous files
-                        const transcriptionResults = await transcriptionService.transcribeSegments(userFiles);
-
-                        // Format the transcript
-                        const transcript = transcriptionService.formatTranscript(transcriptionResults);
+                        const transcriptionResults = await transcriptionService.transcribeSegments(userFiles, { guildId: interaction.guildId });
 
-                        // Save transcript to file
-                        const transcriptFilename = `transcript_${Date.now()}.md`;
-                        const transcriptPath = path.join(require('../config').paths.recordings, transcriptFilename);
-                        fs.writeFileSync(transcriptPath, transcript.text);
+                        // Save the canonical transcript JSON and its Markdown rendering
+                        const transcriptId = `${Date.now()}`;
+                        const transcript = transcriptionService.saveTranscript(transcriptId, transcriptionResults, { guildId: interaction.guildId });
+                        const transcriptFilename = `transcript_${transcriptId}.md`;
 
                         // Generate title for the transcript
                         let generatedTitle = null;
                         try {
-                            const transcriptId = transcriptFilename.replace('transcript_', '').replace('.md', '');
-                            const titleResult = await titleGenerationService.generateTitle(transcript.text);
+                            const titleResult = await titleGenerationService.generateTitle(transcript.document);
                             await titleGenerationService.saveTitle(titleResult, transcriptId);
                             generatedTitle = titleResult;
                             logger.info(`Generated title for manual transcription: "${titleResult.title}"`);
@@ -482,7 +1498,6 @@ class CommandHandler {
                             logger.error('Failed to generate title for manual transcription:', titleError);
                             // Generate fallback title
                             try {
-                                const transcriptId = transcriptFilename.replace('transcript_', '').replace('.md', '');
                                 const fallbackTitle = titleGenerationService.generateFallbackTitle(transcriptId);
                                 await titleGenerationService.saveTitle(fallbackTitle, transcriptId);
                                 generatedTitle = fallbackTitle;
@@ -536,16 +1551,18 @@ class CommandHandler {
                 return;
             }
 
-            if (!speechSegments || speechSegments.length === 0) {
+            if (!speechSegments || !speechSegments.some(segment => !transcriptionService.isTimelineGap(segment))) {
                 await interaction.editReply({
                     content: '❌ No speech segments found in the recording. Make sure people spoke during the recording.'
                 });
                 return;
             }
 
-            // Verify segment files still exist
-            const validSegments = speechSegments.filter(segment => fs.existsSync(segment.filename));
-            if (validSegments.length === 0) {
+            // Verify segment files still exist (gap markers have no file)
+            const validSegments = speechSegments.filter(segment =>
+                transcriptionService.isTimelineGap(segment) || fs.existsSync(segment.filename));
+            const validSpeechCount = validSegments.filter(segment => !transcriptionService.isTimelineGap(segment)).length;
+            if (validSpeechCount === 0) {
                 await interaction.editReply({
                     content: '❌ Speech segment files not found. They may have been cleaned up or moved.'
                 });
@@ -553,25 +1570,21 @@ class CommandHandler {
             }
 
             await interaction.editReply({
-                content: `🤖 Starting transcription of ${validSegments.length} speech segments...\n\n⏳ This may take a few moments depending on the amount of audio.`
+                content: `🤖 Starting transcription of ${validSpeechCount} speech segments...\n\n⏳ This may take a few moments depending on the amount of audio.`
             });
 
             // Transcribe the segments
-            const transcriptionResults = await transcriptionService.transcribeSegments(validSegments);
+            const transcriptionResults = await transcriptionService.transcribeSegments(validSegments, { guildId: interaction.guildId });
 
-            // Format the transcript
-            const transcript = transcriptionService.formatTranscript(transcriptionResults);
-
-            // Save transcript to file
-            const transcriptFilename = `transcript_${Date.now()}.md`;
-            const transcriptPath = require('path').join(require('../config').paths.recordings, transcriptFilename);
-            fs.writeFileSync(transcriptPath, transcript.text);
+            // Save the canonical transcript JSON and its Markdown rendering
+            const transcriptId = `${Date.now()}`;
+            const transcript = transcriptionService.saveTranscript(transcriptId, transcriptionResults, { guildId: interaction.guildId });
+            const transcriptFilename = `transcript_${transcriptId}.md`;
 
             // Generate title for the transcript
             let generatedTitle = null;
             try {
-                const transcriptId = transcriptFilename.replace('transcript_', '').replace('.md', '');
-                const titleResult = await titleGenerationService.generateTitle(transcript.text);
+                const titleResult = await titleGenerationService.generateTitle(transcript.document);
                 await titleGenerationService.saveTitle(titleResult, transcriptId);
                 generatedTitle = titleResult;
                 logger.info(`Generated title for manual transcription: "${titleResult.title}"`);
@@ -579,7 +1592,6 @@ class CommandHandler {
                 logger.error('Failed to generate title for manual transcription:', titleError);
                 // Generate fallback title
                 try {
-                    const transcriptId = transcriptFilename.replace('transcript_', '').replace('.md', '');
                     const fallbackTitle = titleGenerationService.generateFallbackTitle(transcriptId);
                     await titleGenerationService.saveTitle(fallbackTitle, transcriptId);
                     generatedTitle = fallbackTitle;
@@ -642,16 +1654,17 @@ class CommandHandler {
                     const filePath = path.join(config.paths.recordings, file);
                     const stats = fs.statSync(filePath);
 
-                    if (file.endsWith('.mp3')) {
+                    if (fileManager.isRecordingFile(file)) {
                         // Extract recording ID from filename
-                        const recordingId = file.replace('.mp3', '');
+                        const recordingId = fileManager.getRecordingId(file);
                         recordings.push({
                             id: recordingId,
                             name: file,
+                            format: path.extname(file).slice(1).toUpperCase(),
                             size: Math.round(stats.size / 1024 / 1024 * 100) / 100, // MB
                             created: stats.ctime
                         });
-                    } else if (file.startsWith('transcript_') && file.endsWith('.md')) {
+                    } else if (file.startsWith('transcript_') && file.endsWith('.md') && !file.slice(0, -'.md'.length).includes('.')) {
                         // Extract transcript ID from filename
                         const transcriptId = file.replace('transcript_', '').replace('.md', '');
 
@@ -689,7 +1702,7 @@ class CommandHandler {
                     const recentRecordings = recordings.slice(0, 3); // Show max 3
                     for (const recording of recentRecordings) {
                         const date = recording.created.toLocaleDateString();
-                        response += `• \`${recording.id}\` - ${recording.size}MB - ${date}\n`;
+                        response += `• \`${recording.id}\` - ${recording.format} - ${recording.size}MB - ${date}\n`;
                     }
                     if (recordings.length > 3) {
                         response += `... and ${recordings.length - 3} more\n`;
@@ -741,39 +1754,29 @@ class CommandHandler {
             const transcriptInput = interaction.options.getString('transcript') || 'latest';
             logger.info(`Processing summary request - type: ${summaryType}, transcript: ${transcriptInput}`);
 
-            // Validate summary type
-            if (!summarizationService.validateSummaryType(summaryType)) {
+            // Validate summary type; the server's templates count as types
+            if (!summarizationService.validateSummaryType(summaryType, interaction.guildId)) {
                 await interaction.editReply({
-                    content: '❌ Invalid summary type. Valid types: brief, detailed, key_points'
+                    content: `❌ Invalid summary type. Valid types: ${summarizationService.getSummaryTypes(interaction.guildId).join(', ')}`
                 });
                 return;
             }
 
-            // Find the transcript file
-            let transcriptPath = null;
+            // Find the transcript
             let transcriptId = null;
 
             if (transcriptInput === 'latest') {
                 // Find latest transcript
-                const fs = require('fs');
-                const files = fs.readdirSync(config.paths.recordings)
-                    .filter(file => file.startsWith('transcript_') && file.endsWith('.md'))
-                    .map(file => ({
-                        name: file,
-                        path: path.join(config.paths.recordings, file),
-                        created: fs.statSync(path.join(config.paths.recordings, file)).ctime
-                    }))
-                    .sort((a, b) => b.created - a.created);
-
-                if (files.length === 0) {
+                const latest = transcriptStore.list()[0];
+
+                if (!latest) {
                     await interaction.editReply({
                         content: '❌ No transcript files found. Generate a transcript first using /transcribe or /stop.'
                     });
                     return;
                 }
 
-                transcriptPath = files[0].path;
-                transcriptId = files[0].name.replace('transcript_', '').replace('.md', '');
+                transcriptId = latest.id;
             } else {
                 // Use specific transcript ID
                 transcriptId = transcriptInput;
@@ -786,9 +1789,7 @@ class CommandHandler {
                     return;
                 }
 
-                transcriptPath = path.join(config.paths.recordings, `transcript_${transcriptId}.md`);
-
-                if (!require('fs').existsSync(transcriptPath)) {
+                if (!transcriptStore.exists(transcriptId)) {
                     await interaction.editReply({
                         content: `❌ Transcript not found: ${transcriptId}. Use "latest" or check your transcript ID.`
                     });
@@ -817,7 +1818,7 @@ class CommandHandler {
                 const summaryText = summaryLines.slice(summaryStartIndex, summaryEndIndex).join('\n').trim();
 
                 // For brief summaries, post in Discord if short enough
-                if (summaryType === 'brief' && summaryText.length <= 1800) {
+                if (SUMMARIZATION.INLINE_TYPES.includes(summaryType) && summaryText.length <= SUMMARIZATION.BRIEF_SUMMARY_MAX_LENGTH) {
                     await interaction.editReply({
                         content: `📝 **${summaryType.charAt(0).toUpperCase() + summaryType.slice(1)} Summary** (cached)\n\n${summaryText}`
                     });
@@ -839,17 +1840,33 @@ class CommandHandler {
                 content: `🤖 Generating ${summaryType} summary...\n\n⏳ This may take a few moments.`
             });
 
-            // Generate new summary with timeout
+            // Long transcripts are summarized in parts, so keep the reply updated as they finish
+            const onProgress = ({ stage, part, total }) => interaction.editReply({
+                content: stage === 'map'
+                    ? `🤖 Generating ${summaryType} summary...\n\n📚 Long transcript, summarizing it in ${total} parts\n⏳ Summarizing part ${part}/${total}...`
+                    : `🤖 Generating ${summaryType} summary...\n\n📚 Long transcript, summarized in ${total} parts\n🧩 Combining the part summaries...`
+            });
+
+            // Generate new summary with timeout; giving up also cancels the parts still to come
+            // and stops their progress edits from overwriting the error reply
+            const controller = new AbortController();
+            let timeout;
             const summaryResult = await Promise.race([
-                summarizationService.summarizeTranscript(transcriptPath, summaryType),
-                new Promise((_, reject) => setTimeout(() => reject(new Error('Summarization timed out')), 45000))
-            ]);
+                summarizationService.summarizeTranscript(transcriptId, summaryType, { onProgress, guildId: interaction.guildId, signal: controller.signal }),
+                new Promise((_, reject) => {
+                    timeout = setTimeout(() => {
+                        const error = new Error('Summarization timed out');
+                        controller.abort(error);
+                        reject(error);
+                    }, SUMMARIZATION.COMMAND_TIMEOUT_MS);
+                })
+            ]).finally(() => clearTimeout(timeout));
 
             // Save summary to file
             const savedSummary = await summarizationService.saveSummary(summaryResult, transcriptId, summaryType);
 
             // For brief summaries, post in Discord if short enough
-            if (summaryType === 'brief' && summaryResult.summary.length <= 1800) {
+            if (SUMMARIZATION.INLINE_TYPES.includes(summaryType) && summaryResult.summary.length <= SUMMARIZATION.BRIEF_SUMMARY_MAX_LENGTH) {
                 await interaction.editReply({
                     content: `📝 **${summaryType.charAt(0).toUpperCase() + summaryType.slice(1)} Summary**\n\n${summaryResult.summary}\n\n` +
                             `📊 **Stats:** ${summaryResult.metadata.compressionRatio}% of original length`
@@ -864,7 +1881,9 @@ class CommandHandler {
                             '📊 **Stats:**\n' +
                             `• Original length: ${summaryResult.metadata.originalLength} characters\n` +
                             `• Summary length: ${summaryResult.metadata.summaryLength} characters\n` +
-                            `• Compression: ${100 - summaryResult.metadata.compressionRatio}% reduction\n\n` +
+                            `• Compression: ${100 - summaryResult.metadata.compressionRatio}% reduction\n` +
+                            (summaryResult.metadata.chunks > 1 ? `• Summarized in ${summaryResult.metadata.chunks} parts\n` : '') +
+                            '\n' +
                             `📄 **View:** [Online](${webViewerUrl}) | [Download](${downloadUrl})\n\n` +
                             '⚠️ Summary files are automatically deleted after 24 hours.'
                 });
@@ -884,6 +1903,288 @@ class CommandHandler {
         }
     }
 
+    async handleExport(interaction) {
+        try {
+            await interaction.deferReply();
+
+            const format = interaction.options.getString('format');
+            const transcriptInput = interaction.options.getString('transcript') || 'latest';
+            const includeSummaries = interaction.options.getBoolean('summaries') || false;
+
+            if (!transcriptExportService.isSupportedFormat(format)) {
+                await interaction.editReply({
+                    content: `❌ Invalid format. Valid formats: ${Object.keys(TRANSCRIPT_EXPORT.FORMATS).join(', ')}`
+                });
+                return;
+            }
+
+            let transcriptId = transcriptInput;
+            if (transcriptInput === 'latest') {
+                transcriptId = this.findLatestTranscript(interaction.guildId);
+                if (!transcriptId) {
+                    await interaction.editReply({
+                        content: '❌ No transcripts from this server found. Generate a transcript first using /transcribe or /stop.'
+                    });
+                    return;
+                }
+            } else if (!/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                // Validate transcript ID to prevent path traversal
+                await interaction.editReply({
+                    content: '❌ Invalid transcript ID format. Use alphanumeric characters, underscores, and hyphens only.'
+                });
+                return;
+            }
+
+            const transcript = transcriptStore.read(transcriptId);
+            if (!transcript) {
+                await interaction.editReply({
+                    content: transcriptStore.exists(transcriptId)
+                        ? '❌ This transcript was saved before exports were available. Run /transcribe again to export it.'
+                        : `❌ Transcript not found: ${transcriptId}. Use "latest" or check your transcript ID.`
+                });
+                return;
+            }
+
+            const titleData = titleGenerationService.getTitle(transcriptId);
+            const exported = await transcriptExportService.saveExport(transcript, format, { includeSummaries });
+            const downloadUrl = this.expressServer.createTemporaryUrl(exported.fileName);
+
+            let message = `📤 **${TRANSCRIPT_EXPORT.FORMATS[format].label}**\n`;
+            if (titleData && titleData.title) {
+                message += `📝 **"${titleData.title}"**\n`;
+            }
+            message += `🔗 [Download ${exported.fileName}](${downloadUrl})\n`;
+            if (TRANSCRIPT_EXPORT.FORMATS[format].subtitles) {
+                message += '⏱️ Timings start at 00:00:00 when the recording starts, so they line up with the recording file\n';
+            } else if (includeSummaries) {
+                message += '📋 Includes the title and any summaries generated so far\n';
+            }
+            message += '⚠️ *Link expires in 24 hours*';
+
+            await interaction.editReply({ content: message });
+        } catch (error) {
+            logger.error('Error in export command:', error);
+            await interaction.editReply({
+                content: `❌ Failed to export transcript: ${error.message}`
+            });
+        }
+    }
+
+    async handleTranslate(interaction) {
+        try {
+            await interaction.deferReply();
+
+            const language = interaction.options.getString('language');
+            const transcriptInput = interaction.options.getString('transcript') || 'latest';
+            const includeSummaries = interaction.options.getBoolean('summaries') || false;
+
+            if (!translationService.isSupportedLanguage(language)) {
+                await interaction.editReply({
+                    content: `❌ Invalid language. Valid languages: ${Object.keys(TRANSCRIPTION.LANGUAGES).join(', ')}`
+                });
+                return;
+            }
+
+            let transcriptId = transcriptInput;
+            if (transcriptInput === 'latest') {
+                transcriptId = this.findLatestTranscript(interaction.guildId);
+                if (!transcriptId) {
+                    await interaction.editReply({
+                        content: '❌ No transcripts from this server found. Generate a transcript first using /transcribe or /stop.'
+                    });
+                    return;
+                }
+            } else if (!/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                // Validate transcript ID to prevent path traversal
+                await interaction.editReply({
+                    content: '❌ Invalid transcript ID format. Use alphanumeric characters, underscores, and hyphens only.'
+                });
+                return;
+            }
+
+            if (!transcriptStore.read(transcriptId)) {
+                await interaction.editReply({
+                    content: transcriptStore.exists(transcriptId)
+                        ? '❌ This transcript was saved before translations were available. Run /transcribe again to translate it.'
+                        : `❌ Transcript not found: ${transcriptId}. Use "latest" or check your transcript ID.`
+                });
+                return;
+            }
+
+            await interaction.editReply({
+                content: `🌐 Translating transcript into ${TRANSCRIPTION.LANGUAGES[language]}... This may take a moment.`
+            });
+
+            const result = await translationService.translateTranscript(transcriptId, language, { includeSummaries });
+            const titleData = titleGenerationService.getTitle(transcriptId);
+            const fileName = path.basename(transcriptStore.getMarkdownPath(transcriptId, language));
+            const downloadUrl = this.expressServer.createTemporaryUrl(fileName);
+            const viewUrl = `${config.express.baseUrl}/?id=${transcriptId}&lang=${language}`;
+
+            let message = `🌐 **Translated to ${TRANSCRIPTION.LANGUAGES[language]}**\n`;
+            if (titleData && titleData.title) {
+                message += `📝 **"${titleData.title}"**\n`;
+            }
+            message += `🌐 [View translation](${viewUrl})\n`;
+            message += `🔗 [Download ${fileName}](${downloadUrl})\n`;
+            if (result.summaries.length > 0) {
+                message += `📋 Summaries in ${TRANSCRIPTION.LANGUAGES[language]}: ${result.summaries.join(', ')}\n`;
+            } else if (includeSummaries) {
+                message += '📋 No summaries to translate yet. Generate one with /summarize first\n';
+            }
+            message += '⚠️ *Link expires in 24 hours*';
+
+            await interaction.editReply({ content: message });
+        } catch (error) {
+            logger.error('Error in translate command:', error);
+            await interaction.editReply({
+                content: `❌ Failed to translate transcript: ${error.message}`
+            });
+        }
+    }
+
+    async handleAsk(interaction) {
+        try {
+            await interaction.deferReply();
+
+            const question = interaction.options.getString('question').trim();
+            const transcriptInput = interaction.options.getString('transcript');
+
+            let transcriptId = null;
+            if (transcriptInput === 'latest') {
+                transcriptId = this.findLatestTranscript(interaction.guildId);
+                if (!transcriptId) {
+                    await interaction.editReply({
+                        content: '❌ No transcripts from this server found. Generate a transcript first using /transcribe or /stop.'
+                    });
+                    return;
+                }
+            } else if (transcriptInput) {
+                transcriptId = transcriptInput;
+
+                // Validate transcript ID to prevent path traversal
+                if (!/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                    await interaction.editReply({
+                        content: '❌ Invalid transcript ID format. Use alphanumeric characters, underscores, and hyphens only.'
+                    });
+                    return;
+                }
+            }
+
+            // Questions only see this server's recordings
+            const transcript = transcriptId && transcriptStore.read(transcriptId);
+            if (transcript && transcript.guildId && transcript.guildId !== interaction.guildId) {
+                await interaction.editReply({
+                    content: `❌ Transcript ${transcriptId} was recorded in another server.`
+                });
+                return;
+            }
+
+            const result = await askService.ask(question, { transcriptId, guildId: interaction.guildId });
+            const scope = transcriptId ? '' : ` *(searched ${result.searched} transcripts)*`;
+
+            let message = `❓ **${question}**${scope}\n\n${result.answer}`;
+
+            if (result.citations.length > 0) {
+                message += '\n\n📎 **Sources**';
+                for (const citation of result.citations) {
+                    const quote = citation.text.length > 80 ? `${citation.text.substring(0, 77)}...` : citation.text;
+                    const source = !transcriptId && citation.title ? ` — ${citation.title}` : '';
+                    const line = `\n[${citation.number}] [${citation.speaker} · ${citation.timestamp}](${config.express.baseUrl}${citation.path}) "${quote}"${source}`;
+
+                    // Keep within Discord's message limit, dropping the sources that don't fit
+                    if (message.length + line.length > SUMMARIZATION.DISCORD_MAX_MESSAGE_LENGTH) {
+                        break;
+                    }
+                    message += line;
+                }
+            }
+
+            if (message.length > SUMMARIZATION.DISCORD_MAX_MESSAGE_LENGTH) {
+                message = message.substring(0, SUMMARIZATION.DISCORD_MAX_MESSAGE_LENGTH - 3) + '...';
+            }
+
+            await interaction.editReply({ content: message });
+        } catch (error) {
+            logger.error('Error in ask command:', error);
+            await interaction.editReply({
+                content: `❌ Failed to answer the question: ${error.message}`
+            });
+        }
+    }
+
+    async handleDigest(interaction) {
+        try {
+            await interaction.deferReply();
+
+            const range = digestService.resolveRange({
+                period: interaction.options.getString('period'),
+                from: interaction.options.getString('from'),
+                to: interaction.options.getString('to')
+            });
+
+            await interaction.editReply({
+                content: `📰 Writing a digest for ${range.label}...\n\n⏳ This may take a few moments.`
+            });
+
+            // Meetings without a summary get one first, so keep the reply updated
+            const onProgress = ({ stage, meeting, total }) => interaction.editReply({
+                content: stage === 'summarize'
+                    ? `📰 Writing a digest for ${range.label}...\n\n📝 Summarizing meeting ${meeting}/${total}, which has no summary yet...`
+                    : `📰 Writing a digest for ${range.label}...\n\n🧩 Combining ${total} meetings...`
+            });
+
+            // Giving up also cancels the summaries still to be made, as in /summarize
+            const controller = new AbortController();
+            let timeout;
+            const digest = await Promise.race([
+                digestService.createDigest(interaction.guildId, range, { onProgress, signal: controller.signal }),
+                new Promise((_, reject) => {
+                    timeout = setTimeout(() => {
+                        const error = new Error('Digest timed out');
+                        controller.abort(error);
+                        reject(error);
+                    }, SUMMARIZATION.COMMAND_TIMEOUT_MS);
+                })
+            ]).finally(() => clearTimeout(timeout));
+
+            const downloadUrl = this.expressServer.createTemporaryUrl(path.basename(digestService.getDigestPath(digest.digestId, 'md')));
+            const webViewerUrl = `${config.express.baseUrl}/digest?id=${digest.digestId}`;
+
+            let message = `📰 **Digest: ${digest.label}** (${digest.meetings.length} ${digest.meetings.length === 1 ? 'meeting' : 'meetings'})\n\n` +
+                `📄 **View:** [Online](${webViewerUrl}) | [Download](${downloadUrl})\n\n` +
+                '🎙️ **Meetings:**';
+
+            for (const meeting of digest.meetings) {
+                const date = new Date(meeting.recordingStart).toISOString().slice(0, 10);
+                const leftOut = meeting.error ? ` *(left out: ${meeting.error})*` : '';
+                const line = `\n• ${date} — [${meeting.title || meeting.transcriptId}](${config.express.baseUrl}/?id=${meeting.transcriptId})${leftOut}`;
+
+                // Keep within Discord's message limit, leaving room for the expiry note
+                if (message.length + line.length > SUMMARIZATION.DISCORD_MAX_MESSAGE_LENGTH - 100) {
+                    message += '\n• ...';
+                    break;
+                }
+                message += line;
+            }
+
+            await interaction.editReply({
+                content: `${message}\n\n⚠️ *Link expires in 24 hours*`
+            });
+        } catch (error) {
+            logger.error('Error in digest command:', error);
+
+            // Try to respond with error, but don't fail if interaction is already expired
+            try {
+                await interaction.editReply({
+                    content: `❌ Failed to create digest: ${error.message}`
+                });
+            } catch (interactionError) {
+                logger.error('Failed to edit reply with error message:', interactionError);
+            }
+        }
+    }
+
     async handleInteraction(interaction) {
         if (!interaction.isChatInputCommand()) {
             return;
@@ -951,7 +2252,7 @@ class CommandHandler {
             const { recordingId, transcriptId, title, briefSummary, _transcriptPath, _recordingPath, transcriptStats } = recordingData;
 
             // Generate URLs
-            const recordingUrl = this.expressServer.createTemporaryUrl(`${recordingId}.mp3`);
+            const recordingUrl = this.expressServer.createTemporaryUrl(fileManager.findRecordingFile(recordingId));
             const transcriptUrl = this.expressServer.createTemporaryUrl(`transcript_${transcriptId}.md`);
             const webViewerUrl = this.createTranscriptViewerLink(`transcript_${transcriptId}.md`);
             const detailedSummaryUrl = `${config.express.baseUrl}/summary?id=${transcriptId}&type=detailed`;
@@ -993,31 +2294,26 @@ class CommandHandler {
         }
     }
 
-    async handleSummarizeAutocomplete(interaction) {
+    /**
+     * What "latest" means for a transcript option: the newest transcript recorded in
+     * the guild, never another server's. Transcripts saved before the JSON existed
+     * record no guild and are skipped.
+     * @returns {string|null} - Transcript ID
+     */
+    findLatestTranscript(guildId) {
+        const latest = transcriptStore.list().find(file => {
+            const transcript = transcriptStore.read(file.id);
+            return transcript && transcript.guildId === guildId;
+        });
+        return latest ? latest.id : null;
+    }
+
+    async handleTranscriptAutocomplete(interaction) {
         try {
             const focusedValue = interaction.options.getFocused();
-            const fs = require('fs');
-
-            if (!fs.existsSync(config.paths.recordings)) {
-                await interaction.respond([]);
-                return;
-            }
 
             // Get available transcripts with titles
-            const files = fs.readdirSync(config.paths.recordings)
-                .filter(file => file.startsWith('transcript_') && file.endsWith('.md'))
-                .map(file => {
-                    const transcriptId = file.replace('transcript_', '').replace('.md', '');
-                    const filePath = path.join(config.paths.recordings, file);
-                    const stats = fs.statSync(filePath);
-
-                    return {
-                        id: transcriptId,
-                        file: file,
-                        created: stats.ctime
-                    };
-                })
-                .sort((a, b) => b.created - a.created);
+            const files = transcriptStore.list();
 
             // Get titles for these transcripts
             const choices = [];
@@ -1050,7 +2346,7 @@ class CommandHandler {
 
             await interaction.respond(filtered);
         } catch (error) {
-            logger.error('Error in summarize autocomplete:', error);
+            logger.error('Error in transcript autocomplete:', error);
             await interaction.respond([]);
         }
     }
@@ -1,29 +1,73 @@
 const dotenv = require('dotenv');
+const { RECORDING, COMMANDS, AUDIO_OUTPUT, TRANSCRIPTION, SUMMARIZATION, ASK } = require('./constants');
 
 dotenv.config();
 
 const requiredEnvVars = [
-    'DISCORD_BOT_TOKEN',
-    'GROQ_API_KEY'
+    'DISCORD_BOT_TOKEN'
 ];
 
+// What the bot-wide transcription provider cannot run without
+const providerEnvVars = {
+    groq: ['GROQ_API_KEY'],
+    openai: ['OPENAI_TRANSCRIPTION_BASE_URL'],
+    whisper_server: ['WHISPER_SERVER_URL']
+};
+
 function validateEnv() {
-    const missing = requiredEnvVars.filter(varName => !process.env[varName]);
+    const provider = process.env.TRANSCRIPTION_PROVIDER || TRANSCRIPTION.DEFAULT_PROVIDER;
+    if (!providerEnvVars[provider]) {
+        console.error(`Unknown TRANSCRIPTION_PROVIDER "${provider}", expected one of: ${Object.keys(providerEnvVars).join(', ')}`);
+        throw new Error(`Unknown transcription provider: ${provider}`);
+    }
+
+    const missing = [...requiredEnvVars, ...providerEnvVars[provider]].filter(varName => !process.env[varName]);
 
     if (missing.length > 0) {
         console.error('Missing required environment variables:', missing.join(', '));
         console.error('Please copy .env.example to .env and fill in the required values');
-        throw new Error('DISCORD_TOKEN is required');
+        throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 }
 
+function parseDurationEnv(varName, unitMs, defaultMs) {
+    const value = parseFloat(process.env[varName]);
+    return Number.isNaN(value) || value < 0 ? defaultMs : Math.round(value * unitMs);
+}
+
 const config = {
     discord: {
         token: process.env.DISCORD_BOT_TOKEN,
         guildId: process.env.GUILD_ID
     },
     groq: {
-        apiKey: process.env.GROQ_API_KEY
+        apiKey: process.env.GROQ_API_KEY // Also used for summaries and titles
+    },
+    summarization: {
+        language: process.env.SUMMARY_LANGUAGE || SUMMARIZATION.DEFAULT_OUTPUT_LANGUAGE // Summaries and titles
+    },
+    ask: {
+        // Any OpenAI-compatible chat API answers /ask; Groq unless set
+        baseUrl: process.env.ASK_API_BASE_URL || ASK.DEFAULT_BASE_URL,
+        apiKey: process.env.ASK_API_KEY || (process.env.ASK_API_BASE_URL ? null : process.env.GROQ_API_KEY),
+        model: process.env.ASK_MODEL || ASK.DEFAULT_MODEL
+    },
+    transcription: {
+        provider: process.env.TRANSCRIPTION_PROVIDER || TRANSCRIPTION.DEFAULT_PROVIDER,
+        concurrency: parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || TRANSCRIPTION.DEFAULT_CONCURRENCY,
+        maxAttempts: parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS) || TRANSCRIPTION.DEFAULT_MAX_ATTEMPTS,
+        language: process.env.TRANSCRIPTION_LANGUAGE || TRANSCRIPTION.DEFAULT_LANGUAGE, // A code from TRANSCRIPTION.LANGUAGES or 'auto'
+        vocabularyCorrections: process.env.TRANSCRIPTION_VOCABULARY_CORRECTIONS !== 'false', // Fix glossary terms in the final text
+        openai: {
+            baseUrl: process.env.OPENAI_TRANSCRIPTION_BASE_URL,
+            apiKey: process.env.OPENAI_TRANSCRIPTION_API_KEY,
+            model: process.env.OPENAI_TRANSCRIPTION_MODEL || TRANSCRIPTION.OPENAI_DEFAULT_MODEL
+        },
+        whisperServer: {
+            url: process.env.WHISPER_SERVER_URL,
+            inferencePath: process.env.WHISPER_SERVER_INFERENCE_PATH || TRANSCRIPTION.WHISPER_SERVER_INFERENCE_PATH,
+            maxFileSizeBytes: (parseFloat(process.env.WHISPER_SERVER_MAX_FILE_SIZE_MB) || 0) * 1024 * 1024 || null // Provider default when unset
+        }
     },
     express: {
         port: parseInt(process.env.WEB_PORT || process.env.EXPRESS_PORT) || 3000,
@@ -33,14 +77,26 @@ const config = {
         temporaryUrlExpiry: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
     },
     audio: {
-        quality: process.env.AUDIO_QUALITY || '192k',
+        // Default output profile; guilds and individual recordings can override it
+        format: process.env.AUDIO_FORMAT || AUDIO_OUTPUT.DEFAULT_FORMAT,
+        preset: process.env.AUDIO_PRESET || AUDIO_OUTPUT.DEFAULT_PRESET,
+        quality: process.env.AUDIO_QUALITY || null, // Bitrate override for lossy formats when no preset is chosen
+        mastering: process.env.AUDIO_MASTERING === 'true', // Loudness-normalize speakers and compress/limit the mix
         ffmpegPath: process.env.FFMPEG_PATH,
+        multitrackFormat: process.env.MULTITRACK_FORMAT || null, // flac, wav or opus; unset exports no tracks unless /join asks
         sampleRate: 48000,
         channels: 2
     },
+    recording: {
+        // 0 disables the corresponding auto-stop
+        emptyChannelGraceMs: parseDurationEnv('AUTO_STOP_EMPTY_SECONDS', 1000, RECORDING.EMPTY_CHANNEL_GRACE_MS),
+        idleTimeoutMs: parseDurationEnv('AUTO_STOP_IDLE_MINUTES', 60000, RECORDING.IDLE_TIMEOUT_MS),
+        maxDurationMs: parseDurationEnv('MAX_RECORDING_MINUTES', 60000, COMMANDS.MAX_RECORDING_DURATION_MS)
+    },
     paths: {
         recordings: './recordings',
-        temp: './temp'
+        temp: './temp',
+        data: './data' // Persistent bot state (consent choices etc.)
     },
     environment: process.env.NODE_ENV || 'development',
     logLevel: process.env.LOG_LEVEL || 'info'
@@ -1,24 +1,124 @@
 // Transcription Service Constants
 const TRANSCRIPTION = {
     // File size limits
-    MAX_FILE_SIZE_BYTES: 100 * 1024 * 1024, // 100MB (Groq API limit)
     MIN_FILE_SIZE_BYTES: 10000, // 10KB minimum for meaningful audio
 
-    // Audio quality thresholds
-    MIN_AUDIO_ENERGY: 0.01, // RMS energy threshold for silence detection
-    MIN_PEAK_AMPLITUDE: 0.05, // Peak amplitude threshold
+    // Providers; the bot-wide default comes from TRANSCRIPTION_PROVIDER and guilds can pick another.
+    // Segments over a provider's upload limit are sent in chunks
+    PROVIDERS: {
+        groq: { label: 'Groq (hosted Whisper)', maxFileSizeBytes: 100 * 1024 * 1024 },
+        openai: { label: 'OpenAI-compatible API', maxFileSizeBytes: 25 * 1024 * 1024 },
+        whisper_server: { label: 'Local Whisper server', maxFileSizeBytes: 100 * 1024 * 1024 } // WHISPER_SERVER_MAX_FILE_SIZE_MB changes it
+    },
+    DEFAULT_PROVIDER: 'groq',
+    GROQ_BASE_URL: 'https://api.groq.com/openai/v1',
+    OPENAI_DEFAULT_MODEL: 'whisper-1',
+    WHISPER_SERVER_INFERENCE_PATH: '/inference', // whisper.cpp server
 
     // API configuration
     API_TIMEOUT_MS: 30000, // 30 seconds
-    DEFAULT_MODEL: 'whisper-large-v3-turbo',
-    DEFAULT_LANGUAGE: 'en',
+    LOCAL_API_TIMEOUT_MS: 300000, // 5 minutes; local servers often run on CPU
+    DEFAULT_MODEL: 'whisper-large-v3-turbo', // Groq model
+
+    // Worker pool and retries
+    DEFAULT_CONCURRENCY: 4, // Segments in flight at once
+    DEFAULT_MAX_ATTEMPTS: 4, // First try plus three retries
+    RETRY_BASE_DELAY_MS: 1000, // Doubles on each retry...
+    RETRY_MAX_DELAY_MS: 30000, // ...up to this
+    MAX_RETRY_AFTER_MS: 120000, // Cap on how long a Retry-After header can hold us up
+    DEFAULT_LANGUAGE: 'en', // Bot-wide default; TRANSCRIPTION_LANGUAGE and /settings transcription change it
+    AUTO_LANGUAGE: 'auto', // Let the provider detect the language of each segment
+    // Languages offered in /settings for speech and for summaries, by ISO 639-1 code (Discord allows 25 choices)
+    LANGUAGES: {
+        en: 'English',
+        de: 'German',
+        es: 'Spanish',
+        fr: 'French',
+        it: 'Italian',
+        pt: 'Portuguese',
+        nl: 'Dutch',
+        pl: 'Polish',
+        sv: 'Swedish',
+        tr: 'Turkish',
+        ru: 'Russian',
+        uk: 'Ukrainian',
+        ja: 'Japanese',
+        ko: 'Korean',
+        zh: 'Chinese'
+    },
     RESPONSE_FORMAT: 'verbose_json',
+    DOCUMENT_VERSION: 1, // Version of the canonical transcript_<id>.json layout
 
     // Confidence score thresholds
     LOW_CONFIDENCE_THRESHOLD: 20, // Below 20% is considered low confidence
     MIN_CONFIDENCE_FOR_DISPLAY: 5 // Below 5% probably shouldn't be shown
 };
 
+// Cleanup applied to each segment between WAV conversion and transcription
+const SPEECH_PREPROCESSING = {
+    // ffmpeg filters: drop rumble and hum below the voice band, then FFT denoise with noise tracking
+    HIGHPASS_FILTER: 'highpass=f=100',
+    DENOISE_FILTER: 'afftdn=nr=12:nf=-40:tn=1',
+
+    // Frame energy VAD over the whole segment
+    VAD_FRAME_MS: 30,
+    VAD_NOISE_FLOOR_PERCENTILE: 0.1, // Quietest 10% of frames estimate the noise floor
+    VAD_NOISE_MARGIN_DB: 12, // Speech must be this far above the noise floor...
+    VAD_MIN_THRESHOLD_DBFS: -50, // ...but never quieter than this
+    VAD_MAX_THRESHOLD_DBFS: -35, // ...and never louder than this, so all-speech segments still pass
+    VAD_HANGOVER_MS: 300, // Join speech regions separated by shorter gaps
+
+    // Trimming
+    MIN_SPEECH_MS: 250, // Less detected speech than this skips the segment
+    TRIM_PADDING_MS: 200, // Audio kept either side of the detected speech
+    MIN_TRIM_MS: 100, // Shorter leading/trailing silence is left alone
+
+    // Splitting segments over the provider's maxFileSizeBytes
+    SPLIT_SEARCH_WINDOW_MS: 15000, // How far before the size limit to look for a quiet cut point
+    SPLIT_OVERLAP_MS: 2000, // Audio shared by neighbouring chunks
+    MAX_OVERLAP_WORDS: 12 // Longest repeat removed when stitching chunk transcripts
+};
+
+// Dropping lines Whisper made up from noise or silence, see HallucinationFilter
+const HALLUCINATION_FILTER = {
+    // Whisper's own thresholds: likely silence when both hold, a decoding loop above the ratio
+    NO_SPEECH_PROB_THRESHOLD: 0.6,
+    NO_SPEECH_MAX_LOGPROB: -1.0,
+    MAX_COMPRESSION_RATIO: 2.4,
+    LOW_CONFIDENCE_LOGPROB: -1.0, // Kept lines below this are flagged
+
+    // Phrases from the subtitled videos Whisper was trained on, dropped wherever they make up a whole line.
+    // Compared lowercased with punctuation removed
+    PHRASES: [
+        'thank you for watching',
+        'thanks for watching',
+        'thank you so much for watching',
+        'thank you very much for watching',
+        'thanks for watching and see you next time',
+        'please subscribe',
+        'please like and subscribe',
+        'like and subscribe',
+        'dont forget to like and subscribe',
+        'subscribe to my channel',
+        'see you in the next video',
+        'ご視聴ありがとうございました',
+        'untertitel im auftrag des zdf',
+        'untertitelung des zdf'
+    ],
+    PREFIXES: ['subtitles by', 'subtitled by', 'transcribed by', 'translated by', 'captions by', 'untertitel der', 'soustitres réalisés par'],
+    // Real things people say, but also what Whisper hears in noise: dropped only when Whisper was unsure
+    SUSPECT_PHRASES: ['bye', 'bye bye', 'thank you', 'thanks', 'thank you very much', 'thank you for listening', 'you', 'okay', 'so'],
+    SUSPECT_NO_SPEECH_PROB: 0.2,
+    SUSPECT_MAX_LOGPROB: -0.7,
+
+    // Repetition
+    MAX_REPEAT_NGRAM: 8, // Longest run of words checked for repeats
+    MIN_REPEATS: 3, // A phrase said this many times in a row can be collapsed to one...
+    MIN_REPEATED_RUN_WORDS: 8, // ...when the run is at least this many words, since people say "no, no, no" too...
+    SUSPECT_COMPRESSION_RATIO: 2.0, // ...or when the line scores above this ratio or below LOW_CONFIDENCE_LOGPROB
+    MIN_REPEATED_LINE_WORDS: 3 // A line identical to the one before it is dropped if it has this many words
+};
+
 // Summarization Service Constants
 const SUMMARIZATION = {
     // API configuration
@@ -31,19 +131,117 @@ const SUMMARIZATION = {
     MAX_TOKENS: {
         brief: 300,      // ~150-200 words
         detailed: 1000,  // ~500-800 words
-        key_points: 500  // ~250-400 words
+        key_points: 500, // ~250-400 words
+        action_items: 1500 // JSON list of action items and decisions
     },
 
     // System prompts for different summary types
     SYSTEM_PROMPTS: {
         brief: 'You are a helpful assistant that creates concise summaries of conversations. Focus on the main topics and key takeaways in 2-3 sentences.',
         detailed: 'You are a helpful assistant that creates comprehensive summaries of conversations. Include main topics, key points, decisions made, and important context. Structure your response with clear sections if appropriate.',
-        key_points: 'You are a helpful assistant that extracts key points from conversations. Present the main topics and important information as a bulleted list with brief explanations.'
+        key_points: 'You are a helpful assistant that extracts key points from conversations. Present the main topics and important information as a bulleted list with brief explanations.',
+        action_items: 'You are a helpful assistant that extracts action items and decisions from meeting conversations. Reply with a JSON object only, in the form {"action_items": [{"owner": "...", "task": "...", "due": "...", "timestamp": "H:MM:SS"}], "decisions": [{"decision": "...", "timestamp": "H:MM:SS"}]}. ' +
+            'An action item is a task someone agreed or was asked to do. Its owner is the exact name of the speaker who will do it, or null if nobody took it on. Its due is the deadline as it was said, e.g. "Friday", or null if none was mentioned. ' +
+            'A decision is something the group agreed on. The timestamp is the [H:MM:SS] time of the line where it was said, or null if the lines have no times. Use empty lists when there are none, and do not invent items.'
     },
 
+    // Names of the built-in types in /summarize
+    TYPE_LABELS: {
+        brief: 'Brief (Discord chat)',
+        detailed: 'Detailed (Full summary)',
+        key_points: 'Key Points (Bullet list)',
+        action_items: 'Action Items & Decisions (Checklist)'
+    },
+
+    // Types answered in JSON and stored as <id>_summary_<type>.json next to the Markdown rendering
+    STRUCTURED_TYPES: ['action_items'],
+
+    // Conversations longer than CHUNK_TOKEN_BUDGET are split on speaker turns and summarized
+    // part by part, then the part summaries are combined into the requested type. Token
+    // counts are estimated from the text length, which is close enough to stay inside the context
+    CHARS_PER_TOKEN: 4,
+    CHUNK_TOKEN_BUDGET: 6000,
+    CHUNK_SUMMARY_MAX_TOKENS: 600,
+    // Part summaries that together still exceed the budget are combined in rounds, at most this many
+    MAX_REDUCE_LEVELS: 3,
+    CHUNK_SYSTEM_PROMPT: 'You are a helpful assistant that summarizes one part of a longer conversation. Record the topics discussed, what each speaker contributed, decisions made, open questions and any action items with who will do them and by when, with names and numbers as stated. When the lines start with a [H:MM:SS] time, keep the time of the line each decision and action item came from. Do not add an introduction or conclusion, since the part will be combined with the others.',
+    COMBINE_SYSTEM_PROMPT: 'You are a helpful assistant that merges summaries of consecutive parts of one conversation into a single summary of all of them. Keep every topic, decision and action item along with their times, remove repetition, and keep names and numbers as stated.',
+    // /summarize gives up after this long; Discord lets a reply be edited for 15 minutes
+    COMMAND_TIMEOUT_MS: 14 * 60 * 1000,
+
+    // Summaries and titles are written in this language unless SUMMARY_LANGUAGE or /settings say otherwise
+    DEFAULT_OUTPUT_LANGUAGE: 'en',
+
     // Discord message limits
     DISCORD_MAX_MESSAGE_LENGTH: 2000,
-    BRIEF_SUMMARY_MAX_LENGTH: 1800 // Leave room for formatting
+    BRIEF_SUMMARY_MAX_LENGTH: 1800, // Leave room for formatting
+    // /summarize posts these types in the channel when they fit, instead of linking to them
+    INLINE_TYPES: ['brief', 'action_items']
+};
+
+// Translation of saved transcripts and summaries (/translate)
+const TRANSLATION = {
+    MODEL: 'meta-llama/llama-4-scout-17b-16e-instruct', // Same model and limits as summaries
+    API_TIMEOUT_MS: 60000,
+    TEMPERATURE: 0.2,
+    // Transcript lines are sent in batches of at most this many characters so each
+    // request, and the translation that comes back, stays well inside the model's limits
+    MAX_CHUNK_CHARS: 6000,
+    MAX_TOKENS: 4000
+};
+
+// Questions about transcripts (/ask and the viewer's chat box). Lines are picked locally
+// with BM25 keyword search, so any OpenAI-compatible chat API can answer from them
+const ASK = {
+    DEFAULT_BASE_URL: 'https://api.groq.com/openai/v1',
+    DEFAULT_MODEL: 'meta-llama/llama-4-scout-17b-16e-instruct',
+    API_TIMEOUT_MS: 60000,
+    TEMPERATURE: 0.2,
+    MAX_TOKENS: 800,
+    MAX_QUESTION_LENGTH: 500,
+    // Newest transcripts searched when asking across a guild's archive
+    MAX_TRANSCRIPTS: 200,
+    // BM25 term saturation and length normalization
+    BM25_K1: 1.2,
+    BM25_B: 0.75,
+    // Score multiplier for lines spoken by someone the question names
+    SPEAKER_BOOST: 1.5,
+    MAX_HITS: 12,
+    CONTEXT_WINDOW_LINES: 1, // Lines kept either side of each hit, so answers see the exchange around it
+    MAX_CONTEXT_LINES: 60,
+    // A transcript this short is sent whole instead of searched
+    FULL_TRANSCRIPT_MAX_CHARS: 12000,
+    STOP_WORDS: [
+        'a', 'about', 'after', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'but', 'by',
+        'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how',
+        'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'said', 'say', 'says', 'she',
+        'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were',
+        'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+    ]
+};
+
+// Rollups of a guild's meetings over a date range (/digest)
+const DIGEST = {
+    FILE_PREFIX: 'digest_', // digest_<id>.json and .md in the recordings directory
+    PERIODS: {
+        this_week: 'This week',
+        last_week: 'Last week',
+        last_7_days: 'Last 7 days',
+        this_month: 'This month'
+    },
+    DEFAULT_PERIOD: 'this_week',
+    MAX_RANGE_DAYS: 92,
+    MAX_MEETINGS: 30, // The newest meetings in the range are kept
+    // Saved summaries read for each meeting, most useful first; meetings without one get a brief summary made
+    SUMMARY_PREFERENCE: ['detailed', 'key_points', 'brief'],
+    // All meetings' material together, shared out evenly between them
+    MAX_INPUT_CHARS: 24000,
+    MAX_TOKENS: 2000,
+    SYSTEM_PROMPT: 'You are a helpful assistant that writes a digest of several meetings held by the same group. Use exactly these Markdown sections: ' +
+        '"## Meetings", with a "### <title> (<date>)" heading for each meeting in the order given, each followed by a one-sentence headline of what happened; ' +
+        '"## Recurring Topics", listing topics that came up in more than one meeting and how they developed; ' +
+        '"## Outstanding To-Dos", a checklist in the form "- [ ] Owner: task (meeting title)" of action items mentioned that a later meeting does not report as done. ' +
+        'Write "None" under a section with nothing to list, and use only the material given.'
 };
 
 // Voice Recording Constants
@@ -52,6 +250,16 @@ const RECORDING = {
     SEGMENT_END_DELAY_MS: 3000, // 3 seconds delay before ending segment
     MIN_SEGMENT_DURATION_MS: 4000, // 4 seconds minimum for transcription
 
+    // Voice reconnection after a dropped connection
+    RECONNECT_SIGNAL_TIMEOUT_MS: 5000, // Wait for Discord to start reconnecting on its own
+    RECONNECT_READY_TIMEOUT_MS: 20000, // Per attempt, for the connection to become ready
+    RECONNECT_MAX_ATTEMPTS: 5,
+    RECONNECT_BASE_DELAY_MS: 1000, // Doubled after each failed attempt
+    RECONNECT_MAX_DELAY_MS: 30000,
+
+    // Crash recovery
+    JOURNAL_FILENAME: 'journal.json',
+
     // Cleanup and processing
     CLEANUP_TIMEOUT_MS: 5000, // 5 seconds for cleanup operations
     FILE_WRITE_COMPLETION_WAIT_MS: 2000, // 2 seconds wait for file writes
@@ -60,9 +268,154 @@ const RECORDING = {
     OPUS_SAMPLE_RATE: 48000,
     OPUS_CHANNELS: 2,
     OPUS_FRAME_SIZE: 960,
+    PCM_BYTES_PER_MS: 192, // 48kHz * 2 channels * 2 bytes per sample / 1000
+
+    // Timeline alignment of per-user PCM files
+    TIMELINE_GAP_TOLERANCE_MS: 100, // Jitter below this is written contiguously
+    USER_TRACK_PREFIX: 'user_', // user_<id>_<name>.pcm; speech segments are segment_*.pcm
 
     // Logging throttling
-    MAX_AUDIO_DATA_LOGS_PER_SECOND: 5 // Limit audio data logging
+    MAX_AUDIO_DATA_LOGS_PER_SECOND: 5, // Limit audio data logging
+
+    // Auto-stop defaults (overridable via environment, see config.recording)
+    EMPTY_CHANNEL_GRACE_MS: 60000, // 1 minute with only the bot left in the channel
+    IDLE_TIMEOUT_MS: 900000, // 15 minutes without anyone speaking
+    AUTO_STOP_REASONS: {
+        EMPTY_CHANNEL: 'empty_channel',
+        IDLE: 'idle',
+        MAX_DURATION: 'max_duration',
+        DISCONNECTED: 'disconnected'
+    },
+    AUTO_STOP_DESCRIPTIONS: {
+        empty_channel: 'everyone left the voice channel',
+        idle: 'nobody has spoken for a while',
+        max_duration: 'the maximum recording duration was reached',
+        disconnected: 'the voice connection dropped and could not be re-established. Everything captured before the drop has been kept'
+    }
+};
+
+// Output formats and quality presets for the mixed recording
+const AUDIO_OUTPUT = {
+    FORMATS: {
+        mp3: { label: 'MP3', extension: 'mp3', codec: 'libmp3lame', contentType: 'audio/mpeg', lossless: false },
+        opus: { label: 'Ogg/Opus', extension: 'ogg', codec: 'libopus', contentType: 'audio/ogg', lossless: false },
+        m4a: { label: 'M4A (AAC)', extension: 'm4a', codec: 'aac', contentType: 'audio/mp4', lossless: false },
+        flac: { label: 'FLAC', extension: 'flac', codec: 'flac', contentType: 'audio/flac', lossless: true },
+        wav: { label: 'WAV', extension: 'wav', codec: 'pcm_s16le', contentType: 'audio/wav', lossless: true }
+    },
+    // Lossy formats take the preset bitrate, lossless formats the preset sample rate
+    PRESETS: {
+        voice: { label: 'Voice (smallest)', bitrates: { mp3: '64k', opus: '32k', m4a: '64k' }, sampleRate: 16000 },
+        standard: { label: 'Standard', bitrates: { mp3: '192k', opus: '96k', m4a: '160k' }, sampleRate: 48000 },
+        high: { label: 'High', bitrates: { mp3: '320k', opus: '192k', m4a: '256k' }, sampleRate: 48000 }
+    },
+    DEFAULT_FORMAT: 'mp3',
+    DEFAULT_PRESET: 'standard'
+};
+
+// Optional mastering stage for the mixdown
+const MASTERING = {
+    TARGET_LUFS: -16,
+    TARGET_TRUE_PEAK_DB: -1.5,
+    TARGET_LRA: 11,
+    // Per speaker: loudnorm upsamples internally, so resample back to the capture rate
+    get SPEAKER_FILTER() {
+        return `loudnorm=I=${this.TARGET_LUFS}:TP=${this.TARGET_TRUE_PEAK_DB}:LRA=${this.TARGET_LRA},aresample=48000`;
+    },
+    // On the mix: gentle 2.5:1 compression above about -18 dBFS, then a limiter at about -1 dBFS
+    BUS_FILTER: 'acompressor=threshold=0.125:ratio=2.5:attack=20:release=250,alimiter=limit=0.89:level=disabled'
+};
+
+// Per-guild settings
+const GUILD_SETTINGS = {
+    STORE_FILENAME: 'guild_settings.json' // Under config.paths.data
+};
+
+// Per-guild glossary sent to Whisper as a prompt and used to correct transcripts
+const VOCABULARY = {
+    STORE_FILENAME: 'vocabulary.json', // Under config.paths.data
+    MAX_TERMS: 100,
+    MAX_TERM_LENGTH: 60,
+    MAX_REPLACEMENTS: 10, // Misheard spellings per term
+    PROMPT_MAX_CHARS: 800 // Whisper only reads the last 224 tokens of a prompt
+};
+
+// Per-guild summary templates (/template), used by /summarize next to the built-in types
+const SUMMARY_TEMPLATES = {
+    STORE_FILENAME: 'summary_templates.json', // Under config.paths.data
+    MAX_TEMPLATES: 25, // Discord shows at most 25 autocomplete choices
+    // Names end up in summary file names and URLs
+    NAME_PATTERN: /^[a-z0-9][a-z0-9_-]{0,31}$/,
+    MAX_PROMPT_LENGTH: 2000,
+    MAX_SECTIONS: 10,
+    MAX_SECTION_LENGTH: 80,
+    MIN_TOKENS: 100,
+    MAX_TOKENS: 3000,
+    DEFAULT_MAX_TOKENS: 1000
+};
+
+// Per-recording metadata kept next to the recording
+const RECORDING_METADATA = {
+    FILE_SUFFIX: '_metadata.json' // <recordingId>_metadata.json
+};
+
+// Tags and chapter markers written into the finished recording
+const AUDIO_TAGS = {
+    // A speaker change only starts a new chapter once the current one is this long
+    MIN_CHAPTER_MS: 60000,
+    // Silence between speech segments this long always starts a new chapter
+    LONG_PAUSE_MS: 30000,
+    MAX_CHAPTER_TITLE_SPEAKERS: 3,
+    PAUSE_CHAPTER_TITLE: 'Recording paused',
+    OUTAGE_CHAPTER_TITLE: 'Voice connection lost',
+    FALLBACK_TITLE: 'Voice Recording'
+};
+
+// Transcript exports (/export and /api/transcript/:id/export/:format)
+const TRANSCRIPT_EXPORT = {
+    // subtitles: true for caption formats, which never include the title or summaries
+    FORMATS: {
+        docx: { label: 'Word document (.docx)', extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+        pdf: { label: 'PDF (.pdf)', extension: 'pdf', contentType: 'application/pdf' },
+        html: { label: 'Web page (.html)', extension: 'html', contentType: 'text/html; charset=utf-8' },
+        txt: { label: 'Plain text (.txt)', extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+        srt: { label: 'SubRip subtitles (.srt)', extension: 'srt', contentType: 'application/x-subrip; charset=utf-8', subtitles: true },
+        vtt: { label: 'WebVTT captions (.vtt)', extension: 'vtt', contentType: 'text/vtt; charset=utf-8', subtitles: true }
+    },
+    SUMMARIES_SUFFIX: '_with_summaries', // Added to the file name when the title and summaries are bundled in
+    DEFAULT_TITLE: 'Voice Channel Transcript',
+
+    // Caption limits, following common broadcast subtitle guidelines
+    MAX_LINE_LENGTH: 42,
+    MAX_LINES: 2,
+    MAX_CUE_MS: 7000,
+    MIN_CUE_MS: 1000 // Short cues are held on screen this long unless the next cue starts first
+};
+
+// Per-speaker track export
+const MULTITRACK = {
+    FORMATS: {
+        flac: { label: 'FLAC', codec: 'flac', extension: 'flac' },
+        wav: { label: 'WAV', codec: 'pcm_s16le', extension: 'wav' },
+        opus: { label: 'Opus', codec: 'libopus', extension: 'opus', bitrate: '128k' }
+    },
+    ARCHIVE_SUFFIX: '_tracks.zip', // <sessionId>_tracks.zip next to the mixed recording
+    TRACKS_DIRNAME: 'tracks' // Encoded tracks are staged here inside the session temp dir
+};
+
+// Recording Consent Constants
+const CONSENT = {
+    STORE_FILENAME: 'consent.json', // Under config.paths.data
+    BUTTON_PREFIX: 'consent', // customId is consent:<action>:<guildId>
+    ACTIONS: {
+        ACCEPT: 'accept',
+        DECLINE: 'decline'
+    },
+    NOTICE: '🔴 **This voice channel is being recorded and transcribed.**\n' +
+        'If you do not want your voice included, press **Don\'t record me** or use `/optout` at any time. ' +
+        'Your audio will be left out of the recording, the transcript and any summaries.',
+    LATE_JOIN_NOTICE: '🔴 **The voice channel you joined is being recorded and transcribed.**\n' +
+        'Press **Don\'t record me** or use `/optout` in the server to keep your voice out of it.'
 };
 
 // Command Handler Constants
@@ -78,16 +431,17 @@ const COMMANDS = {
 
     // Rate limiting (future use)
     MAX_TRANSCRIBE_REQUESTS_PER_HOUR: 10,
-    MAX_RECORDING_DURATION_MS: 3600000 // 1 hour max recording
+    MAX_RECORDING_DURATION_MS: 3600000 // 1 hour max recording (default for config.recording.maxDurationMs)
 };
 
 // Error Messages
 const ERROR_MESSAGES = {
     TRANSCRIPTION: {
         API_KEY_MISSING: 'Groq API key not configured',
-        FILE_TOO_LARGE: 'Audio file too large for transcription (max 100MB)',
+        PROVIDER_NOT_CONFIGURED: 'Transcription provider not configured',
         FILE_TOO_SMALL: 'Audio file too small (likely silence)',
-        LOW_AUDIO_ENERGY: 'Audio energy too low (likely silence)',
+        NO_SPEECH_DETECTED: 'No speech detected after noise suppression',
+        HALLUCINATION_FILTERED: 'Only hallucinated or junk lines were transcribed',
         API_TIMEOUT: 'Transcription request timed out',
         API_ERROR: 'Transcription service error',
         NETWORK_ERROR: 'Network error during transcription',
@@ -100,12 +454,40 @@ const ERROR_MESSAGES = {
         API_ERROR: 'Summarization service error',
         NETWORK_ERROR: 'Network error during summarization',
         INVALID_TYPE: 'Invalid summary type specified',
-        SUMMARY_NOT_FOUND: 'Summary not found'
+        SUMMARY_NOT_FOUND: 'Summary not found',
+        TOO_LONG: 'Conversation is too long to summarize',
+        INVALID_RESPONSE: 'The summarization service returned an unreadable response'
+    },
+    ASK: {
+        API_KEY_MISSING: 'No API key configured for answering questions (ASK_API_KEY or GROQ_API_KEY)',
+        NO_TRANSCRIPTS: 'No transcripts to search',
+        NOT_AVAILABLE: 'This transcript was saved before questions could be asked about it',
+        API_TIMEOUT: 'Question answering request timed out',
+        API_ERROR: 'Question answering service error',
+        NETWORK_ERROR: 'Network error while answering the question'
+    },
+    DIGEST: {
+        INVALID_DATE: 'Dates must be written as YYYY-MM-DD',
+        INVALID_RANGE: 'The start date must not be after the end date',
+        RANGE_TOO_LONG: 'Digests can cover at most 92 days',
+        NO_MEETINGS: 'No transcripts from this server in that period',
+        NOTHING_TO_SUMMARIZE: 'None of the meetings in that period could be summarized'
+    },
+    TRANSLATION: {
+        API_KEY_MISSING: 'Groq API key not configured',
+        UNSUPPORTED_LANGUAGE: 'Unsupported translation language',
+        NOT_AVAILABLE: 'This transcript was saved before translation was available',
+        API_TIMEOUT: 'Translation request timed out',
+        API_ERROR: 'Translation service error',
+        NETWORK_ERROR: 'Network error during translation'
     },
     RECORDING: {
         ALREADY_RECORDING: 'A recording is already in progress',
         NOT_IN_VOICE: 'You must be in a voice channel to record',
         NO_ACTIVE_RECORDING: 'No active recording found',
+        ALREADY_STOPPING: 'The recording is already being stopped',
+        ALREADY_PAUSED: 'The recording is already paused',
+        NOT_PAUSED: 'The recording is not paused',
         STREAM_SETUP_FAILED: 'Failed to set up audio stream',
         NO_AUDIO_CAPTURED: 'No audio was captured during recording',
         CLEANUP_FAILED: 'Failed to clean up recording files'
@@ -123,6 +505,11 @@ const ERROR_MESSAGES = {
 const SUCCESS_MESSAGES = {
     RECORDING_STARTED: '🎙️ Started recording! Use /stop to finish.',
     RECORDING_STOPPED: '✅ Recording completed!',
+    RECORDING_PAUSED: '⏸️ Recording paused. Use /resume to continue.',
+    RECORDING_RESUMED: '▶️ Recording resumed.',
+    CONSENT_ACCEPTED: '✅ Thanks! You are included in this recording.',
+    OPTED_OUT: '🚫 You have opted out. Your voice will not be recorded in this server, and anything already captured in the current recording will be discarded. Use /optin to change your mind.',
+    OPTED_IN: '✅ You have opted back in. Your voice will be included in recordings in this server.',
     TRANSCRIPTION_STARTED: '🤖 Starting transcription...',
     TRANSCRIPTION_COMPLETED: '✅ Transcription completed!',
     PROCESSING_AUDIO: '⏳ Processing audio...',
@@ -131,8 +518,23 @@ const SUCCESS_MESSAGES = {
 
 module.exports = {
     TRANSCRIPTION,
+    SPEECH_PREPROCESSING,
+    HALLUCINATION_FILTER,
     SUMMARIZATION,
+    TRANSLATION,
+    ASK,
+    DIGEST,
     RECORDING,
+    AUDIO_OUTPUT,
+    MASTERING,
+    GUILD_SETTINGS,
+    VOCABULARY,
+    SUMMARY_TEMPLATES,
+    RECORDING_METADATA,
+    AUDIO_TAGS,
+    TRANSCRIPT_EXPORT,
+    MULTITRACK,
+    CONSENT,
     COMMANDS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES
@@ -1,36 +1,45 @@
 import React, { useState, useEffect } from 'react';
 import TranscriptViewer from './TranscriptViewer';
 import SummaryViewer from './SummaryViewer';
+import DigestViewer from './DigestViewer';
 import './styles.css';
 
 const App = () => {
     const [content, setContent] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [viewMode, setViewMode] = useState('transcript'); // 'transcript' or 'summary'
+    const [viewMode, setViewMode] = useState('transcript'); // 'transcript', 'summary' or 'digest'
 
     useEffect(() => {
         const params = new URLSearchParams(window.location.search);
         const transcriptId = params.get('id');
         const summaryType = params.get('type');
+        const language = params.get('lang');
         const pathname = window.location.pathname;
 
         if (pathname === '/summary' && transcriptId && summaryType) {
             setViewMode('summary');
-            fetchSummary(transcriptId, summaryType);
+            fetchSummary(transcriptId, summaryType, language);
+        } else if (pathname === '/digest' && transcriptId) {
+            setViewMode('digest');
+            fetchDigest(transcriptId);
         } else if (transcriptId) {
             setViewMode('transcript');
-            fetchTranscript(transcriptId);
+            fetchTranscript(transcriptId, language);
         } else {
             setError('No transcript ID provided');
             setLoading(false);
         }
     }, []);
 
-    const fetchTranscript = async (id) => {
+    // language selects a saved translation instead of the original
+    const fetchTranscript = async (id, language) => {
         try {
-            const response = await fetch(`/api/transcript/${id}`);
+            const response = await fetch(`/api/transcript/${id}${language ? `?lang=${language}` : ''}`);
             if (!response.ok) {
+                if (response.status === 404 && language) {
+                    throw new Error('This transcript has not been translated into that language yet. Open the original transcript to translate it.');
+                }
                 throw new Error('Failed to fetch transcript');
             }
             const data = await response.json();
@@ -42,9 +51,9 @@ const App = () => {
         }
     };
 
-    const fetchSummary = async (id, type) => {
+    const fetchSummary = async (id, type, language) => {
         try {
-            const response = await fetch(`/api/summary/${id}/${type}`);
+            const response = await fetch(`/api/summary/${id}/${type}${language ? `?lang=${language}` : ''}`);
             if (!response.ok) {
                 const errorData = await response.json();
                 if (response.status === 404 && errorData.canGenerate) {
@@ -64,6 +73,21 @@ const App = () => {
         }
     };
 
+    const fetchDigest = async (id) => {
+        try {
+            const response = await fetch(`/api/digest/${id}`);
+            if (!response.ok) {
+                throw new Error(response.status === 404 ? 'Digest not found. Make a new one with /digest in Discord.' : 'Failed to fetch digest');
+            }
+            const data = await response.json();
+            setContent(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     if (loading) {
         return (
             <div className="app">
@@ -75,7 +99,7 @@ const App = () => {
     if (error) {
         const params = new URLSearchParams(window.location.search);
         const transcriptId = params.get('id');
-        const showTranscriptLink = viewMode === 'summary' && transcriptId;
+        const showTranscriptLink = (viewMode === 'summary' || params.get('lang')) && transcriptId;
 
         return (
             <div className="app">
@@ -106,11 +130,13 @@ const App = () => {
         <div className="app">
             <header className="header">
                 <h1>SoundScribe</h1>
-                <p>{viewMode === 'summary' ? 'Summary Viewer' : 'Voice Transcript Viewer'}</p>
+                <p>{{ summary: 'Summary Viewer', digest: 'Meeting Digest' }[viewMode] || 'Voice Transcript Viewer'}</p>
             </header>
             <main className="main">
                 {viewMode === 'summary' ? (
                     <SummaryViewer summary={content} />
+                ) : viewMode === 'digest' ? (
+                    <DigestViewer digest={content} />
                 ) : (
                     <TranscriptViewer transcript={content} />
                 )}
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+
+const DigestViewer = ({ digest }) => {
+    const [copySuccess, setCopySuccess] = useState(false);
+
+    const markdown = `# Digest: ${digest.label}\n\n${digest.content}`;
+
+    const downloadDigest = () => {
+        const element = document.createElement('a');
+        const file = new Blob([markdown], { type: 'text/markdown' });
+        element.href = URL.createObjectURL(file);
+        element.download = `digest_${digest.digestId}.md`;
+        document.body.appendChild(element);
+        element.click();
+        document.body.removeChild(element);
+    };
+
+    const copyToClipboard = async () => {
+        try {
+            await navigator.clipboard.writeText(markdown);
+            setCopySuccess(true);
+            setTimeout(() => setCopySuccess(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy text: ', err);
+        }
+    };
+
+    const formatDate = (timestamp) => {
+        return new Date(timestamp).toLocaleString();
+    };
+
+    return (
+        <div className="summary-viewer">
+            <div className="summary-header">
+                <div className="summary-info">
+                    <h2>Digest: {digest.label}</h2>
+                    <p className="summary-meta">
+            Meetings: {digest.meetings.length} |
+            Generated: {formatDate(digest.generatedAt)}
+                    </p>
+                </div>
+                <div className="summary-actions">
+                    <button onClick={downloadDigest} className="btn btn-primary">
+            📥 Download
+                    </button>
+                    <button onClick={copyToClipboard} className="btn btn-secondary">
+                        {copySuccess ? '✅ Copied!' : '📋 Copy'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="digest-meetings">
+                <h3>Meetings in this digest</h3>
+                <ul>
+                    {digest.meetings.map(meeting => (
+                        <li key={meeting.transcriptId}>
+                            <a href={`/?id=${meeting.transcriptId}`}>{meeting.title || meeting.transcriptId}</a>
+                            <span className="digest-meeting-meta">
+                                {formatDate(meeting.recordingStart)}
+                                {meeting.error && ` · Left out: ${meeting.error}`}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <div className="summary-content">
+                <ReactMarkdown>{digest.content}</ReactMarkdown>
+            </div>
+        </div>
+    );
+};
+
+export default DigestViewer;
@@ -36,8 +36,11 @@ const SummaryViewer = ({ summary }) => {
                 return 'Detailed Summary';
             case 'key_points':
                 return 'Key Points';
+            case 'action_items':
+                return 'Action Items & Decisions';
             default:
-                return 'Summary';
+                // A server's /template, shown by its name
+                return type ? `${type} Summary` : 'Summary';
         }
     };
 
@@ -62,8 +65,47 @@ const SummaryViewer = ({ summary }) => {
                 </div>
             </div>
 
+            {/* Structured summaries carry their items as data; translations and downloads use the Markdown */}
             <div className="summary-content">
-                <ReactMarkdown>{summary.content}</ReactMarkdown>
+                {summary.data ? (
+                    <>
+                        <h2>Action Items</h2>
+                        {summary.data.actionItems.length === 0 ? (
+                            <p>No action items.</p>
+                        ) : (
+                            <ul className="action-items">
+                                {summary.data.actionItems.map((item, index) => (
+                                    <li key={index}>
+                                        <label>
+                                            <input type="checkbox" />
+                                            <strong>{item.owner || 'Unassigned'}</strong>: {item.task}
+                                        </label>
+                                        {(item.due || item.timestamp) && (
+                                            <span className="action-item-meta">
+                                                {[item.due && `Due ${item.due}`, item.timestamp && `at ${item.timestamp}`].filter(Boolean).join(' · ')}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <h2>Decisions</h2>
+                        {summary.data.decisions.length === 0 ? (
+                            <p>No decisions.</p>
+                        ) : (
+                            <ul>
+                                {summary.data.decisions.map((item, index) => (
+                                    <li key={index}>
+                                        {item.decision}
+                                        {item.timestamp && <span className="action-item-meta">at {item.timestamp}</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                ) : (
+                    <ReactMarkdown>{summary.content}</ReactMarkdown>
+                )}
             </div>
         </div>
     );
@@ -1,16 +1,104 @@
 import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 
+const EXPORT_FORMATS = [
+    { value: 'docx', label: 'Word document (.docx)' },
+    { value: 'pdf', label: 'PDF (.pdf)' },
+    { value: 'html', label: 'Web page (.html)' },
+    { value: 'txt', label: 'Plain text (.txt)' },
+    { value: 'srt', label: 'SubRip subtitles (.srt)', subtitles: true },
+    { value: 'vtt', label: 'WebVTT captions (.vtt)', subtitles: true }
+];
+
+// Mirrors TRANSCRIPTION.LANGUAGES on the server
+const LANGUAGES = [
+    { value: 'en', label: 'English' },
+    { value: 'de', label: 'German' },
+    { value: 'es', label: 'Spanish' },
+    { value: 'fr', label: 'French' },
+    { value: 'it', label: 'Italian' },
+    { value: 'pt', label: 'Portuguese' },
+    { value: 'nl', label: 'Dutch' },
+    { value: 'pl', label: 'Polish' },
+    { value: 'sv', label: 'Swedish' },
+    { value: 'tr', label: 'Turkish' },
+    { value: 'ru', label: 'Russian' },
+    { value: 'uk', label: 'Ukrainian' },
+    { value: 'ja', label: 'Japanese' },
+    { value: 'ko', label: 'Korean' },
+    { value: 'zh', label: 'Chinese' }
+];
+
+const SUMMARY_LABELS = {
+    brief: '📝 Brief Summary',
+    detailed: '📖 Detailed Summary',
+    key_points: '🎯 Key Points',
+    action_items: '✅ Action Items'
+};
+
+const FILTER_ACTIONS = {
+    dropped: '🗑️ Dropped',
+    collapsed: '✂️ Collapsed',
+    flagged: '⚠️ Flagged'
+};
+
+const FILTER_REASONS = {
+    no_speech: 'No speech',
+    compression_ratio: 'Repetitive output',
+    known_phrase: 'Known hallucination',
+    repetition: 'Repeated phrase',
+    suspect_phrase: 'Common hallucination',
+    low_confidence: 'Low confidence'
+};
+
+// Time into the recording as H:MM:SS or M:SS
+const formatOffset = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(2) : '–');
+
 const TranscriptViewer = ({ transcript }) => {
     const [copySuccess, setCopySuccess] = useState(false);
+    const [exportFormat, setExportFormat] = useState('docx');
+    const [includeSummaries, setIncludeSummaries] = useState(true);
     const [summaryGenerating, setSummaryGenerating] = useState(false);
     const [summaryError, setSummaryError] = useState(null);
+    const [translateLanguage, setTranslateLanguage] = useState('en');
+    const [translateSummaries, setTranslateSummaries] = useState(true);
+    const [translating, setTranslating] = useState(false);
+    const [translateError, setTranslateError] = useState(null);
+    const [question, setQuestion] = useState('');
+    const [asking, setAsking] = useState(false);
+    const [askError, setAskError] = useState(null);
+    const [answers, setAnswers] = useState([]);
+
+    // Line an /ask answer cited, opened with &t=<ms into the recording>
+    const citedMs = new URLSearchParams(window.location.search).get('t');
+    const citedLine = citedMs !== null && transcript.transcript
+        ? transcript.transcript.segments.find(segment => segment.type === 'speech' && segment.startMs === Number(citedMs))
+        : null;
+
+    // Lines the hallucination filter removed or flagged, listed when the page is opened with ?debug=1
+    const filteredLines = (transcript.transcript && transcript.transcript.filtered) || [];
+    const showFiltered = new URLSearchParams(window.location.search).get('debug') === '1';
+    const removedCount = filteredLines.filter(line => line.action !== 'flagged').length;
+
+    // The guild's /template names, offered next to the built-in summary types
+    const templates = (transcript.summaryTypes || []).filter(type => !SUMMARY_LABELS[type]);
+
+    // Set when this is a translation rather than the original transcript
+    const translatedTo = transcript.language && LANGUAGES.find(language => language.value === transcript.language);
 
     const downloadTranscript = () => {
         const element = document.createElement('a');
         const file = new Blob([transcript.content], { type: 'text/markdown' });
         element.href = URL.createObjectURL(file);
-        element.download = `transcript_${transcript.id}.md`;
+        element.download = `transcript_${transcript.id}${transcript.language ? `.${transcript.language}` : ''}.md`;
         document.body.appendChild(element);
         element.click();
         document.body.removeChild(element);
@@ -26,6 +114,12 @@ const TranscriptViewer = ({ transcript }) => {
         }
     };
 
+    const isSubtitleFormat = EXPORT_FORMATS.find(format => format.value === exportFormat).subtitles;
+    const exportUrl = `/api/transcript/${transcript.id}/export/${exportFormat}${includeSummaries && !isSubtitleFormat ? '?summaries=1' : ''}`;
+
+    // Language codes detected across the transcript; each line carries its own in the Markdown when there are several
+    const languages = ((transcript.transcript && transcript.transcript.languages) || []).map(language => language.toUpperCase());
+
     const formatDate = (timestamp) => {
         return new Date(timestamp).toLocaleString();
     };
@@ -59,6 +153,67 @@ const TranscriptViewer = ({ transcript }) => {
         }
     };
 
+    const translateTranscript = async () => {
+        setTranslating(true);
+        setTranslateError(null);
+
+        try {
+            const response = await fetch(`/api/translate/${transcript.id}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ language: translateLanguage, summaries: translateSummaries })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to translate transcript');
+            }
+
+            const data = await response.json();
+
+            // Redirect to the translation
+            window.location.href = data.viewUrl;
+
+        } catch (error) {
+            setTranslateError(error.message);
+            setTranslating(false);
+        }
+    };
+
+    const askQuestion = async (e) => {
+        e.preventDefault();
+        if (!question.trim()) {
+            return;
+        }
+
+        setAsking(true);
+        setAskError(null);
+
+        try {
+            const response = await fetch(`/api/ask/${transcript.id}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ question })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to answer the question');
+            }
+
+            const data = await response.json();
+            setAnswers([...answers, data]);
+            setQuestion('');
+
+        } catch (error) {
+            setAskError(error.message);
+        } finally {
+            setAsking(false);
+        }
+    };
+
     return (
         <div className="transcript-viewer">
             <div className="transcript-header">
@@ -67,7 +222,16 @@ const TranscriptViewer = ({ transcript }) => {
                     <p className="transcript-meta">
             Recording ID: {transcript.id} |
             Created: {formatDate(transcript.timestamp)}
+                        {languages.length > 0 && ` | Languages: ${languages.join(', ')}`}
+                        {filteredLines.length > 0 && !showFiltered && (
+                            <> | <a href={`/?id=${transcript.id}${transcript.language ? `&lang=${transcript.language}` : ''}&debug=1`}>{removedCount > 0 ? `${removedCount} lines filtered` : `${filteredLines.length} lines flagged`}</a></>
+                        )}
                     </p>
+                    {translatedTo && (
+                        <p className="transcript-meta">
+                            Translated to {translatedTo.label} · <a href={`/?id=${transcript.id}`}>View original</a>
+                        </p>
+                    )}
                 </div>
                 <div className="transcript-actions">
                     <button onClick={downloadTranscript} className="btn btn-primary">
@@ -79,37 +243,225 @@ const TranscriptViewer = ({ transcript }) => {
                 </div>
             </div>
 
-            <div className="summary-section">
-                <h3>Generate Summary</h3>
-                <div className="summary-buttons">
-                    <button
-                        onClick={() => generateSummary('brief')}
-                        className="btn btn-outline"
-                        disabled={summaryGenerating}
-                    >
-                        {summaryGenerating ? '⏳ Generating...' : '📝 Brief Summary'}
-                    </button>
-                    <button
-                        onClick={() => generateSummary('detailed')}
-                        className="btn btn-outline"
-                        disabled={summaryGenerating}
-                    >
-                        {summaryGenerating ? '⏳ Generating...' : '📖 Detailed Summary'}
-                    </button>
-                    <button
-                        onClick={() => generateSummary('key_points')}
-                        className="btn btn-outline"
-                        disabled={summaryGenerating}
-                    >
-                        {summaryGenerating ? '⏳ Generating...' : '🎯 Key Points'}
-                    </button>
+            {/* Exports are rendered from the structured transcript, which older Markdown-only transcripts lack */}
+            {transcript.transcript && !translatedTo && (
+                <div className="export-section">
+                    <h3>Export</h3>
+                    <div className="export-controls">
+                        <select
+                            value={exportFormat}
+                            onChange={(e) => setExportFormat(e.target.value)}
+                            className="export-select"
+                        >
+                            {EXPORT_FORMATS.map(format => (
+                                <option key={format.value} value={format.value}>{format.label}</option>
+                            ))}
+                        </select>
+                        <label className="export-option">
+                            <input
+                                type="checkbox"
+                                checked={includeSummaries}
+                                disabled={isSubtitleFormat}
+                                onChange={(e) => setIncludeSummaries(e.target.checked)}
+                            />
+                            Include title and summaries
+                        </label>
+                        <a href={exportUrl} className="btn btn-primary" download>
+                            📤 Export
+                        </a>
+                    </div>
                 </div>
-                {summaryError && (
-                    <div className="error-message">
-            Error: {summaryError}
+            )}
+
+            {/* Translations are made from the structured original, so Markdown-only transcripts can't be translated */}
+            {transcript.transcript && !translatedTo && (
+                <div className="export-section">
+                    <h3>Translate</h3>
+                    <div className="export-controls">
+                        <select
+                            value={translateLanguage}
+                            onChange={(e) => setTranslateLanguage(e.target.value)}
+                            className="export-select"
+                            disabled={translating}
+                        >
+                            {LANGUAGES.map(language => (
+                                <option key={language.value} value={language.value}>{language.label}</option>
+                            ))}
+                        </select>
+                        <label className="export-option">
+                            <input
+                                type="checkbox"
+                                checked={translateSummaries}
+                                disabled={translating}
+                                onChange={(e) => setTranslateSummaries(e.target.checked)}
+                            />
+                            Also translate summaries
+                        </label>
+                        <button onClick={translateTranscript} className="btn btn-primary" disabled={translating}>
+                            {translating ? '⏳ Translating...' : '🌐 Translate'}
+                        </button>
                     </div>
-                )}
-            </div>
+                    {translateError && (
+                        <div className="error-message">
+            Error: {translateError}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {translatedTo && (transcript.summaries || []).length > 0 && (
+                <div className="summary-section">
+                    <h3>Summaries</h3>
+                    <div className="summary-buttons">
+                        {transcript.summaries.map(type => (
+                            <a
+                                key={type}
+                                href={`/summary?id=${transcript.id}&type=${type}&lang=${transcript.language}`}
+                                className="btn btn-outline"
+                            >
+                                {SUMMARY_LABELS[type] || `📋 ${type}`}
+                            </a>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {!translatedTo && (
+                <div className="summary-section">
+                    <h3>Generate Summary</h3>
+                    <div className="summary-buttons">
+                        <button
+                            onClick={() => generateSummary('brief')}
+                            className="btn btn-outline"
+                            disabled={summaryGenerating}
+                        >
+                            {summaryGenerating ? '⏳ Generating...' : '📝 Brief Summary'}
+                        </button>
+                        <button
+                            onClick={() => generateSummary('detailed')}
+                            className="btn btn-outline"
+                            disabled={summaryGenerating}
+                        >
+                            {summaryGenerating ? '⏳ Generating...' : '📖 Detailed Summary'}
+                        </button>
+                        <button
+                            onClick={() => generateSummary('key_points')}
+                            className="btn btn-outline"
+                            disabled={summaryGenerating}
+                        >
+                            {summaryGenerating ? '⏳ Generating...' : '🎯 Key Points'}
+                        </button>
+                        <button
+                            onClick={() => generateSummary('action_items')}
+                            className="btn btn-outline"
+                            disabled={summaryGenerating}
+                        >
+                            {summaryGenerating ? '⏳ Generating...' : '✅ Action Items'}
+                        </button>
+                        {templates.map(type => (
+                            <button
+                                key={type}
+                                onClick={() => generateSummary(type)}
+                                className="btn btn-outline"
+                                disabled={summaryGenerating}
+                            >
+                                {summaryGenerating ? '⏳ Generating...' : `📋 ${type}`}
+                            </button>
+                        ))}
+                    </div>
+                    {summaryError && (
+                        <div className="error-message">
+                Error: {summaryError}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Questions are answered from the structured transcript, so Markdown-only transcripts can't be asked about */}
+            {transcript.transcript && !translatedTo && (
+                <div className="ask-section">
+                    <h3>Ask</h3>
+                    {answers.map((entry, index) => (
+                        <div key={index} className="ask-answer">
+                            <p className="ask-question">❓ {entry.question}</p>
+                            <p>{entry.answer}</p>
+                            {entry.citations.length > 0 && (
+                                <ol className="ask-citations">
+                                    {entry.citations.map(citation => (
+                                        <li key={citation.number}>
+                                            <a href={citation.path}>{citation.speaker} · {citation.timestamp}</a> “{citation.text}”
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+                    ))}
+                    <form onSubmit={askQuestion} className="export-controls">
+                        <input
+                            type="text"
+                            value={question}
+                            onChange={(e) => setQuestion(e.target.value)}
+                            placeholder="e.g. What did Alex say about the deploy date?"
+                            maxLength={500}
+                            className="ask-input"
+                            disabled={asking}
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={asking || !question.trim()}>
+                            {asking ? '⏳ Thinking...' : '💬 Ask'}
+                        </button>
+                    </form>
+                    {askError && (
+                        <div className="error-message">
+            Error: {askError}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {citedLine && (
+                <div className="cited-line">
+                    <span className="transcript-meta">Cited line at {formatOffset(citedLine.startMs)}</span>
+                    <p><strong>{citedLine.speaker}:</strong> {citedLine.text}</p>
+                </div>
+            )}
+
+            {showFiltered && (
+                <div className="filtered-section">
+                    <h3>Filtered Lines</h3>
+                    {filteredLines.length === 0 ? (
+                        <p className="transcript-meta">Nothing was filtered from this transcript.</p>
+                    ) : (
+                        <table className="filtered-table">
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Speaker</th>
+                                    <th>Action</th>
+                                    <th>Reason</th>
+                                    <th>Text</th>
+                                    <th title="Probability that the line held no speech">No speech</th>
+                                    <th title="Average log probability of the line's tokens">Log prob</th>
+                                    <th title="How well the text compresses; high means repetitive">Compression</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredLines.map((line, index) => (
+                                    <tr key={index} className={`filtered-${line.action}`}>
+                                        <td>{formatOffset(line.startMs)}</td>
+                                        <td>{line.speaker}</td>
+                                        <td>{FILTER_ACTIONS[line.action] || line.action}</td>
+                                        <td>{FILTER_REASONS[line.reason] || line.reason}</td>
+                                        <td>{line.text}</td>
+                                        <td>{formatScore(line.noSpeechProb)}</td>
+                                        <td>{formatScore(line.avgLogprob)}</td>
+                                        <td>{formatScore(line.compressionRatio)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
 
             <div className="transcript-content">
                 <ReactMarkdown>{transcript.content}</ReactMarkdown>
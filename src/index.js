@@ -6,6 +6,7 @@ const ExpressServer = require('./server/ExpressServer');
 const audioProcessor = require('./audio/AudioProcessor');
 const _fileManager = require('./utils/fileManager');
 const voiceRecorder = require('./audio/VoiceRecorder');
+const recordingJournal = require('./utils/RecordingJournal');
 
 class SoundScribeBot {
     constructor() {
@@ -35,6 +36,12 @@ class SoundScribeBot {
             // Start Express server
             this.expressServer.start();
 
+            // Look for recordings interrupted by a crash before any new one can start
+            const unfinishedRecordings = recordingJournal.findUnfinished();
+            if (unfinishedRecordings.length > 0) {
+                logger.warn(`Found ${unfinishedRecordings.length} interrupted recording(s) to recover`);
+            }
+
             // Discord bot event handlers
             this.client.once('ready', () => {
                 logger.info(`Bot logged in as ${this.client.user.tag}`);
@@ -45,6 +52,11 @@ class SoundScribeBot {
 
                 // Register slash commands
                 this.commandHandler.registerCommands();
+
+                // Finalize interrupted recordings once we can post to Discord
+                if (unfinishedRecordings.length > 0) {
+                    this.commandHandler.recoverRecordings(unfinishedRecordings);
+                }
             });
 
             this.client.on('interactionCreate', (interaction) => {
@@ -6,6 +6,13 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const fileManager = require('../utils/fileManager');
 const summarizationService = require('../services/SummarizationService');
+const transcriptionService = require('../services/TranscriptionService');
+const transcriptExportService = require('../services/TranscriptExportService');
+const translationService = require('../services/TranslationService');
+const askService = require('../services/AskService');
+const digestService = require('../services/DigestService');
+const transcriptStore = require('../utils/TranscriptStore');
+const { SUMMARY_TEMPLATES, ASK } = require('../constants');
 
 class ExpressServer {
     constructor() {
@@ -55,17 +62,49 @@ class ExpressServer {
             });
         });
 
-        // API endpoint to get transcript data
+        // API endpoint to get transcript data; ?lang=xx returns a saved translation
         this.app.get('/api/transcript/:id', (req, res) => {
             const transcriptId = req.params.id;
+            const language = req.query.lang || null;
 
             // Validate transcript ID to prevent path traversal
             if (!transcriptId || !/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
                 return res.status(400).json({ error: 'Invalid transcript ID' });
             }
 
+            if (language && !translationService.isSupportedLanguage(language)) {
+                return res.status(400).json({ error: 'Invalid language' });
+            }
+
             try {
-                const transcriptPath = path.join(config.paths.recordings, `transcript_${transcriptId}.md`);
+                const transcript = transcriptStore.read(transcriptId, language);
+
+                if (transcript) {
+                    // Render the Markdown from the canonical JSON and send both
+                    return res.json({
+                        id: transcriptId,
+                        language,
+                        content: transcriptionService.formatTranscript(transcript).text,
+                        transcript,
+                        // Summary types that can be viewed in this translation
+                        summaries: language ? summarizationService.getSummaryTypes(transcript.guildId).filter(type => summarizationService.summaryExists(transcriptId, type, language)) : [],
+                        // Summary types the viewer can generate, the guild's templates included
+                        summaryTypes: summarizationService.getSummaryTypes(transcript.guildId),
+                        timestamp: Date.parse(transcript.generatedAt)
+                    });
+                }
+
+                if (language) {
+                    return res.status(404).json({
+                        error: 'Translation not found',
+                        canGenerate: transcriptStore.exists(transcriptId),
+                        transcriptId: transcriptId,
+                        language: language
+                    });
+                }
+
+                // Transcripts from before the JSON existed only have the Markdown
+                const transcriptPath = transcriptStore.getMarkdownPath(transcriptId);
 
                 if (!fs.existsSync(transcriptPath)) {
                     return res.status(404).json({ error: 'Transcript not found' });
@@ -76,7 +115,9 @@ class ExpressServer {
 
                 res.json({
                     id: transcriptId,
+                    language: null,
                     content: content,
+                    transcript: null,
                     timestamp: stats.mtime.getTime()
                 });
             } catch (error) {
@@ -85,37 +126,92 @@ class ExpressServer {
             }
         });
 
-        // API endpoint to get summary data
+        // Download a transcript as subtitles or a document; ?summaries=1 bundles the title and summaries into documents
+        this.app.get('/api/transcript/:id/export/:format', async (req, res) => {
+            const { id: transcriptId, format } = req.params;
+            const includeSummaries = req.query.summaries === '1' || req.query.summaries === 'true';
+
+            // Validate transcript ID to prevent path traversal
+            if (!transcriptId || !/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                return res.status(400).json({ error: 'Invalid transcript ID' });
+            }
+
+            if (!transcriptExportService.isSupportedFormat(format)) {
+                return res.status(400).json({ error: 'Invalid export format' });
+            }
+
+            try {
+                const transcript = transcriptStore.read(transcriptId);
+
+                if (!transcript) {
+                    // Older transcripts only have the Markdown, which has no timings to export
+                    const error = transcriptStore.exists(transcriptId)
+                        ? 'This transcript was saved before exports were available'
+                        : 'Transcript not found';
+                    return res.status(404).json({ error });
+                }
+
+                const exported = await transcriptExportService.export(transcript, format, { includeSummaries });
+
+                res.setHeader('Content-Type', exported.contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+                res.send(exported.content);
+            } catch (error) {
+                logger.error('Error exporting transcript:', error);
+                res.status(500).json({ error: 'Failed to export transcript' });
+            }
+        });
+
+        // API endpoint to get summary data; ?lang=xx returns a saved translation
         this.app.get('/api/summary/:id/:type', async (req, res) => {
             const { id: transcriptId, type } = req.params;
+            const language = req.query.lang || null;
 
             // Validate transcript ID to prevent path traversal
             if (!transcriptId || !/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
                 return res.status(400).json({ error: 'Invalid transcript ID' });
             }
 
+            if (language && !translationService.isSupportedLanguage(language)) {
+                return res.status(400).json({ error: 'Invalid language' });
+            }
+
             try {
-                if (!summarizationService.validateSummaryType(type)) {
+                // Any name a template could have, so summaries of deleted templates stay readable
+                if (!SUMMARY_TEMPLATES.NAME_PATTERN.test(type)) {
                     return res.status(400).json({ error: 'Invalid summary type' });
                 }
 
+                if (language && !summarizationService.summaryExists(transcriptId, type, language)) {
+                    return res.status(404).json({
+                        error: 'Summary translation not found',
+                        canGenerate: false,
+                        transcriptId: transcriptId,
+                        type: type,
+                        message: `No ${type} summary in this language yet. Translate the transcript with its summaries using /translate or the transcript viewer.`
+                    });
+                }
+
                 if (!summarizationService.summaryExists(transcriptId, type)) {
+                    const transcript = transcriptStore.read(transcriptId);
                     return res.status(404).json({
                         error: 'Summary not found',
-                        canGenerate: true,
+                        canGenerate: summarizationService.validateSummaryType(type, transcript && transcript.guildId),
                         transcriptId: transcriptId,
                         type: type,
                         message: `${type.charAt(0).toUpperCase() + type.slice(1)} summary not found. You can generate it using /summarize command or the transcript viewer.`
                     });
                 }
 
-                const summary = summarizationService.getSummary(transcriptId, type);
+                const summary = summarizationService.getSummary(transcriptId, type, language);
                 const stats = fs.statSync(summary.path);
 
                 res.json({
                     id: transcriptId,
                     type: type,
+                    language,
                     content: summary.content,
+                    data: summary.data,
                     timestamp: stats.mtime.getTime()
                 });
             } catch (error) {
@@ -135,14 +231,14 @@ class ExpressServer {
             }
 
             try {
-                if (!summarizationService.validateSummaryType(type)) {
-                    return res.status(400).json({ error: 'Invalid summary type' });
+                if (!transcriptStore.exists(transcriptId)) {
+                    return res.status(404).json({ error: 'Transcript not found' });
                 }
 
-                const transcriptPath = path.join(config.paths.recordings, `transcript_${transcriptId}.md`);
-
-                if (!fs.existsSync(transcriptPath)) {
-                    return res.status(404).json({ error: 'Transcript not found' });
+                // Templates belong to the transcript's guild
+                const transcript = transcriptStore.read(transcriptId);
+                if (!summarizationService.validateSummaryType(type, transcript && transcript.guildId)) {
+                    return res.status(400).json({ error: 'Invalid summary type' });
                 }
 
                 // Check if summary already exists
@@ -161,7 +257,7 @@ class ExpressServer {
                 }
 
                 // Generate summary asynchronously
-                summarizationService.summarizeTranscript(transcriptPath, type)
+                summarizationService.summarizeTranscript(transcriptId, type)
                     .then(summaryResult => {
                         // Save summary to file
                         return summarizationService.saveSummary(summaryResult, transcriptId, type);
@@ -184,6 +280,97 @@ class ExpressServer {
             }
         });
 
+        // API endpoint to translate a transcript, and optionally its summaries
+        this.app.post('/api/translate/:id', async (req, res) => {
+            const transcriptId = req.params.id;
+            const { language, summaries = false } = req.body;
+
+            // Validate transcript ID to prevent path traversal
+            if (!transcriptId || !/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                return res.status(400).json({ error: 'Invalid transcript ID' });
+            }
+
+            if (!language || !translationService.isSupportedLanguage(language)) {
+                return res.status(400).json({ error: 'Invalid language' });
+            }
+
+            if (!transcriptStore.read(transcriptId)) {
+                const error = transcriptStore.exists(transcriptId)
+                    ? 'This transcript was saved before translations were available'
+                    : 'Transcript not found';
+                return res.status(404).json({ error });
+            }
+
+            try {
+                const result = await translationService.translateTranscript(transcriptId, language, { includeSummaries: Boolean(summaries) });
+
+                res.json({
+                    id: transcriptId,
+                    language,
+                    summaries: result.summaries,
+                    viewUrl: `/?id=${transcriptId}&lang=${language}`,
+                    cached: result.cached
+                });
+            } catch (error) {
+                logger.error('Error translating transcript:', error);
+                res.status(500).json({ error: 'Failed to translate transcript' });
+            }
+        });
+
+        // API endpoint to ask a question about one transcript. Asking across a guild's
+        // archive is left to /ask, since the viewer has no login to tell guilds apart
+        this.app.post('/api/ask/:id', async (req, res) => {
+            const transcriptId = req.params.id;
+            const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+
+            // Validate transcript ID to prevent path traversal
+            if (!transcriptId || !/^[a-zA-Z0-9_-]+$/.test(transcriptId)) {
+                return res.status(400).json({ error: 'Invalid transcript ID' });
+            }
+
+            if (!question || question.length > ASK.MAX_QUESTION_LENGTH) {
+                return res.status(400).json({ error: `Ask a question of up to ${ASK.MAX_QUESTION_LENGTH} characters` });
+            }
+
+            if (!transcriptStore.read(transcriptId)) {
+                const error = transcriptStore.exists(transcriptId)
+                    ? 'This transcript was saved before questions could be asked about it'
+                    : 'Transcript not found';
+                return res.status(404).json({ error });
+            }
+
+            try {
+                const result = await askService.ask(question, { transcriptId });
+
+                res.json({
+                    id: transcriptId,
+                    question,
+                    answer: result.answer,
+                    citations: result.citations
+                });
+            } catch (error) {
+                logger.error('Error answering question:', error);
+                res.status(500).json({ error: 'Failed to answer the question' });
+            }
+        });
+
+        // API endpoint to get a digest made with /digest
+        this.app.get('/api/digest/:id', (req, res) => {
+            const digestId = req.params.id;
+
+            // Validate digest ID to prevent path traversal
+            if (!digestId || !/^[a-zA-Z0-9_-]+$/.test(digestId)) {
+                return res.status(400).json({ error: 'Invalid digest ID' });
+            }
+
+            const digest = digestService.read(digestId);
+            if (!digest) {
+                return res.status(404).json({ error: 'Digest not found' });
+            }
+
+            res.json(digest);
+        });
+
         // Download endpoint with temporary URLs
         this.app.get('/download/:token', (req, res) => {
             const token = req.params.token;
@@ -211,7 +398,7 @@ class ExpressServer {
             try {
                 const stat = fs.statSync(filePath);
 
-                res.setHeader('Content-Type', 'audio/mpeg');
+                res.setHeader('Content-Type', fileManager.getContentType(filename));
                 res.setHeader('Content-Length', stat.size);
                 res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
@@ -230,12 +417,13 @@ class ExpressServer {
         });
 
         // List recordings endpoint (generates temporary URLs)
-        this.app.get('/recordings', (req, res) => {
+        this.app.get('/recordings', async (req, res) => {
             try {
-                const recordings = fileManager.getAllRecordings();
+                const recordings = await fileManager.getAllRecordings();
                 res.json({
                     recordings: recordings.map(rec => ({
                         name: rec.name,
+                        contentType: fileManager.getContentType(rec.name),
                         size: rec.size,
                         created: rec.created,
                         downloadUrl: this.createTemporaryUrl(rec.name)
@@ -249,9 +437,9 @@ class ExpressServer {
         });
 
         // Disk usage endpoint
-        this.app.get('/stats', (req, res) => {
+        this.app.get('/stats', async (req, res) => {
             try {
-                const diskUsage = fileManager.getDiskUsage();
+                const diskUsage = await fileManager.getDiskUsage();
                 res.json({
                     diskUsage,
                     uptime: process.uptime(),
@@ -282,6 +470,11 @@ class ExpressServer {
             res.sendFile(path.join(__dirname, '../..', 'public', 'index.html'));
         });
 
+        // Serve React app for digest viewer route
+        this.app.get('/digest', (req, res) => {
+            res.sendFile(path.join(__dirname, '../..', 'public', 'index.html'));
+        });
+
         // 404 handler
         this.app.use((req, res) => {
             res.status(404).json({ error: 'Not found' });
@@ -0,0 +1,221 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const transcriptStore = require('../utils/TranscriptStore');
+const titleGenerationService = require('./TitleGenerationService');
+const summarizationService = require('./SummarizationService');
+const { ASK, ERROR_MESSAGES } = require('../constants');
+
+/**
+ * Answers questions about one transcript or a guild's whole archive. The lines
+ * most relevant to the question are found locally with BM25 keyword search over
+ * the transcripts' speech, and only those go to the model, numbered, so the
+ * answer can cite them. Any OpenAI-compatible chat API can do the answering.
+ */
+class AskService {
+    constructor() {
+        this.baseUrl = config.ask.baseUrl.replace(/\/+$/, '');
+        this.apiKey = config.ask.apiKey;
+        this.model = config.ask.model;
+    }
+
+    /**
+     * @param {string} question - What to ask
+     * @param {object} scope
+     * @param {string} [scope.transcriptId] - Ask about this transcript only
+     * @param {string} [scope.guildId] - Otherwise search every transcript recorded in this guild
+     * @returns {Promise<{answer: string, citations: Array<object>, searched: number}>} - The answer with
+     *   its [n] markers numbered in order, the lines they cite ({ number, transcriptId, title, speaker,
+     *   startMs, timestamp, text, path }) and how many transcripts were searched
+     */
+    async ask(question, { transcriptId = null, guildId = null } = {}) {
+        // Local stand-ins often need no key; Groq does
+        if (!this.apiKey && this.baseUrl === ASK.DEFAULT_BASE_URL) {
+            throw new Error(ERROR_MESSAGES.ASK.API_KEY_MISSING);
+        }
+
+        const lines = this.loadLines(transcriptId, guildId);
+        const searched = new Set(lines.map(line => line.transcriptId)).size;
+
+        const totalChars = lines.reduce((sum, line) => sum + line.text.length, 0);
+        const context = transcriptId && totalChars <= ASK.FULL_TRANSCRIPT_MAX_CHARS
+            ? lines
+            : this.retrieve(lines, question);
+
+        if (context.length === 0) {
+            return { answer: 'I couldn\'t find anything about that in the transcripts.', citations: [], searched };
+        }
+
+        logger.info(`Answering a question from ${context.length} of ${lines.length} lines in ${searched} transcripts`);
+        const response = await this.requestCompletion(this.buildSystemPrompt(), this.buildUserPrompt(question, context));
+        return { ...this.resolveCitations(response, context), searched };
+    }
+
+    /**
+     * Speech lines of the transcripts in scope, in timeline order per transcript.
+     * Transcripts saved before the JSON existed have no times and are left out.
+     * @returns {Array<{transcriptId: string, title: string|null, speaker: string, text: string, startMs: number}>}
+     */
+    loadLines(transcriptId, guildId) {
+        let transcripts;
+
+        if (transcriptId) {
+            const transcript = transcriptStore.read(transcriptId);
+            if (!transcript) {
+                throw new Error(transcriptStore.exists(transcriptId)
+                    ? ERROR_MESSAGES.ASK.NOT_AVAILABLE
+                    : `Transcript not found: ${transcriptId}`);
+            }
+            transcripts = [transcript];
+        } else {
+            transcripts = transcriptStore.list()
+                .map(file => transcriptStore.read(file.id))
+                .filter(transcript => transcript && transcript.guildId === guildId)
+                .slice(0, ASK.MAX_TRANSCRIPTS);
+        }
+
+        const lines = transcripts.flatMap(transcript => {
+            const titleData = titleGenerationService.getTitle(transcript.transcriptId);
+            return transcriptStore.toConversationLines(transcript).map(line => ({
+                transcriptId: transcript.transcriptId,
+                title: titleData ? titleData.title : null,
+                ...line
+            }));
+        });
+
+        if (lines.length === 0) {
+            throw new Error(ERROR_MESSAGES.ASK.NO_TRANSCRIPTS);
+        }
+        return lines;
+    }
+
+    /**
+     * Lines that best match the question, each with the lines either side of it
+     * @param {Array<object>} lines - From loadLines
+     * @param {string} question - What was asked
+     * @returns {Array<object>} - In transcript and timeline order; empty when nothing matches
+     */
+    retrieve(lines, question) {
+        const speakers = [...new Set(lines.map(line => line.speaker))];
+        const queryTerms = new Set(this.tokenize(question));
+
+        // Names in the question pick out speakers instead of being searched for as words
+        const namedSpeakers = speakers.filter(speaker => this.tokenize(speaker).some(term => queryTerms.has(term)));
+        namedSpeakers.forEach(speaker => this.tokenize(speaker).forEach(term => queryTerms.delete(term)));
+
+        const documents = lines.map(line => this.tokenize(line.text));
+        const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / documents.length || 1;
+        const idf = new Map([...queryTerms].map(term => {
+            const df = documents.filter(terms => terms.includes(term)).length;
+            return [term, Math.log(1 + (documents.length - df + 0.5) / (df + 0.5))];
+        }));
+
+        const scored = documents.map((terms, index) => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = terms.filter(candidate => candidate === term).length;
+                if (tf > 0) {
+                    score += idf.get(term) * (tf * (ASK.BM25_K1 + 1)) /
+                        (tf + ASK.BM25_K1 * (1 - ASK.BM25_B + ASK.BM25_B * terms.length / averageLength));
+                }
+            }
+            if (namedSpeakers.includes(lines[index].speaker)) {
+                // A question only naming someone ("what did Alex say?") still finds their lines
+                score = queryTerms.size > 0 ? score * ASK.SPEAKER_BOOST : 1;
+            }
+            return { index, score };
+        });
+
+        const hits = scored
+            .filter(hit => hit.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, ASK.MAX_HITS);
+
+        // Widen each hit to the exchange around it, staying inside its transcript
+        const selected = new Set();
+        for (const hit of hits) {
+            for (let offset = -ASK.CONTEXT_WINDOW_LINES; offset <= ASK.CONTEXT_WINDOW_LINES; offset++) {
+                const neighbour = lines[hit.index + offset];
+                if (neighbour && neighbour.transcriptId === lines[hit.index].transcriptId && selected.size < ASK.MAX_CONTEXT_LINES) {
+                    selected.add(hit.index + offset);
+                }
+            }
+        }
+
+        return [...selected].sort((a, b) => a - b).map(index => lines[index]);
+    }
+
+    // Lowercased words with stop words and plural endings dropped, in any script
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => !ASK.STOP_WORDS.includes(term))
+            .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+    }
+
+    buildSystemPrompt() {
+        return 'You answer questions about recorded voice conversations using only the numbered transcript lines you are given. ' +
+            'After each statement, cite the lines it is based on with their numbers in square brackets, e.g. [3] or [3][7]. ' +
+            'If the lines do not answer the question, say so instead of guessing. Keep the answer short, and answer in the language of the question.';
+    }
+
+    buildUserPrompt(question, context) {
+        const multipleTranscripts = new Set(context.map(line => line.transcriptId)).size > 1;
+        const lines = context.map((line, index) => {
+            const source = multipleTranscripts ? `${line.title || line.transcriptId}, ` : '';
+            return `[${index + 1}] (${source}${transcriptStore.formatOffset(line.startMs)}) ${line.speaker}: ${line.text}`;
+        });
+
+        return `Transcript lines:\n${lines.join('\n')}\n\nQuestion: ${question}`;
+    }
+
+    /**
+     * Renumber the answer's [n] markers 1, 2, 3... in the order they first appear, dropping
+     * numbers that match no line, and list the lines they point at
+     * @param {string} answer - Model answer citing context lines by number
+     * @param {Array<object>} context - Lines the model was given
+     * @returns {{answer: string, citations: Array<object>}}
+     */
+    resolveCitations(answer, context) {
+        const numbers = new Map();
+        const citations = [];
+
+        const text = answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, list) => list
+            .split(',')
+            .map(value => Number(value.trim()))
+            .filter(value => context[value - 1])
+            .map(value => {
+                if (!numbers.has(value)) {
+                    const line = context[value - 1];
+                    numbers.set(value, citations.length + 1);
+                    citations.push({
+                        number: citations.length + 1,
+                        transcriptId: line.transcriptId,
+                        title: line.title,
+                        speaker: line.speaker,
+                        startMs: line.startMs,
+                        timestamp: transcriptStore.formatOffset(line.startMs),
+                        text: line.text,
+                        // Viewer link that highlights the cited line
+                        path: `/?id=${line.transcriptId}&t=${line.startMs}`
+                    });
+                }
+                return `[${numbers.get(value)}]`;
+            })
+            .join(''));
+
+        return { answer: text.trim(), citations };
+    }
+
+    async requestCompletion(systemPrompt, userPrompt) {
+        const result = await summarizationService.requestCompletion(systemPrompt, userPrompt, ASK.MAX_TOKENS, {
+            baseUrl: this.baseUrl,
+            apiKey: this.apiKey,
+            model: this.model,
+            temperature: ASK.TEMPERATURE,
+            timeoutMs: ASK.API_TIMEOUT_MS,
+            errors: ERROR_MESSAGES.ASK
+        });
+        return result.text;
+    }
+}
+
+module.exports = new AskService();
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/JsonStore');
+const { CONSENT } = require('../constants');
+
+/**
+ * Persistent per-guild record of members who opted out of being recorded.
+ * Stored as { [guildId]: { [userId]: { optedOutAt } } } under config.paths.data.
+ */
+class ConsentService {
+    constructor() {
+        this.store = new JsonStore(CONSENT.STORE_FILENAME);
+        this.optOuts = this.store.read();
+    }
+
+    isOptedOut(guildId, userId) {
+        return Boolean(this.optOuts[guildId] && this.optOuts[guildId][userId]);
+    }
+
+    /**
+     * Record that a member does not want to be recorded in a guild
+     * @param {string} guildId - Guild the opt-out applies to
+     * @param {string} userId - Member opting out
+     * @returns {boolean} - False if they had already opted out
+     */
+    optOut(guildId, userId) {
+        if (this.isOptedOut(guildId, userId)) {
+            return false;
+        }
+
+        this.optOuts[guildId] = this.optOuts[guildId] || {};
+        this.optOuts[guildId][userId] = { optedOutAt: new Date().toISOString() };
+        this.store.write(this.optOuts);
+        logger.info(`User ${userId} opted out of recording in guild ${guildId}`);
+        return true;
+    }
+
+    /**
+     * Remove a member's opt-out for a guild
+     * @param {string} guildId - Guild the opt-out applied to
+     * @param {string} userId - Member opting back in
+     * @returns {boolean} - False if they were not opted out
+     */
+    optIn(guildId, userId) {
+        if (!this.isOptedOut(guildId, userId)) {
+            return false;
+        }
+
+        delete this.optOuts[guildId][userId];
+        if (Object.keys(this.optOuts[guildId]).length === 0) {
+            delete this.optOuts[guildId];
+        }
+        this.store.write(this.optOuts);
+        logger.info(`User ${userId} opted back in to recording in guild ${guildId}`);
+        return true;
+    }
+
+    getOptedOutUsers(guildId) {
+        return Object.keys(this.optOuts[guildId] || {});
+    }
+}
+
+module.exports = new ConsentService();
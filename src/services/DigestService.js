@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const transcriptStore = require('../utils/TranscriptStore');
+const summarizationService = require('./SummarizationService');
+const titleGenerationService = require('./TitleGenerationService');
+const transcriptionService = require('./TranscriptionService');
+const { DIGEST, SUMMARIZATION, ERROR_MESSAGES } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rolls up a guild's meetings over a date range into one digest: a headline per
+ * meeting, the topics that kept coming up, and the to-dos still open. Each
+ * meeting is read from its saved summaries, or from a brief summary made for it.
+ * Saved as digest_<id>.json, with a Markdown copy for downloads, and viewed at
+ * /digest?id=<id>. Dates are UTC days.
+ */
+class DigestService {
+    /**
+     * @param {object} options
+     * @param {string} [options.period] - Key of DIGEST.PERIODS, used when no dates are given
+     * @param {string} [options.from] - First day, YYYY-MM-DD
+     * @param {string} [options.to] - Last day, YYYY-MM-DD; today if only from is given
+     * @param {Date} [now] - Current time
+     * @returns {{start: Date, end: Date, label: string}} - end is exclusive
+     */
+    resolveRange({ period = null, from = null, to = null } = {}, now = new Date()) {
+        const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        let start;
+        let end;
+
+        if (from || to) {
+            end = to ? new Date(this.parseDate(to).getTime() + DAY_MS) : new Date(today.getTime() + DAY_MS);
+            start = from ? this.parseDate(from) : new Date(end.getTime() - 7 * DAY_MS);
+        } else {
+            const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+            switch (period || DIGEST.DEFAULT_PERIOD) {
+                case 'last_week':
+                    start = new Date(monday.getTime() - 7 * DAY_MS);
+                    end = monday;
+                    break;
+                case 'last_7_days':
+                    start = new Date(today.getTime() - 6 * DAY_MS);
+                    end = new Date(today.getTime() + DAY_MS);
+                    break;
+                case 'this_month':
+                    start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+                    end = new Date(today.getTime() + DAY_MS);
+                    break;
+                default:
+                    start = monday;
+                    end = new Date(today.getTime() + DAY_MS);
+            }
+        }
+
+        if (start >= end) {
+            throw new Error(ERROR_MESSAGES.DIGEST.INVALID_RANGE);
+        }
+        if (end - start > DIGEST.MAX_RANGE_DAYS * DAY_MS) {
+            throw new Error(ERROR_MESSAGES.DIGEST.RANGE_TOO_LONG);
+        }
+
+        return { start, end, label: this.formatRange(start, end) };
+    }
+
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').trim());
+        const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+        // Rejects impossible dates like 2026-02-31, which Date would roll over
+        if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+            throw new Error(`${ERROR_MESSAGES.DIGEST.INVALID_DATE}: ${value}`);
+        }
+        return date;
+    }
+
+    // e.g. "Oct 13 – Oct 19, 2026"
+    formatRange(start, end) {
+        const last = new Date(end.getTime() - DAY_MS);
+        const day = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        const year = (date) => date.getUTCFullYear();
+
+        if (start.getTime() === last.getTime()) {
+            return `${day(start)}, ${year(start)}`;
+        }
+        return year(start) === year(last)
+            ? `${day(start)} – ${day(last)}, ${year(last)}`
+            : `${day(start)}, ${year(start)} – ${day(last)}, ${year(last)}`;
+    }
+
+    // One digest per guild and range; asking again replaces it
+    getDigestId(guildId, start, end) {
+        const ymd = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+        return `${guildId}_${ymd(start)}_${ymd(new Date(end.getTime() - DAY_MS))}`;
+    }
+
+    /**
+     * Transcripts recorded in the guild within the range, oldest first. Transcripts
+     * saved before the JSON existed record no guild and are never included.
+     * @returns {Array<object>} - Canonical transcripts
+     */
+    findMeetings(guildId, start, end) {
+        const meetings = transcriptStore.list()
+            .map(file => transcriptStore.read(file.id))
+            .filter(transcript => transcript && transcript.guildId === guildId &&
+                Date.parse(transcript.recordingStart) >= start.getTime() && Date.parse(transcript.recordingStart) < end.getTime())
+            .sort((a, b) => Date.parse(a.recordingStart) - Date.parse(b.recordingStart));
+
+        if (meetings.length > DIGEST.MAX_MEETINGS) {
+            logger.warn(`Digest for guild ${guildId} covers ${meetings.length} meetings, keeping the newest ${DIGEST.MAX_MEETINGS}`);
+            return meetings.slice(-DIGEST.MAX_MEETINGS);
+        }
+        return meetings;
+    }
+
+    /**
+     * Build and save a digest of the guild's meetings in a range
+     * @param {string} guildId - Guild whose meetings to roll up
+     * @param {{start: Date, end: Date, label: string}} range - From resolveRange
+     * @param {object} [options]
+     * @param {Function} [options.onProgress] - Called with { stage: 'summarize', meeting, total } before a
+     *   meeting without a summary is summarized, and { stage: 'digest', total } before the digest is written
+     * @param {AbortSignal} [options.signal] - Aborting it stops the digest, failing with the abort reason
+     * @returns {Promise<object>} - The saved digest
+     */
+    async createDigest(guildId, range, { onProgress = null, signal = null } = {}) {
+        const meetings = this.findMeetings(guildId, range.start, range.end);
+        if (meetings.length === 0) {
+            throw new Error(ERROR_MESSAGES.DIGEST.NO_MEETINGS);
+        }
+
+        const materials = [];
+        for (const [index, transcript] of meetings.entries()) {
+            materials.push(await this.gatherMaterial(transcript, () => summarizationService.reportProgress(onProgress, {
+                stage: 'summarize',
+                meeting: index + 1,
+                total: meetings.length
+            }, signal), signal));
+        }
+
+        const summarized = materials.filter(meeting => meeting.text);
+        if (summarized.length === 0) {
+            throw new Error(ERROR_MESSAGES.DIGEST.NOTHING_TO_SUMMARIZE);
+        }
+
+        summarizationService.reportProgress(onProgress, { stage: 'digest', total: summarized.length }, signal);
+
+        const language = summarizationService.getOutputLanguage(guildId);
+        const result = await summarizationService.requestCompletion(
+            `${DIGEST.SYSTEM_PROMPT} ${summarizationService.buildLanguageInstruction(language)}`,
+            this.buildPrompt(summarized, range),
+            DIGEST.MAX_TOKENS,
+            { signal }
+        );
+
+        const digest = {
+            digestId: this.getDigestId(guildId, range.start, range.end),
+            guildId,
+            from: range.start.toISOString(),
+            to: range.end.toISOString(),
+            label: range.label,
+            generatedAt: new Date().toISOString(),
+            language,
+            model: SUMMARIZATION.DEFAULT_MODEL,
+            meetings: materials.map(({ transcriptId, title, recordingStart, durationMs, source, error }) => ({ transcriptId, title, recordingStart, durationMs, source, error })),
+            content: result.text
+        };
+
+        this.save(digest);
+        return digest;
+    }
+
+    /**
+     * What the digest is written from for one meeting: its most useful saved summary
+     * plus its action items, or a brief summary made and saved now when it has none.
+     * A meeting that can't be summarized, e.g. one with no speech, comes back with
+     * no text and the error, and is listed in the digest without being written about.
+     * @param {object} transcript - Canonical transcript
+     * @param {Function} beforeSummarizing - Called before a summary has to be made
+     * @param {AbortSignal} [signal] - Cancels making that summary
+     * @returns {Promise<object>} - { transcriptId, title, recordingStart, durationMs, participants, source, text, actionItems, error }
+     */
+    async gatherMaterial(transcript, beforeSummarizing, signal = null) {
+        const transcriptId = transcript.transcriptId;
+        const titleData = titleGenerationService.getTitle(transcriptId);
+        const meeting = {
+            transcriptId,
+            title: titleData ? titleData.title : null,
+            recordingStart: transcript.recordingStart,
+            durationMs: transcript.durationMs,
+            participants: (transcript.speakers || []).map(speaker => speaker.name)
+        };
+        let source = DIGEST.SUMMARY_PREFERENCE.find(type => summarizationService.summaryExists(transcriptId, type));
+        let text;
+
+        if (source) {
+            text = summarizationService.extractSummaryText(summarizationService.getSummary(transcriptId, source).content);
+        } else {
+            beforeSummarizing();
+            try {
+                const summary = await summarizationService.summarizeTranscript(transcriptId, 'brief', { guildId: transcript.guildId, signal });
+                await summarizationService.saveSummary(summary, transcriptId, 'brief');
+                source = 'brief';
+                text = summary.summary;
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                logger.warn(`Leaving meeting ${transcriptId} out of the digest: ${error.message}`);
+                return { ...meeting, source: null, text: null, actionItems: null, error: error.message };
+            }
+        }
+
+        const actionItems = summarizationService.summaryExists(transcriptId, 'action_items')
+            ? summarizationService.getSummary(transcriptId, 'action_items').data
+            : null;
+
+        return {
+            ...meeting,
+            source,
+            text,
+            actionItems: actionItems ? actionItems.actionItems : null,
+            error: null
+        };
+    }
+
+    buildPrompt(materials, range) {
+        // Every meeting gets an equal share of the input, so one long summary can't crowd out the rest
+        const share = Math.floor(DIGEST.MAX_INPUT_CHARS / materials.length);
+
+        const meetings = materials.map((meeting, index) => {
+            const date = new Date(meeting.recordingStart).toUTCString().slice(0, 16);
+            const lines = [
+                `Meeting ${index + 1}: ${meeting.title || meeting.transcriptId} (${date}, ${transcriptionService.formatDuration(Math.round((meeting.durationMs || 0) / 1000))})`,
+                `Participants: ${meeting.participants.join(', ') || 'unknown'}`,
+                meeting.text.length > share ? `${meeting.text.slice(0, share)}...` : meeting.text
+            ];
+            if (meeting.actionItems && meeting.actionItems.length > 0) {
+                lines.push('Action items:', ...meeting.actionItems.map(item =>
+                    `- ${item.owner || 'Unassigned'}: ${item.task}${item.due ? ` (due ${item.due})` : ''}`));
+            }
+            return lines.join('\n');
+        });
+
+        return `Write a digest of the ${materials.length} meetings held in the period ${range.label}, from their summaries below.\n\n${meetings.join('\n\n')}`;
+    }
+
+    getDigestPath(digestId, extension = 'json') {
+        return path.join(config.paths.recordings, `${DIGEST.FILE_PREFIX}${digestId}.${extension}`);
+    }
+
+    save(digest) {
+        fs.writeFileSync(this.getDigestPath(digest.digestId), JSON.stringify(digest, null, 2));
+        fs.writeFileSync(this.getDigestPath(digest.digestId, 'md'), this.formatDigest(digest), 'utf8');
+        logger.info(`Saved digest ${digest.digestId} (${digest.meetings.length} meetings)`);
+    }
+
+    /**
+     * @returns {object|null} - The saved digest, or null if there is none
+     */
+    read(digestId) {
+        const digestPath = this.getDigestPath(digestId);
+        if (!fs.existsSync(digestPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(digestPath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read digest ${digestPath}:`, error);
+            return null;
+        }
+    }
+
+    // Same layout as summarizationService.formatSummary
+    formatDigest(digest) {
+        return [
+            `# Digest: ${digest.label}`,
+            '',
+            `**Generated:** ${digest.generatedAt}`,
+            `**Meetings:** ${digest.meetings.map(meeting => `${meeting.title || meeting.transcriptId}${meeting.error ? ' (left out)' : ''}`).join(', ')}`,
+            '',
+            '---',
+            '',
+            digest.content,
+            '',
+            '---',
+            '',
+            `*Generated with ${digest.model}*`
+        ].join('\n');
+    }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/JsonStore');
+const { GUILD_SETTINGS } = require('../constants');
+
+/**
+ * Persistent per-guild overrides of the bot-wide defaults in config.
+ * Only explicitly chosen values are stored; callers fall back to config for the rest.
+ */
+class GuildSettingsService {
+    constructor() {
+        this.store = new JsonStore(GUILD_SETTINGS.STORE_FILENAME);
+        this.settings = this.store.read();
+    }
+
+    get(guildId) {
+        return { ...(this.settings[guildId] || {}) };
+    }
+
+    /**
+     * Merge changes into a guild's settings
+     * @param {string} guildId - Guild to update
+     * @param {object} changes - Values to set; null or undefined resets a key to the default
+     * @returns {object} - The guild's settings after the update
+     */
+    update(guildId, changes) {
+        const updated = { ...this.get(guildId), ...changes };
+        Object.keys(updated).forEach(key => {
+            if (updated[key] === null || updated[key] === undefined) {
+                delete updated[key];
+            }
+        });
+
+        if (Object.keys(updated).length > 0) {
+            this.settings[guildId] = updated;
+        } else {
+            delete this.settings[guildId];
+        }
+        this.store.write(this.settings);
+
+        logger.info(`Updated settings for guild ${guildId}: ${JSON.stringify(changes)}`);
+        return this.get(guildId);
+    }
+}
+
+module.exports = new GuildSettingsService();
@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const { HALLUCINATION_FILTER } = require('../constants');
+
+/**
+ * Screens a provider result for lines Whisper made up rather than heard: silence
+ * it transcribed anyway, decoding loops, the stock phrases it picked up from
+ * subtitled videos, and phrases repeated over and over. Works on the
+ * verbose_json segments, so each line is judged on its own scores.
+ *
+ * Every line it touches is reported with an action:
+ * - dropped: removed from the text
+ * - collapsed: kept, with a phrase repeated many times in a row cut down to one
+ * - flagged: kept as is, but worth a look
+ */
+class HallucinationFilter {
+    /**
+     * @param {object} result - Provider result: { text, language, segments, words } with times in seconds
+     * @returns {object} - The result with the text, segments and words of dropped lines removed, plus
+     *   filtered: [{ action, reason, text, startMs, endMs, noSpeechProb, avgLogprob, compressionRatio }]
+     *   with times in milliseconds from the start of the file
+     */
+    filter(result) {
+        // Without segments the whole text is judged as one line
+        const lines = result.segments && result.segments.length > 0
+            ? result.segments
+            : [{ text: result.text || '', start: 0, end: this.getEndTime(result.words) }];
+
+        const kept = [];
+        const filtered = [];
+        let words = result.words || [];
+        let previous = null;
+
+        for (const line of lines) {
+            const text = (line.text || '').trim();
+            if (!text) {
+                continue;
+            }
+
+            const report = (action, reason, reportedText = text) => filtered.push({
+                action,
+                reason,
+                text: reportedText,
+                startMs: Math.round((line.start || 0) * 1000),
+                endMs: Math.round((line.end || 0) * 1000),
+                noSpeechProb: line.no_speech_prob ?? null,
+                avgLogprob: line.avg_logprob ?? null,
+                compressionRatio: line.compression_ratio ?? null
+            });
+
+            const dropReason = this.getDropReason(line, text, previous);
+            if (dropReason) {
+                report('dropped', dropReason);
+                words = this.removeWords(words, line.start, line.end);
+                continue;
+            }
+
+            const tokens = text.split(/\s+/);
+            const repetition = this.findRepetitions(tokens, line);
+            const collapsed = repetition ? repetition.text : text;
+            if (repetition) {
+                report('collapsed', 'repetition');
+                words = this.removeWords(words, line.start, line.end, repetition.keep, tokens.length);
+            } else {
+                const flagReason = this.getFlagReason(line, text);
+                if (flagReason) {
+                    report('flagged', flagReason);
+                }
+            }
+
+            kept.push({ ...line, text: collapsed });
+            previous = collapsed;
+        }
+
+        if (filtered.length > 0) {
+            logger.debug(`Hallucination filter: ${filtered.map(line => `${line.action} "${line.text}" (${line.reason})`).join(', ')}`);
+        }
+
+        return {
+            ...result,
+            text: kept.map(line => line.text).join(' '),
+            segments: result.segments && result.segments.length > 0 ? kept : result.segments,
+            words,
+            filtered
+        };
+    }
+
+    /**
+     * @param {object} line - verbose_json segment
+     * @param {string} text - Its trimmed text
+     * @param {string|null} previous - Text of the last line kept
+     * @returns {string|null} - Why the line should be dropped, if it should
+     */
+    getDropReason(line, text, previous) {
+        const normalized = this.normalize(text);
+
+        if (line.no_speech_prob > HALLUCINATION_FILTER.NO_SPEECH_PROB_THRESHOLD && line.avg_logprob < HALLUCINATION_FILTER.NO_SPEECH_MAX_LOGPROB) {
+            return 'no_speech';
+        }
+        if (line.compression_ratio > HALLUCINATION_FILTER.MAX_COMPRESSION_RATIO) {
+            return 'compression_ratio';
+        }
+        if (HALLUCINATION_FILTER.PHRASES.includes(normalized) ||
+            HALLUCINATION_FILTER.PREFIXES.some(prefix => normalized.startsWith(prefix))) {
+            return 'known_phrase';
+        }
+        if (HALLUCINATION_FILTER.SUSPECT_PHRASES.includes(normalized) && this.isUnsure(line)) {
+            return 'known_phrase';
+        }
+        if (previous && normalized === this.normalize(previous) &&
+            normalized.split(' ').length >= HALLUCINATION_FILTER.MIN_REPEATED_LINE_WORDS) {
+            return 'repetition';
+        }
+        return null;
+    }
+
+    getFlagReason(line, text) {
+        if (HALLUCINATION_FILTER.SUSPECT_PHRASES.includes(this.normalize(text))) {
+            return 'suspect_phrase';
+        }
+        if (line.avg_logprob < HALLUCINATION_FILTER.LOW_CONFIDENCE_LOGPROB) {
+            return 'low_confidence';
+        }
+        return null;
+    }
+
+    // Lines without scores (some whisper.cpp builds) can't be judged, so they are only flagged
+    isUnsure(line) {
+        return line.no_speech_prob > HALLUCINATION_FILTER.SUSPECT_NO_SPEECH_PROB ||
+            line.avg_logprob < HALLUCINATION_FILTER.SUSPECT_MAX_LOGPROB;
+    }
+
+    /**
+     * Find phrases of up to MAX_REPEAT_NGRAM words said MIN_REPEATS or more times
+     * in a row, keeping a single occurrence of each. Short runs are only collapsed
+     * when the line scores badly, so "no, no, no" in clean speech stays as said.
+     * The first occurrence is kept, ending with the punctuation the run ended with.
+     * @param {string[]} tokens - Words of the line
+     * @param {object} [line] - verbose_json segment the words come from
+     * @returns {{keep: number[], text: string}|null} - Indexes of the tokens to keep and the
+     *   collapsed text, or null if nothing repeats
+     */
+    findRepetitions(tokens, line = {}) {
+        const keys = tokens.map(token => this.normalize(token));
+        const suspect = line.compression_ratio > HALLUCINATION_FILTER.SUSPECT_COMPRESSION_RATIO ||
+            line.avg_logprob < HALLUCINATION_FILTER.LOW_CONFIDENCE_LOGPROB;
+        const output = [];
+        const text = [];
+        let changed = false;
+
+        for (let i = 0; i < tokens.length;) {
+            let collapsedRun = false;
+
+            for (let size = 1; size <= HALLUCINATION_FILTER.MAX_REPEAT_NGRAM && i + size * HALLUCINATION_FILTER.MIN_REPEATS <= tokens.length; size++) {
+                const matches = (start) => keys.slice(start, start + size).every((key, offset) => key === keys[i + offset]);
+                let repeats = 1;
+                while (i + (repeats + 1) * size <= tokens.length && matches(i + repeats * size)) {
+                    repeats++;
+                }
+
+                if (repeats >= HALLUCINATION_FILTER.MIN_REPEATS && keys.slice(i, i + size).some(Boolean) &&
+                    (suspect || repeats * size >= HALLUCINATION_FILTER.MIN_REPEATED_RUN_WORDS)) {
+                    const kept = Array.from({ length: size }, (_, offset) => i + offset);
+                    const ending = tokens[i + repeats * size - 1].match(/[^\p{L}\p{N}]*$/u)[0];
+                    output.push(...kept);
+                    text.push(...kept.map(index => tokens[index]).slice(0, -1),
+                        tokens[i + size - 1].replace(/[^\p{L}\p{N}]*$/u, '') + ending);
+                    i += repeats * size;
+                    collapsedRun = true;
+                    changed = true;
+                    break;
+                }
+            }
+
+            if (!collapsedRun) {
+                output.push(i);
+                text.push(tokens[i]);
+                i++;
+            }
+        }
+
+        return changed ? { keep: output, text: text.join(' ') } : null;
+    }
+
+    /**
+     * Remove the words timed inside a line. When the line's words match its tokens
+     * one for one, the tokens listed in keep survive; otherwise all of them go and
+     * the line's time is shared out over its text wherever timings are needed.
+     * @param {Array} words - Provider words, times in seconds
+     * @param {number} start - Line start in seconds
+     * @param {number} end - Line end in seconds
+     * @param {number[]} keep - Indexes of the line's tokens to keep
+     * @param {number} tokenCount - Tokens in the line
+     * @returns {Array}
+     */
+    removeWords(words, start = 0, end = Infinity, keep = [], tokenCount = 0) {
+        const inLine = (word) => word.start >= start && word.start < end;
+        const aligned = words.filter(inLine).length === tokenCount;
+        let index = 0;
+
+        return words.filter(word => {
+            if (!inLine(word)) {
+                return true;
+            }
+            return aligned && keep.includes(index++);
+        });
+    }
+
+    getEndTime(words = []) {
+        return words.length > 0 ? words[words.length - 1].end : 0;
+    }
+
+    normalize(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = new HallucinationFilter();
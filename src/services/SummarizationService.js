@@ -3,7 +3,10 @@ const path = require('path');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { SUMMARIZATION, ERROR_MESSAGES } = require('../constants');
+const transcriptStore = require('../utils/TranscriptStore');
+const guildSettingsService = require('./GuildSettingsService');
+const summaryTemplateService = require('./SummaryTemplateService');
+const { SUMMARIZATION, TRANSCRIPTION, ERROR_MESSAGES } = require('../constants');
 
 class SummarizationService {
     constructor() {
@@ -15,139 +18,345 @@ class SummarizationService {
         }
     }
 
-    async summarizeTranscript(transcriptPath, type = 'detailed') {
+    /**
+     * Language summaries and titles are written in for a guild: its /settings
+     * choice, otherwise SUMMARY_LANGUAGE. Independent of the language spoken.
+     * @param {string} guildId - Guild the transcript belongs to, if known
+     * @returns {string} - Language code
+     */
+    getOutputLanguage(guildId = null) {
+        const requested = guildId ? guildSettingsService.get(guildId).summaryLanguage : null;
+        return requested || config.summarization.language;
+    }
+
+    // Appended to system prompts so the model answers in the output language whatever was spoken
+    buildLanguageInstruction(language) {
+        const name = TRANSCRIPTION.LANGUAGES[language] || language;
+        return `Always write your response in ${name}, even if the conversation is in a different language or in several languages.`;
+    }
+
+    /**
+     * Summarize a saved transcript in its guild's output language
+     * @param {string} transcriptId - Transcript to summarize (transcript_<id>.json)
+     * @param {string} type - Key of SUMMARIZATION.SYSTEM_PROMPTS, or the name of one of the guild's templates
+     * @param {object} [options]
+     * @param {Function} [options.onProgress] - Called with { stage, part, total } as a long transcript is summarized in parts
+     * @param {string} [options.guildId] - Guild whose templates to use, if not the transcript's own
+     * @param {AbortSignal} [options.signal] - Aborting it stops the summary, failing with the abort reason
+     * @returns {Promise<object>} - { summary, type, metadata }, plus data for STRUCTURED_TYPES
+     */
+    async summarizeTranscript(transcriptId, type = 'detailed', { onProgress = null, guildId = null, signal = null } = {}) {
         if (!this.groqApiKey) {
             throw new Error(ERROR_MESSAGES.SUMMARIZATION.API_KEY_MISSING);
         }
 
-        if (!fs.existsSync(transcriptPath)) {
-            throw new Error(`Transcript file not found: ${transcriptPath}`);
-        }
-
         try {
-            logger.info(`Reading transcript file: ${transcriptPath}`);
-            const transcriptContent = fs.readFileSync(transcriptPath, 'utf8');
-            logger.debug(`Transcript content length: ${transcriptContent ? transcriptContent.length : 'undefined'}`);
-
-            // Validate transcript content
-            if (!transcriptContent || typeof transcriptContent !== 'string') {
-                logger.error(`Invalid transcript content - type: ${typeof transcriptContent}, length: ${transcriptContent ? transcriptContent.length : 'N/A'}`);
-                throw new Error(`Transcript file is empty or unreadable: ${transcriptPath}`);
+            // Older transcripts do not record their guild and get the bot-wide language
+            const transcript = transcriptStore.read(transcriptId);
+            const language = this.getOutputLanguage(transcript && transcript.guildId);
+
+            const template = this.getTemplate(type, guildId || (transcript && transcript.guildId));
+            if (!template && !Object.prototype.hasOwnProperty.call(SUMMARIZATION.SYSTEM_PROMPTS, type)) {
+                throw new Error(`${ERROR_MESSAGES.SUMMARIZATION.INVALID_TYPE}: ${type}`);
             }
 
-            const conversationText = this.extractConversationText(transcriptContent);
+            // Structured types point at the time each item was said
+            const structured = this.isStructuredType(type);
+            const conversationText = transcriptStore.getConversationText(transcriptId, { timestamps: structured });
 
             if (!conversationText || conversationText.trim().length === 0) {
                 throw new Error(ERROR_MESSAGES.SUMMARIZATION.NO_CONTENT);
             }
 
-            const summary = await this.generateSummary(conversationText, type);
+            const summary = await this.generateSummary(conversationText, type, language, onProgress, template, signal);
+
+            let data = null;
+            if (structured) {
+                data = this.parseActionItems(summary.text, transcript ? transcript.speakers.map(speaker => speaker.name) : []);
+                summary.text = this.formatActionItems(data);
+            }
 
             return {
                 summary: summary.text,
                 type,
+                ...(data && { data }),
                 metadata: {
+                    language,
                     originalLength: conversationText.length,
                     summaryLength: summary.text.length,
                     compressionRatio: Math.round((summary.text.length / conversationText.length) * 100),
+                    chunks: summary.chunks,
                     generatedAt: new Date().toISOString()
                 }
             };
 
         } catch (error) {
-            logger.error(`Failed to summarize transcript ${transcriptPath}:`, error);
+            logger.error(`Failed to summarize transcript ${transcriptId}:`, error);
             throw error;
         }
     }
 
-    extractConversationText(transcriptContent) {
-        // Additional safety check
-        if (!transcriptContent || typeof transcriptContent !== 'string') {
-            logger.error('extractConversationText received invalid input:', typeof transcriptContent);
-            throw new Error('Invalid transcript content provided to extractConversationText');
+    /**
+     * Summarize conversation text. Text over CHUNK_TOKEN_BUDGET is summarized in parts
+     * split on speaker turns (map), and the part summaries are then combined into the
+     * requested type (reduce).
+     * @param {string} conversationText - "Speaker: text" lines
+     * @param {string} type - Key of SUMMARIZATION.SYSTEM_PROMPTS, or the template's name
+     * @param {string} language - Language code to write the summary in
+     * @param {Function} [onProgress] - Called with { stage: 'map', part, total } before each part
+     *   and { stage: 'reduce', total } before the part summaries are combined
+     * @param {object} [template] - Guild template from summaryTemplateService, used instead of the built-in type
+     * @param {AbortSignal} [signal] - Stops the requests still to come, and the one in flight, when aborted
+     * @returns {Promise<{text: string, model: string, tokensUsed: number, chunks: number}>}
+     */
+    async generateSummary(conversationText, type, language = config.summarization.language, onProgress = null, template = null, signal = null) {
+        const systemPrompt = `${template ? template.systemPrompt : SUMMARIZATION.SYSTEM_PROMPTS[type]} ${this.buildLanguageInstruction(language)}`;
+        const maxTokens = template ? template.maxTokens : SUMMARIZATION.MAX_TOKENS[type];
+        const options = { json: this.isStructuredType(type), signal };
+
+        if (this.estimateTokens(conversationText) <= SUMMARIZATION.CHUNK_TOKEN_BUDGET) {
+            const result = await this.requestCompletion(systemPrompt, this.buildSummarizationPrompt(conversationText, type, template), maxTokens, options);
+            return { ...result, model: SUMMARIZATION.DEFAULT_MODEL, chunks: 1 };
         }
 
-        const lines = transcriptContent.split('\n');
-        const conversationLines = [];
-        let inConversation = false;
+        const chunks = this.splitConversation(conversationText);
+        const chunkSystemPrompt = `${SUMMARIZATION.CHUNK_SYSTEM_PROMPT} ${this.buildLanguageInstruction(language)}`;
+        let tokensUsed = 0;
+
+        logger.info(`Conversation of ~${this.estimateTokens(conversationText)} tokens is summarized in ${chunks.length} parts`);
+
+        // Parts go one at a time to stay under the API's rate limits
+        let summaries = [];
+        for (const [index, chunk] of chunks.entries()) {
+            this.reportProgress(onProgress, { stage: 'map', part: index + 1, total: chunks.length }, signal);
+            const result = await this.requestCompletion(
+                chunkSystemPrompt,
+                `This is part ${index + 1} of ${chunks.length} of the conversation.\n\nConversation:\n${chunk}`,
+                SUMMARIZATION.CHUNK_SUMMARY_MAX_TOKENS,
+                { signal }
+            );
+            summaries.push(result.text);
+            tokensUsed += result.tokensUsed;
+        }
+
+        this.reportProgress(onProgress, { stage: 'reduce', total: chunks.length }, signal);
 
-        for (const line of lines) {
-            // Start collecting after the separator line
-            if (line.trim() === '---') {
-                inConversation = true;
-                continue;
+        // Combine in rounds until the part summaries fit in one request
+        const combineSystemPrompt = `${SUMMARIZATION.COMBINE_SYSTEM_PROMPT} ${this.buildLanguageInstruction(language)}`;
+        for (let level = 1; this.estimateTokens(this.joinPartSummaries(summaries)) > SUMMARIZATION.CHUNK_TOKEN_BUDGET; level++) {
+            if (level > SUMMARIZATION.MAX_REDUCE_LEVELS) {
+                throw new Error(ERROR_MESSAGES.SUMMARIZATION.TOO_LONG);
             }
 
-            if (inConversation && line.trim()) {
-                // Skip speaker lines that start with **[timestamp]
-                if (line.startsWith('**[')) {
-                    const speakerMatch = line.match(/\*\*\[.*?\]\s*(.+?)(?:\s*\([\d.]+%\))?\*\*:/);
-                    if (speakerMatch) {
-                        conversationLines.push(`${speakerMatch[1]}:`);
-                    }
-                } else if (!line.startsWith('**') && !line.startsWith('#')) {
-                    // This is the actual speech content
-                    conversationLines.push(line.trim());
+            const groups = this.groupSummaries(summaries);
+            logger.debug(`Combining ${summaries.length} part summaries into ${groups.length} (round ${level})`);
+
+            const combined = [];
+            for (const group of groups) {
+                const result = await this.requestCompletion(combineSystemPrompt, this.joinPartSummaries(group), SUMMARIZATION.CHUNK_SUMMARY_MAX_TOKENS, { signal });
+                combined.push(result.text);
+                tokensUsed += result.tokensUsed;
+            }
+            summaries = combined;
+        }
+
+        const result = await this.requestCompletion(systemPrompt, this.buildReducePrompt(summaries, type, template), maxTokens, options);
+
+        return {
+            text: result.text,
+            model: SUMMARIZATION.DEFAULT_MODEL,
+            tokensUsed: tokensUsed + result.tokensUsed,
+            chunks: chunks.length
+        };
+    }
+
+    // A failing progress callback (e.g. an expired interaction) must not stop the summary, and
+    // once the caller has given up (signal aborted) its reply must not be overwritten with progress
+    reportProgress(onProgress, progress, signal = null) {
+        if (!onProgress || (signal && signal.aborted)) {
+            return;
+        }
+        Promise.resolve()
+            .then(() => onProgress(progress))
+            .catch(error => logger.warn(`Failed to report summarization progress: ${error.message}`));
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(text.length / SUMMARIZATION.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Split a conversation into parts of at most CHUNK_TOKEN_BUDGET tokens without
+     * breaking a speaker turn. A single turn over the budget is split between
+     * sentences, and each piece keeps the speaker's name.
+     * @param {string} conversationText - "Speaker: text" lines
+     * @returns {string[]}
+     */
+    splitConversation(conversationText) {
+        const maxChars = SUMMARIZATION.CHUNK_TOKEN_BUDGET * SUMMARIZATION.CHARS_PER_TOKEN;
+        const turns = conversationText.split('\n')
+            .filter(turn => turn.trim())
+            .flatMap(turn => (turn.length > maxChars ? this.splitTurn(turn, maxChars) : [turn]));
+
+        return this.groupBySize(turns, maxChars, 1).map(group => group.join('\n'));
+    }
+
+    // Part summaries in consecutive groups that each fit in one request
+    groupSummaries(summaries) {
+        return this.groupBySize(summaries, SUMMARIZATION.CHUNK_TOKEN_BUDGET * SUMMARIZATION.CHARS_PER_TOKEN, 'Part 000:\n\n\n'.length);
+    }
+
+    // Consecutive items in groups of at most maxChars, counting the joiner added to each item
+    groupBySize(items, maxChars, joinerLength) {
+        const groups = [];
+        let current = [];
+        let size = 0;
+
+        for (const item of items) {
+            if (current.length > 0 && size + item.length + joinerLength > maxChars) {
+                groups.push(current);
+                current = [];
+                size = 0;
+            }
+            current.push(item);
+            size += item.length + joinerLength;
+        }
+
+        if (current.length > 0) {
+            groups.push(current);
+        }
+        return groups;
+    }
+
+    splitTurn(turn, maxChars) {
+        const match = turn.match(/^(\[[\d:]+\]\s)?[^:\n]{1,100}:\s/);
+        const speaker = match ? match[0] : '';
+        const sentences = turn.slice(speaker.length).match(/[^.!?]+(?:[.!?]+\s*|$)/g) || [];
+        const pieces = [];
+        let current = '';
+
+        for (const sentence of sentences) {
+            // A run-on "sentence" longer than a whole part is cut wherever it reaches the limit
+            for (let offset = 0; offset < sentence.length; offset += maxChars - speaker.length) {
+                const part = sentence.slice(offset, offset + maxChars - speaker.length);
+                if (current && speaker.length + current.length + part.length > maxChars) {
+                    pieces.push(`${speaker}${current.trim()}`);
+                    current = '';
                 }
+                current += part;
             }
         }
 
-        return conversationLines.join('\n');
+        if (current.trim()) {
+            pieces.push(`${speaker}${current.trim()}`);
+        }
+        return pieces;
     }
 
-    async generateSummary(conversationText, type) {
-        const prompt = this.buildSummarizationPrompt(conversationText, type);
+    joinPartSummaries(summaries) {
+        return summaries.map((summary, index) => `Part ${index + 1}:\n${summary}`).join('\n\n');
+    }
+
+    /**
+     * @param {string} systemPrompt
+     * @param {string} userPrompt
+     * @param {number} maxTokens
+     * @param {object} [options]
+     * @param {boolean} [options.json] - Ask for a JSON object (the prompts must say so too)
+     * @param {string} [options.baseUrl] - Another OpenAI-compatible chat API instead of Groq
+     * @param {string} [options.apiKey] - Its key, if it needs one
+     * @param {string} [options.model] - Model, for other services' requests
+     * @param {number} [options.temperature]
+     * @param {number} [options.timeoutMs]
+     * @param {object} [options.errors] - API_TIMEOUT, API_ERROR and NETWORK_ERROR messages to fail with
+     * @param {AbortSignal} [options.signal] - Cancels the request; it then fails with the abort reason
+     * @returns {Promise<{text: string, tokensUsed: number}>}
+     */
+    async requestCompletion(systemPrompt, userPrompt, maxTokens, {
+        json = false,
+        baseUrl = this.groqBaseUrl,
+        apiKey = this.groqApiKey,
+        model = SUMMARIZATION.DEFAULT_MODEL,
+        temperature = SUMMARIZATION.TEMPERATURE,
+        timeoutMs = SUMMARIZATION.API_TIMEOUT_MS,
+        errors = ERROR_MESSAGES.SUMMARIZATION,
+        signal = null
+    } = {}) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
 
         try {
-            const response = await axios.post(`${this.groqBaseUrl}/chat/completions`, {
-                model: SUMMARIZATION.DEFAULT_MODEL,
+            const response = await axios.post(`${baseUrl}/chat/completions`, {
+                model,
                 messages: [
                     {
                         role: 'system',
-                        content: SUMMARIZATION.SYSTEM_PROMPTS[type]
+                        content: systemPrompt
                     },
                     {
                         role: 'user',
-                        content: prompt
+                        content: userPrompt
                     }
                 ],
-                temperature: SUMMARIZATION.TEMPERATURE,
-                max_tokens: SUMMARIZATION.MAX_TOKENS[type],
+                temperature,
+                max_tokens: maxTokens,
                 top_p: SUMMARIZATION.TOP_P,
+                ...(json && { response_format: { type: 'json_object' } }),
                 stream: false
             }, {
                 headers: {
-                    'Authorization': `Bearer ${this.groqApiKey}`,
+                    ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
                     'Content-Type': 'application/json'
                 },
-                timeout: SUMMARIZATION.API_TIMEOUT_MS
+                timeout: timeoutMs,
+                ...(signal && { signal })
             });
 
             const summaryText = response.data.choices[0]?.message?.content;
 
             if (!summaryText) {
-                throw new Error('Empty response from summarization API');
+                throw new Error('Empty response from API');
             }
 
             return {
                 text: summaryText.trim(),
-                model: SUMMARIZATION.DEFAULT_MODEL,
                 tokensUsed: response.data.usage?.total_tokens || 0
             };
 
         } catch (error) {
-            if (error.response) {
-                logger.error(`Groq API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-                throw new Error(`${ERROR_MESSAGES.SUMMARIZATION.API_ERROR}: ${error.response.status}`);
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            } else if (error.response) {
+                logger.error(`${baseUrl === this.groqBaseUrl ? 'Groq' : baseUrl} API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+                throw new Error(`${errors.API_ERROR}: ${error.response.status}`);
             } else if (error.code === 'ECONNABORTED') {
-                throw new Error(ERROR_MESSAGES.SUMMARIZATION.API_TIMEOUT);
+                throw new Error(errors.API_TIMEOUT);
+            } else if (error.message === 'Empty response from API') {
+                throw error;
             } else {
-                throw new Error(`${ERROR_MESSAGES.SUMMARIZATION.NETWORK_ERROR}: ${error.message}`);
+                throw new Error(`${errors.NETWORK_ERROR}: ${error.message}`);
             }
         }
     }
 
-    buildSummarizationPrompt(conversationText, type) {
+    buildSummarizationPrompt(conversationText, type, template = null) {
+        if (template) {
+            return `Please summarize the following conversation transcript.
+
+Conversation:
+${conversationText}
+
+${this.buildTemplateInstructions(template)}`;
+        }
+
+        if (this.isStructuredType(type)) {
+            return `Extract the action items and decisions from the following conversation transcript. Each line starts with the [H:MM:SS] time it was said, when known, followed by the speaker's name.
+
+Conversation:
+${conversationText}`;
+        }
+
         const maxLength = type === 'brief' ? 150 : 800;
 
         return `Please summarize the following conversation transcript. The summary should be ${maxLength} words or less.
@@ -158,6 +367,127 @@ ${conversationText}
 Please provide a ${type} summary that captures the key points, main topics discussed, and any important decisions or outcomes.`;
     }
 
+    buildReducePrompt(partSummaries, type, template = null) {
+        if (template) {
+            return `The conversation was too long to summarize at once, so it was summarized in ${partSummaries.length} consecutive parts. Combine the part summaries below into one summary of the whole conversation.
+
+${this.joinPartSummaries(partSummaries)}
+
+${this.buildTemplateInstructions(template)} Do not mention the parts.`;
+        }
+
+        if (this.isStructuredType(type)) {
+            return `The conversation was too long to read at once, so it was summarized in ${partSummaries.length} consecutive parts. Extract the action items and decisions of the whole conversation from the part summaries below, each with the time given for it. List an item mentioned in several parts once.
+
+${this.joinPartSummaries(partSummaries)}`;
+        }
+
+        const maxLength = type === 'brief' ? 150 : 800;
+
+        return `The conversation was too long to summarize at once, so it was summarized in ${partSummaries.length} consecutive parts. Combine the part summaries below into one summary of the whole conversation. The summary should be ${maxLength} words or less.
+
+${this.joinPartSummaries(partSummaries)}
+
+Please provide a ${type} summary that captures the key points, main topics discussed, and any important decisions or outcomes. Do not mention the parts.`;
+    }
+
+    // The template's own instructions, then the sections to lay the summary out in
+    buildTemplateInstructions(template) {
+        const lines = [template.instructions || 'Please provide a summary that captures the key points, main topics discussed, and any important decisions or outcomes.'];
+        if (template.sections.length > 0) {
+            lines.push(`Organize the summary into these sections, in this order, each under a Markdown heading with its name: ${template.sections.join(', ')}.`);
+        }
+        return lines.join('\n\n');
+    }
+
+    // A guild template of that name; built-in types take precedence
+    getTemplate(type, guildId) {
+        if (Object.prototype.hasOwnProperty.call(SUMMARIZATION.SYSTEM_PROMPTS, type)) {
+            return null;
+        }
+        return summaryTemplateService.get(guildId, type);
+    }
+
+    /**
+     * Summary types available to a guild: the built-in types, then its templates
+     * @param {string} [guildId] - Guild whose templates to add
+     * @returns {string[]}
+     */
+    getSummaryTypes(guildId = null) {
+        return [
+            ...Object.keys(SUMMARIZATION.SYSTEM_PROMPTS),
+            ...summaryTemplateService.list(guildId).map(template => template.name)
+        ];
+    }
+
+    isStructuredType(type) {
+        return SUMMARIZATION.STRUCTURED_TYPES.includes(type);
+    }
+
+    /**
+     * Read the model's action_items JSON, keeping only well-formed items. Owners
+     * must be speakers of the transcript, when its speakers are known.
+     * @param {string} text - Model response
+     * @param {string[]} speakerNames - Speakers of the transcript
+     * @returns {{actionItems: Array<{owner: string|null, task: string, due: string|null, timestamp: string|null}>,
+     *   decisions: Array<{decision: string, timestamp: string|null}>}}
+     */
+    parseActionItems(text, speakerNames = []) {
+        let parsed;
+        try {
+            // The JSON is sometimes wrapped in a code fence or a sentence
+            const match = text.match(/\{[\s\S]*\}/);
+            parsed = JSON.parse(match ? match[0] : text);
+        } catch (_error) {
+            logger.error(`Unreadable action items response: ${text.slice(0, 200)}`);
+            throw new Error(ERROR_MESSAGES.SUMMARIZATION.INVALID_RESPONSE);
+        }
+
+        const clean = (value) => (typeof value === 'string' && value.trim() && value.trim().toLowerCase() !== 'null' ? value.trim() : null);
+        const timestamp = (value) => (/^\d+:\d{2}(:\d{2})?$/.test(clean(value) || '') ? clean(value).replace(/^(\d+:\d{2})$/, '0:$1') : null);
+        const owner = (value) => {
+            const name = clean(value);
+            if (!name || speakerNames.length === 0) {
+                return name;
+            }
+            return speakerNames.find(speaker => speaker.toLowerCase() === name.toLowerCase()) ||
+                speakerNames.find(speaker => speaker.toLowerCase().startsWith(`${name.toLowerCase()} `)) ||
+                null;
+        };
+
+        return {
+            actionItems: (Array.isArray(parsed.action_items) ? parsed.action_items : [])
+                .filter(item => item && clean(item.task))
+                .map(item => ({ owner: owner(item.owner), task: clean(item.task), due: clean(item.due), timestamp: timestamp(item.timestamp) })),
+            decisions: (Array.isArray(parsed.decisions) ? parsed.decisions : [])
+                .filter(item => item && clean(item.decision))
+                .map(item => ({ decision: clean(item.decision), timestamp: timestamp(item.timestamp) }))
+        };
+    }
+
+    // Markdown checklist of parseActionItems output, for Discord, downloads and exports
+    formatActionItems({ actionItems, decisions }) {
+        const lines = ['## Action Items', ''];
+
+        if (actionItems.length === 0) {
+            lines.push('_No action items._');
+        }
+        for (const item of actionItems) {
+            const details = [item.due && `due ${item.due}`, item.timestamp].filter(Boolean).join(' · ');
+            lines.push(`- [ ] **${item.owner || 'Unassigned'}**: ${item.task}${details ? ` (${details})` : ''}`);
+        }
+
+        lines.push('', '## Decisions', '');
+        if (decisions.length === 0) {
+            lines.push('_No decisions._');
+        }
+        for (const item of decisions) {
+            lines.push(`- ${item.decision}${item.timestamp ? ` (${item.timestamp})` : ''}`);
+        }
+
+        return lines.join('\n');
+    }
+
     async saveSummary(summary, transcriptId, type) {
         const summaryFileName = `${transcriptId}_summary_${type}.md`;
         const summaryPath = path.join(config.paths.recordings, summaryFileName);
@@ -166,6 +496,14 @@ Please provide a ${type} summary that captures the key points, main topics discu
 
         try {
             fs.writeFileSync(summaryPath, summaryContent, 'utf8');
+            if (summary.data) {
+                fs.writeFileSync(this.getSummaryDataPath(transcriptId, type), JSON.stringify({
+                    transcriptId,
+                    type,
+                    generatedAt: summary.metadata.generatedAt,
+                    ...summary.data
+                }, null, 2));
+            }
             logger.info(`Summary saved to ${summaryPath}`);
 
             return {
@@ -199,18 +537,24 @@ Please provide a ${type} summary that captures the key points, main topics discu
         return lines.join('\n');
     }
 
-    getSummaryPath(transcriptId, type) {
-        const summaryFileName = `${transcriptId}_summary_${type}.md`;
+    // <id>_summary_<type>.md, or <id>_summary_<type>.<lang>.md for a translation
+    getSummaryPath(transcriptId, type, language = null) {
+        const summaryFileName = `${transcriptId}_summary_${type}${language ? `.${language}` : ''}.md`;
         return path.join(config.paths.recordings, summaryFileName);
     }
 
-    summaryExists(transcriptId, type) {
-        const summaryPath = this.getSummaryPath(transcriptId, type);
+    // Structured output of STRUCTURED_TYPES, next to the Markdown; translations only have the Markdown
+    getSummaryDataPath(transcriptId, type) {
+        return path.join(config.paths.recordings, `${transcriptId}_summary_${type}.json`);
+    }
+
+    summaryExists(transcriptId, type, language = null) {
+        const summaryPath = this.getSummaryPath(transcriptId, type, language);
         return fs.existsSync(summaryPath);
     }
 
-    getSummary(transcriptId, type) {
-        const summaryPath = this.getSummaryPath(transcriptId, type);
+    getSummary(transcriptId, type, language = null) {
+        const summaryPath = this.getSummaryPath(transcriptId, type, language);
 
         if (!fs.existsSync(summaryPath)) {
             throw new Error(`Summary not found: ${summaryPath}`);
@@ -218,8 +562,10 @@ Please provide a ${type} summary that captures the key points, main topics discu
 
         try {
             const summaryContent = fs.readFileSync(summaryPath, 'utf8');
+            const dataPath = this.getSummaryDataPath(transcriptId, type);
             return {
                 content: summaryContent,
+                data: !language && fs.existsSync(dataPath) ? JSON.parse(fs.readFileSync(dataPath, 'utf8')) : null,
                 path: summaryPath,
                 type,
                 transcriptId
@@ -230,9 +576,14 @@ Please provide a ${type} summary that captures the key points, main topics discu
         }
     }
 
-    validateSummaryType(type) {
-        const validTypes = ['brief', 'detailed', 'key_points'];
-        return validTypes.includes(type);
+    // The summary text itself, without the header and footer formatSummary wraps it in
+    extractSummaryText(summaryContent) {
+        const parts = summaryContent.split(/\n---\n/);
+        return (parts.length >= 3 ? parts.slice(1, -1).join('\n---\n') : summaryContent).trim();
+    }
+
+    validateSummaryType(type, guildId = null) {
+        return this.getSummaryTypes(guildId).includes(type);
     }
 }
 
@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/JsonStore');
+const { SUMMARY_TEMPLATES, SUMMARIZATION } = require('../constants');
+
+/**
+ * Persistent per-guild summary templates, e.g. session recaps or retro notes.
+ * A template is summarized like a built-in type, with its own system prompt,
+ * instructions, token limit and output sections.
+ * Stored as { [guildId]: { [name]: { name, systemPrompt, instructions, maxTokens, sections, createdBy, createdAt, updatedAt } } }.
+ */
+class SummaryTemplateService {
+    constructor() {
+        this.store = new JsonStore(SUMMARY_TEMPLATES.STORE_FILENAME);
+        this.templates = this.store.read();
+    }
+
+    list(guildId) {
+        return Object.values((guildId && this.templates[guildId]) || {})
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(guildId, name) {
+        return (guildId && this.templates[guildId] && this.templates[guildId][name]) || null;
+    }
+
+    /**
+     * @param {string} guildId - Guild the template belongs to
+     * @param {object} fields - { name, systemPrompt, instructions, maxTokens, sections }
+     * @param {string} userId - Member creating it
+     * @returns {object} - The stored template
+     */
+    create(guildId, fields, userId = null) {
+        const name = this.normalizeName(fields.name);
+
+        if (!SUMMARY_TEMPLATES.NAME_PATTERN.test(name)) {
+            throw new Error('Template names can only use lowercase letters, numbers, - and _ (up to 32 characters).');
+        }
+        if (Object.prototype.hasOwnProperty.call(SUMMARIZATION.SYSTEM_PROMPTS, name)) {
+            throw new Error(`**${name}** is a built-in summary type. Pick another name.`);
+        }
+        if (this.get(guildId, name)) {
+            throw new Error(`A template named **${name}** already exists. Change it with \`/template edit\`.`);
+        }
+        if (this.list(guildId).length >= SUMMARY_TEMPLATES.MAX_TEMPLATES) {
+            throw new Error(`This server already has ${SUMMARY_TEMPLATES.MAX_TEMPLATES} templates. Delete one first.`);
+        }
+
+        const now = new Date().toISOString();
+        const template = {
+            name,
+            ...this.validateFields({ maxTokens: SUMMARY_TEMPLATES.DEFAULT_MAX_TOKENS, sections: [], instructions: '', ...fields }),
+            createdBy: userId,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.templates[guildId] = this.templates[guildId] || {};
+        this.templates[guildId][name] = template;
+        this.store.write(this.templates);
+        logger.info(`Created summary template "${name}" in guild ${guildId}`);
+
+        return template;
+    }
+
+    /**
+     * Change some fields of a template; fields left undefined keep their value
+     * @returns {object|null} - The updated template, or null if there is none by that name
+     */
+    update(guildId, name, changes) {
+        const existing = this.get(guildId, this.normalizeName(name));
+        if (!existing) {
+            return null;
+        }
+
+        const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined && value !== null));
+        const template = {
+            ...existing,
+            ...this.validateFields({ ...existing, ...defined }),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.templates[guildId][existing.name] = template;
+        this.store.write(this.templates);
+        logger.info(`Updated summary template "${existing.name}" in guild ${guildId}`);
+
+        return template;
+    }
+
+    /**
+     * @returns {boolean} - False if there is no template by that name
+     */
+    remove(guildId, name) {
+        const key = this.normalizeName(name);
+        if (!this.get(guildId, key)) {
+            return false;
+        }
+
+        delete this.templates[guildId][key];
+        if (Object.keys(this.templates[guildId]).length === 0) {
+            delete this.templates[guildId];
+        }
+        this.store.write(this.templates);
+        logger.info(`Deleted summary template "${key}" from guild ${guildId}`);
+        return true;
+    }
+
+    // Sections arrive from Discord as one comma-separated string
+    parseSections(value) {
+        return (value || '')
+            .split(',')
+            .map(section => section.trim())
+            .filter(Boolean);
+    }
+
+    normalizeName(name) {
+        return (name || '').trim().toLowerCase().replace(/\s+/g, '_');
+    }
+
+    validateFields({ systemPrompt, instructions, maxTokens, sections }) {
+        const prompt = (systemPrompt || '').trim();
+        if (!prompt) {
+            throw new Error('A template needs a system prompt.');
+        }
+        if (prompt.length > SUMMARY_TEMPLATES.MAX_PROMPT_LENGTH || (instructions || '').length > SUMMARY_TEMPLATES.MAX_PROMPT_LENGTH) {
+            throw new Error(`Prompts and instructions are limited to ${SUMMARY_TEMPLATES.MAX_PROMPT_LENGTH} characters.`);
+        }
+        if (!Number.isInteger(maxTokens) || maxTokens < SUMMARY_TEMPLATES.MIN_TOKENS || maxTokens > SUMMARY_TEMPLATES.MAX_TOKENS) {
+            throw new Error(`Max tokens must be between ${SUMMARY_TEMPLATES.MIN_TOKENS} and ${SUMMARY_TEMPLATES.MAX_TOKENS}.`);
+        }
+        if (sections.length > SUMMARY_TEMPLATES.MAX_SECTIONS || sections.some(section => section.length > SUMMARY_TEMPLATES.MAX_SECTION_LENGTH)) {
+            throw new Error(`A template can have up to ${SUMMARY_TEMPLATES.MAX_SECTIONS} sections of up to ${SUMMARY_TEMPLATES.MAX_SECTION_LENGTH} characters each.`);
+        }
+
+        return {
+            systemPrompt: prompt,
+            instructions: (instructions || '').trim(),
+            maxTokens,
+            sections
+        };
+    }
+}
+
+module.exports = new SummaryTemplateService();
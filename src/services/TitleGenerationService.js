@@ -3,6 +3,8 @@ const path = require('path');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const transcriptStore = require('../utils/TranscriptStore');
+const summarizationService = require('./SummarizationService');
 const { ERROR_MESSAGES: _ERROR_MESSAGES } = require('../constants');
 
 class TitleGenerationService {
@@ -16,29 +18,29 @@ class TitleGenerationService {
     }
 
     /**
-     * Generate a human-friendly title from transcript content
-     * @param {string} transcriptContent - The full transcript content
+     * Generate a human-friendly title from a transcript
+     * @param {object} transcript - Canonical transcript from transcriptionService.buildTranscriptDocument
      * @returns {Promise<{title: string, slug: string, metadata: object}>}
      */
-    async generateTitle(transcriptContent) {
+    async generateTitle(transcript) {
         if (!this.groqApiKey) {
             throw new Error('GROQ API key is required for title generation');
         }
 
-        if (!transcriptContent || typeof transcriptContent !== 'string') {
-            throw new Error('Invalid transcript content provided');
+        if (!transcript || !Array.isArray(transcript.segments)) {
+            throw new Error('Invalid transcript provided');
         }
 
         try {
-            // Extract conversation text from transcript
-            const conversationText = this.extractConversationText(transcriptContent);
+            const conversationText = transcriptStore.toConversationText(transcript);
 
             if (!conversationText || conversationText.trim().length === 0) {
                 throw new Error('No conversation content found in transcript');
             }
 
-            // Generate title using LLM
-            const title = await this.generateTitleFromText(conversationText);
+            // Generate title using LLM, in the same language as the guild's summaries
+            const language = summarizationService.getOutputLanguage(transcript.guildId);
+            const title = await this.generateTitleFromText(conversationText, language);
 
             // Create slug from title
             const slug = this.slugify(title);
@@ -48,6 +50,7 @@ class TitleGenerationService {
                 slug,
                 metadata: {
                     generatedAt: new Date().toISOString(),
+                    language,
                     sourceLength: conversationText.length,
                     model: 'llama-3.1-8b-instant'
                 }
@@ -59,51 +62,13 @@ class TitleGenerationService {
         }
     }
 
-    /**
-     * Extract conversation text from transcript markdown
-     * @param {string} transcriptContent - Full transcript content
-     * @returns {string} - Clean conversation text
-     */
-    extractConversationText(transcriptContent) {
-        if (!transcriptContent || typeof transcriptContent !== 'string') {
-            logger.error('extractConversationText received invalid input:', typeof transcriptContent);
-            throw new Error('Invalid transcript content provided to extractConversationText');
-        }
-
-        const lines = transcriptContent.split('\n');
-        const conversationLines = [];
-        let inConversation = false;
-
-        for (const line of lines) {
-            // Start collecting after the separator line
-            if (line.trim() === '---') {
-                inConversation = true;
-                continue;
-            }
-
-            if (inConversation && line.trim()) {
-                // Skip speaker lines that start with **[timestamp]
-                if (line.startsWith('**[')) {
-                    const speakerMatch = line.match(/\*\*\[.*?\]\s*(.+?)(?:\s*\([\d.]+%\))?\*\*:/);
-                    if (speakerMatch) {
-                        conversationLines.push(`${speakerMatch[1]}:`);
-                    }
-                } else if (!line.startsWith('**') && !line.startsWith('#')) {
-                    // This is the actual speech content
-                    conversationLines.push(line.trim());
-                }
-            }
-        }
-
-        return conversationLines.join('\n');
-    }
-
     /**
      * Generate title using LLM
      * @param {string} conversationText - Clean conversation text
+     * @param {string} language - Language code to write the title in
      * @returns {Promise<string>} - Generated title
      */
-    async generateTitleFromText(conversationText) {
+    async generateTitleFromText(conversationText, language = config.summarization.language) {
         // Truncate conversation if too long (keep first 2000 chars for context)
         const truncatedText = conversationText.length > 2000
             ? conversationText.substring(0, 2000) + '...'
@@ -118,7 +83,8 @@ Guidelines:
 - Avoid generic words like "conversation", "discussion", "meeting" unless they add specific context
 - Focus on the actual subject matter discussed
 - Use title case (capitalize important words)
-- Do not include quotes or special characters that would be problematic in filenames`;
+- Do not include quotes or special characters that would be problematic in filenames
+- ${summarizationService.buildLanguageInstruction(language)}`;
 
         const userPrompt = `Please create a short, descriptive title for this voice conversation transcript:
 
@@ -206,7 +172,9 @@ Return only the title, nothing else.`;
         return title
             .toLowerCase()
             .trim()
-            .replace(/[^\w\s-]/g, '') // Remove special characters
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '') // Strip accents so "Über" becomes "uber"
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '') // Remove special characters
             .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
             .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
     }
@@ -0,0 +1,502 @@
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const transcriptionService = require('./TranscriptionService');
+const summarizationService = require('./SummarizationService');
+const titleGenerationService = require('./TitleGenerationService');
+const { COMMANDS, TRANSCRIPT_EXPORT } = require('../constants');
+
+/**
+ * Renders the canonical transcript into downloadable formats: subtitles, and
+ * documents that can also carry the generated title and summaries. Times are
+ * offsets from the start of the recording, so they line up with the
+ * recording file rather than the wall clock.
+ */
+class TranscriptExportService {
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(TRANSCRIPT_EXPORT.FORMATS, format);
+    }
+
+    getFileName(transcriptId, format, { includeSummaries = false } = {}) {
+        const suffix = includeSummaries && !TRANSCRIPT_EXPORT.FORMATS[format].subtitles ? TRANSCRIPT_EXPORT.SUMMARIES_SUFFIX : '';
+        return `${COMMANDS.TRANSCRIPT_FILE_PREFIX}${transcriptId}${suffix}.${TRANSCRIPT_EXPORT.FORMATS[format].extension}`;
+    }
+
+    /**
+     * @param {object} transcript - Canonical transcript from transcriptStore.read
+     * @param {string} format - Key of TRANSCRIPT_EXPORT.FORMATS
+     * @param {object} [options]
+     * @param {boolean} [options.includeSummaries] - Put the generated title and any saved summaries in documents
+     * @returns {Promise<{content: string|Buffer, fileName: string, contentType: string}>}
+     */
+    async export(transcript, format, { includeSummaries = false } = {}) {
+        if (!this.isSupportedFormat(format)) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const renderers = {
+            srt: () => this.toSrt(transcript),
+            vtt: () => this.toVtt(transcript),
+            txt: () => this.toText(this.buildExportDocument(transcript, includeSummaries)),
+            html: () => this.toHtml(this.buildExportDocument(transcript, includeSummaries)),
+            docx: () => this.toDocx(this.buildExportDocument(transcript, includeSummaries)),
+            pdf: () => this.toPdf(this.buildExportDocument(transcript, includeSummaries))
+        };
+
+        const content = await renderers[format]();
+        const fileName = this.getFileName(transcript.transcriptId, format, { includeSummaries });
+        logger.info(`Exported transcript ${transcript.transcriptId} to ${fileName}`);
+
+        return {
+            content,
+            fileName,
+            contentType: TRANSCRIPT_EXPORT.FORMATS[format].contentType
+        };
+    }
+
+    /**
+     * Export into the recordings directory, where the temporary download links serve files from
+     * @returns {Promise<{fileName: string, path: string}>}
+     */
+    async saveExport(transcript, format, options = {}) {
+        const exported = await this.export(transcript, format, options);
+        const filePath = path.join(config.paths.recordings, exported.fileName);
+
+        fs.writeFileSync(filePath, exported.content);
+        return { fileName: exported.fileName, path: filePath };
+    }
+
+    /**
+     * Everything the document formats show, in reading order
+     * @param {object} transcript - Canonical transcript
+     * @param {boolean} includeSummaries - Use the generated title and add saved summaries
+     * @returns {{title: string, details: Array<[string, string]>, summaries: Array<{heading: string, blocks: object[]}>, entries: object[]}}
+     */
+    buildExportDocument(transcript, includeSummaries) {
+        const metadata = transcriptionService.generateMetadata(transcript);
+        const titleData = includeSummaries ? titleGenerationService.getTitle(transcript.transcriptId) : null;
+
+        const details = [
+            ['Recorded', new Date(transcript.recordingStart).toUTCString()],
+            ['Duration', metadata.totalDuration],
+            ['Participants', metadata.participants.join(', ') || 'None']
+        ];
+
+        const summaries = includeSummaries
+            ? summarizationService.getSummaryTypes(transcript.guildId)
+                .filter(type => summarizationService.summaryExists(transcript.transcriptId, type))
+                .map(type => ({
+                    heading: `${type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')} Summary`,
+                    blocks: this.parseMarkdownBlocks(summarizationService.extractSummaryText(summarizationService.getSummary(transcript.transcriptId, type).content))
+                }))
+            : [];
+
+        const entries = transcript.segments
+            .filter(segment => segment.type !== 'speech' || (!segment.error && segment.text && segment.text.trim()))
+            .map(segment => {
+                const time = this.formatTimestamp(segment.startMs, '.').slice(0, 8);
+                if (segment.type === 'speech') {
+                    return { type: 'speech', time, speaker: segment.speaker, text: segment.text.trim() };
+                }
+
+                const gapDuration = transcriptionService.formatDuration(Math.round((segment.endMs - segment.startMs) / 1000));
+                const text = segment.type === 'outage'
+                    ? `Voice connection lost for ${gapDuration}`
+                    : `Recording paused for ${gapDuration}`;
+                return { type: segment.type, time, text };
+            });
+
+        return {
+            title: (titleData && titleData.title) || TRANSCRIPT_EXPORT.DEFAULT_TITLE,
+            details,
+            summaries,
+            entries
+        };
+    }
+
+    /**
+     * Just enough Markdown for model-written summaries: headings, bullet and
+     * numbered lists and paragraphs, with inline emphasis dropped.
+     * @returns {Array<{type: 'heading'|'bullet'|'paragraph', text: string}>}
+     */
+    parseMarkdownBlocks(markdown) {
+        const blocks = [];
+        let paragraph = [];
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+                paragraph = [];
+            }
+        };
+        const stripInline = (text) => text.replace(/(\*\*|__|\*|`)/g, '').trim();
+
+        for (const line of markdown.split('\n')) {
+            const trimmed = line.trim();
+            const heading = trimmed.match(/^#{1,6}\s+(.*)$/);
+            const bullet = trimmed.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+
+            if (!trimmed) {
+                flushParagraph();
+            } else if (heading) {
+                flushParagraph();
+                blocks.push({ type: 'heading', text: stripInline(heading[1]) });
+            } else if (bullet) {
+                flushParagraph();
+                blocks.push({ type: 'bullet', text: stripInline(bullet[1]) });
+            } else {
+                paragraph.push(stripInline(trimmed));
+            }
+        }
+
+        flushParagraph();
+        return blocks;
+    }
+
+    toText(document) {
+        const lines = [document.title, '='.repeat(document.title.length), ''];
+
+        for (const [label, value] of document.details) {
+            lines.push(`${label}: ${value}`);
+        }
+        lines.push('');
+
+        for (const summary of document.summaries) {
+            lines.push(summary.heading, '-'.repeat(summary.heading.length), '');
+            for (const block of summary.blocks) {
+                if (block.type === 'bullet') {
+                    lines.push(`  * ${block.text}`);
+                } else {
+                    lines.push('', block.text, '');
+                }
+            }
+            lines.push('');
+        }
+
+        lines.push('Transcript', '----------', '');
+        for (const entry of document.entries) {
+            lines.push(entry.type === 'speech'
+                ? `[${entry.time}] ${entry.speaker}: ${entry.text}`
+                : `[${entry.time}] -- ${entry.text} --`);
+        }
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+    }
+
+    toHtml(document) {
+        const escape = (text) => this.escapeHtml(text);
+        const renderBlocks = (blocks) => {
+            const html = [];
+            let inList = false;
+            for (const block of blocks) {
+                if (block.type === 'bullet' && !inList) {
+                    html.push('<ul>');
+                    inList = true;
+                } else if (block.type !== 'bullet' && inList) {
+                    html.push('</ul>');
+                    inList = false;
+                }
+
+                if (block.type === 'heading') {
+                    html.push(`<h3>${escape(block.text)}</h3>`);
+                } else if (block.type === 'bullet') {
+                    html.push(`<li>${escape(block.text)}</li>`);
+                } else {
+                    html.push(`<p>${escape(block.text)}</p>`);
+                }
+            }
+            if (inList) {
+                html.push('</ul>');
+            }
+            return html.join('\n');
+        };
+
+        const details = document.details.map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('\n');
+        const summaries = document.summaries.map(summary => `<section class="summary">\n<h2>${escape(summary.heading)}</h2>\n${renderBlocks(summary.blocks)}\n</section>`).join('\n');
+        const entries = document.entries.map(entry => entry.type === 'speech'
+            ? `<div class="entry"><span class="time">${entry.time}</span> <strong>${escape(entry.speaker)}:</strong> ${escape(entry.text)}</div>`
+            : `<div class="entry gap"><span class="time">${entry.time}</span> ${escape(entry.text)}</div>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(document.title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+.summary { border-left: 4px solid #5865f2; padding-left: 1rem; margin: 1.5rem 0; }
+.entry { margin: 0.5rem 0; }
+.time { color: #888; font-family: monospace; }
+.gap { color: #888; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escape(document.title)}</h1>
+<dl>
+${details}
+</dl>
+${summaries}
+<h2>Transcript</h2>
+${entries}
+</body>
+</html>
+`;
+    }
+
+    toDocx(document) {
+        const children = [
+            new Paragraph({ text: document.title, heading: HeadingLevel.TITLE }),
+            ...document.details.map(([label, value]) => new Paragraph({
+                children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+            }))
+        ];
+
+        for (const summary of document.summaries) {
+            children.push(new Paragraph({ text: summary.heading, heading: HeadingLevel.HEADING_1 }));
+            for (const block of summary.blocks) {
+                if (block.type === 'heading') {
+                    children.push(new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_2 }));
+                } else if (block.type === 'bullet') {
+                    children.push(new Paragraph({ text: block.text, bullet: { level: 0 } }));
+                } else {
+                    children.push(new Paragraph({ text: block.text }));
+                }
+            }
+        }
+
+        children.push(new Paragraph({ text: 'Transcript', heading: HeadingLevel.HEADING_1 }));
+        for (const entry of document.entries) {
+            const time = new TextRun({ text: `[${entry.time}] `, color: '888888' });
+            children.push(new Paragraph({
+                spacing: { after: 120 },
+                children: entry.type === 'speech'
+                    ? [time, new TextRun({ text: `${entry.speaker}: `, bold: true }), new TextRun(entry.text)]
+                    : [time, new TextRun({ text: entry.text, italics: true, color: '888888' })]
+            }));
+        }
+
+        return Packer.toBuffer(new Document({
+            title: document.title,
+            sections: [{ children }]
+        }));
+    }
+
+    // Uses PDFKit's built-in Helvetica, which only covers Latin-1 text
+    toPdf(document) {
+        return new Promise((resolve, reject) => {
+            const pdf = new PDFDocument({ margin: 50, info: { Title: document.title } });
+            const chunks = [];
+
+            pdf.on('data', chunk => chunks.push(chunk));
+            pdf.on('end', () => resolve(Buffer.concat(chunks)));
+            pdf.on('error', reject);
+
+            pdf.font('Helvetica-Bold').fontSize(20).text(document.title);
+            pdf.moveDown(0.5);
+            for (const [label, value] of document.details) {
+                pdf.fontSize(10).font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+            }
+
+            for (const summary of document.summaries) {
+                pdf.moveDown();
+                pdf.font('Helvetica-Bold').fontSize(15).text(summary.heading);
+                pdf.moveDown(0.3);
+                for (const block of summary.blocks) {
+                    if (block.type === 'heading') {
+                        pdf.font('Helvetica-Bold').fontSize(12).text(block.text);
+                    } else if (block.type === 'bullet') {
+                        pdf.font('Helvetica').fontSize(11).text(`\u2022 ${block.text}`, { indent: 10 });
+                    } else {
+                        pdf.font('Helvetica').fontSize(11).text(block.text);
+                        pdf.moveDown(0.3);
+                    }
+                }
+            }
+
+            pdf.moveDown();
+            pdf.font('Helvetica-Bold').fontSize(15).text('Transcript');
+            pdf.moveDown(0.3);
+            for (const entry of document.entries) {
+                pdf.fontSize(11).font('Courier').fillColor('#888888').text(`[${entry.time}] `, { continued: true });
+                if (entry.type === 'speech') {
+                    pdf.font('Helvetica-Bold').fillColor('#000000').text(`${entry.speaker}: `, { continued: true })
+                        .font('Helvetica').text(entry.text);
+                } else {
+                    pdf.font('Helvetica-Oblique').text(entry.text).fillColor('#000000');
+                }
+                pdf.moveDown(0.3);
+            }
+
+            pdf.end();
+        });
+    }
+
+    toSrt(transcript) {
+        const cues = this.buildCues(transcript, { labelSpeakers: true });
+
+        return cues.map((cue, index) => [
+            index + 1,
+            `${this.formatTimestamp(cue.startMs, ',')} --> ${this.formatTimestamp(cue.endMs, ',')}`,
+            ...cue.lines
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    toVtt(transcript) {
+        const cues = this.buildCues(transcript, { labelSpeakers: false });
+        const blocks = cues.map(cue => {
+            const lines = cue.lines.map(line => this.escapeVtt(line));
+            // The voice span opens on the first line and covers the whole cue
+            lines[0] = `<v ${this.escapeVtt(cue.speaker)}>${lines[0]}`;
+            return [
+                `${this.formatTimestamp(cue.startMs, '.')} --> ${this.formatTimestamp(cue.endMs, '.')}`,
+                ...lines
+            ].join('\n');
+        });
+
+        return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+    }
+
+    /**
+     * Break each speech segment into caption cues that fit MAX_LINES lines of
+     * MAX_LINE_LENGTH characters and last no longer than MAX_CUE_MS.
+     * @param {object} transcript - Canonical transcript
+     * @param {object} options
+     * @param {boolean} options.labelSpeakers - Start the first line with "Speaker: " whenever the speaker changes
+     * @returns {Array<{speaker: string, startMs: number, endMs: number, lines: string[]}>}
+     */
+    buildCues(transcript, { labelSpeakers }) {
+        const cues = [];
+        let previousSpeakerId = null;
+
+        for (const segment of transcript.segments) {
+            if (segment.type !== 'speech' || segment.error || !segment.text || !segment.text.trim()) {
+                continue;
+            }
+
+            const label = labelSpeakers && segment.speakerId !== previousSpeakerId ? `${segment.speaker}: ` : '';
+            previousSpeakerId = segment.speakerId;
+
+            let tokens = [];
+            const flush = () => {
+                if (tokens.length === 0) {
+                    return;
+                }
+                const prefix = cues.length > 0 && cues[cues.length - 1].segment === segment ? '' : label;
+                cues.push({
+                    segment,
+                    speaker: segment.speaker,
+                    startMs: tokens[0].startMs,
+                    endMs: tokens[tokens.length - 1].endMs,
+                    lines: this.wrapLines(tokens.map(token => token.text), prefix)
+                });
+                tokens = [];
+            };
+
+            for (const token of this.timeTokens(segment)) {
+                const candidate = [...tokens, token];
+                const prefix = cues.length > 0 && cues[cues.length - 1].segment === segment ? '' : label;
+                const tooLong = this.wrapLines(candidate.map(t => t.text), prefix).length > TRANSCRIPT_EXPORT.MAX_LINES;
+                const tooSlow = token.endMs - candidate[0].startMs > TRANSCRIPT_EXPORT.MAX_CUE_MS;
+
+                if (tokens.length > 0 && (tooLong || tooSlow)) {
+                    flush();
+                }
+                tokens.push(token);
+
+                // End cues at sentence breaks once they hold a full line
+                if (/[.!?]$/.test(token.text) && tokens.map(t => t.text).join(' ').length >= TRANSCRIPT_EXPORT.MAX_LINE_LENGTH) {
+                    flush();
+                }
+            }
+            flush();
+        }
+
+        cues.sort((a, b) => a.startMs - b.startMs);
+
+        // Hold short cues on screen a little longer, without running into the next one
+        return cues.map((cue, index) => {
+            const next = cues[index + 1];
+            const minEnd = cue.startMs + TRANSCRIPT_EXPORT.MIN_CUE_MS;
+            const endMs = cue.endMs < minEnd
+                ? Math.max(cue.endMs, Math.min(minEnd, next ? next.startMs : minEnd))
+                : cue.endMs;
+
+            return { speaker: cue.speaker, startMs: cue.startMs, endMs, lines: cue.lines };
+        });
+    }
+
+    /**
+     * Pair each word of the segment text with a time. Word timings from the
+     * provider are used when they line up with the text word for word; if not
+     * (or there are none), the segment's time is spread over the words by length.
+     */
+    timeTokens(segment) {
+        const texts = segment.text.trim().split(/\s+/);
+        const words = segment.words || [];
+
+        if (words.length === texts.length) {
+            return texts.map((text, index) => ({
+                text,
+                startMs: words[index].startMs,
+                endMs: Math.max(words[index].startMs, words[index].endMs)
+            }));
+        }
+
+        const totalChars = texts.reduce((sum, text) => sum + text.length, 0);
+        const spanMs = Math.max(0, segment.endMs - segment.startMs);
+        let elapsedChars = 0;
+
+        return texts.map(text => {
+            const startMs = segment.startMs + Math.round(spanMs * elapsedChars / totalChars);
+            elapsedChars += text.length;
+            return { text, startMs, endMs: segment.startMs + Math.round(spanMs * elapsedChars / totalChars) };
+        });
+    }
+
+    // Greedy line fill; a word longer than a whole line gets a line to itself
+    wrapLines(words, prefix = '') {
+        const lines = [];
+        let current = prefix;
+
+        for (const word of words) {
+            const isLineStart = current === '' || current === prefix && lines.length === 0;
+            const next = isLineStart ? `${current}${word}` : `${current} ${word}`;
+
+            if (!isLineStart && next.length > TRANSCRIPT_EXPORT.MAX_LINE_LENGTH) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = next;
+            }
+        }
+
+        lines.push(current);
+        return lines;
+    }
+
+    // HH:MM:SS,mmm for SRT and HH:MM:SS.mmm for WebVTT
+    formatTimestamp(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor(total / 60000) % 60;
+        const seconds = Math.floor(total / 1000) % 60;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+    }
+
+    escapeVtt(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    escapeHtml(text) {
+        return this.escapeVtt(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = new TranscriptExportService();
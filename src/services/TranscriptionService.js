@@ -1,138 +1,484 @@
 const fs = require('fs');
 const _path = require('path');
-const FormData = require('form-data');
-const axios = require('axios');
 const ffmpeg = require('fluent-ffmpeg');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { TRANSCRIPTION, ERROR_MESSAGES } = require('../constants');
+const speechPreprocessor = require('../audio/SpeechPreprocessor');
+const transcriptStore = require('../utils/TranscriptStore');
+const guildSettingsService = require('./GuildSettingsService');
+const vocabularyService = require('./VocabularyService');
+const hallucinationFilter = require('./HallucinationFilter');
+const GroqProvider = require('./transcriptionProviders/GroqProvider');
+const OpenAICompatibleProvider = require('./transcriptionProviders/OpenAICompatibleProvider');
+const WhisperServerProvider = require('./transcriptionProviders/WhisperServerProvider');
+const { TRANSCRIPTION, SPEECH_PREPROCESSING, AUDIO_TAGS, ERROR_MESSAGES } = require('../constants');
 
 class TranscriptionService {
     constructor() {
-        this.groqApiKey = config.groq.apiKey;
-        this.groqBaseUrl = 'https://api.groq.com/openai/v1';
+        this.providers = {
+            groq: new GroqProvider({ apiKey: config.groq.apiKey }),
+            openai: new OpenAICompatibleProvider({ name: 'openai', ...config.transcription.openai }),
+            whisper_server: new WhisperServerProvider(config.transcription.whisperServer)
+        };
+
+        const configured = this.getConfiguredProviders();
+        logger.info(`Transcription providers available: ${configured.map(provider => provider.name).join(', ') || 'none'} (default: ${config.transcription.provider})`);
+    }
 
-        if (!this.groqApiKey) {
-            logger.warn('GROQ_API_KEY not found in environment variables');
+    getConfiguredProviders() {
+        return Object.values(this.providers).filter(provider => provider.isConfigured());
+    }
+
+    /**
+     * Pick the provider for a guild: its /settings choice if that provider is
+     * configured on this bot, otherwise the TRANSCRIPTION_PROVIDER default
+     * @param {string} guildId - Guild being transcribed for, if known
+     * @returns {OpenAICompatibleProvider}
+     */
+    getProvider(guildId = null) {
+        const requested = guildId ? guildSettingsService.get(guildId).transcriptionProvider : null;
+
+        if (requested) {
+            const provider = this.providers[requested];
+            if (provider && provider.isConfigured()) {
+                return provider;
+            }
+            logger.warn(`Transcription provider "${requested}" chosen for guild ${guildId} is not configured, using ${config.transcription.provider}`);
         }
+
+        return this.providers[config.transcription.provider];
     }
 
-    async transcribeSegments(speechSegments) {
-        if (!this.groqApiKey) {
-            throw new Error(ERROR_MESSAGES.TRANSCRIPTION.API_KEY_MISSING);
+    /**
+     * Spoken language for a guild: its /settings choice, otherwise TRANSCRIPTION_LANGUAGE
+     * @param {string} guildId - Guild being transcribed for, if known
+     * @returns {string} - Language code, or 'auto' to let the provider detect it per segment
+     */
+    getLanguage(guildId = null) {
+        const requested = guildId ? guildSettingsService.get(guildId).transcriptionLanguage : null;
+        return requested || config.transcription.language;
+    }
+
+    describeLanguage(language) {
+        if (language === TRANSCRIPTION.AUTO_LANGUAGE) {
+            return 'auto-detect';
         }
+        return TRANSCRIPTION.LANGUAGES[language] || language;
+    }
 
-        const transcriptionResults = [];
+    /**
+     * Providers report languages as codes ("de") or English names ("german", "German");
+     * store the code so transcripts compare and display consistently
+     * @param {string} language - Language as reported by the provider
+     * @returns {string|null}
+     */
+    normalizeLanguage(language) {
+        if (!language) {
+            return null;
+        }
 
-        logger.info(`Starting transcription of ${speechSegments.length} speech segments`);
+        const value = language.trim().toLowerCase();
+        if (TRANSCRIPTION.LANGUAGES[value]) {
+            return value;
+        }
 
-        for (const segment of speechSegments) {
-            try {
-                logger.info(`Transcribing segment ${segment.segmentId} for ${segment.displayName}`);
-
-                // Convert PCM to WAV for Groq API
-                const wavFile = await this.convertPcmToWav(segment.filename);
-
-                // Check file size (Groq API limit)
-                const fileStats = fs.statSync(wavFile);
-                if (fileStats.size > TRANSCRIPTION.MAX_FILE_SIZE_BYTES) {
-                    logger.warn(`Segment ${segment.segmentId} too large (${fileStats.size} bytes), skipping`);
-                    transcriptionResults.push({
-                        ...segment,
-                        transcription: '[Audio segment too large for transcription]',
-                        error: ERROR_MESSAGES.TRANSCRIPTION.FILE_TOO_LARGE
-                    });
-                    continue;
-                }
+        const code = Object.keys(TRANSCRIPTION.LANGUAGES).find(key => TRANSCRIPTION.LANGUAGES[key].toLowerCase() === value);
+        return code || value;
+    }
 
-                // Skip very small files (likely silence)
-                if (fileStats.size < TRANSCRIPTION.MIN_FILE_SIZE_BYTES) {
-                    logger.debug(`Segment ${segment.segmentId} too small (${fileStats.size} bytes), skipping`);
-                    transcriptionResults.push({
-                        ...segment,
-                        transcription: '[Audio segment too small]',
-                        error: ERROR_MESSAGES.TRANSCRIPTION.FILE_TOO_SMALL
-                    });
-                    continue;
-                }
+    /**
+     * Transcribe segments through a pool of CONCURRENCY workers. Results come back
+     * in timeline order regardless of which request finishes first.
+     * @param {Array} speechSegments - Segments to transcribe, with gap markers passed through
+     * @param {object} options - Transcription options
+     * @param {string} options.guildId - Guild the recording belongs to, for its provider, language and glossary
+     * @returns {Promise<Array>} - One result per entry, sorted by startTimestamp
+     */
+    async transcribeSegments(speechSegments, { guildId = null } = {}) {
+        const provider = this.getProvider(guildId);
+        const language = this.getLanguage(guildId);
+        if (!provider.isConfigured()) {
+            throw new Error(`${ERROR_MESSAGES.TRANSCRIPTION.PROVIDER_NOT_CONFIGURED}: ${provider.label}`);
+        }
 
-                // Additional quality check: analyze audio energy before conversion
-                const audioQuality = await this.analyzeAudioQuality(segment.filename);
-                if (audioQuality.avgEnergy < TRANSCRIPTION.MIN_AUDIO_ENERGY) {
-                    logger.debug(`Segment ${segment.segmentId} has very low audio energy (${audioQuality.avgEnergy}), skipping`);
-                    transcriptionResults.push({
-                        ...segment,
-                        transcription: '[Low audio energy detected]',
-                        error: ERROR_MESSAGES.TRANSCRIPTION.LOW_AUDIO_ENERGY
-                    });
-                    continue;
-                }
+        const entries = [...speechSegments].sort((a, b) => a.startTimestamp - b.startTimestamp);
+        // The glossary and everyone heard in the recording, so Whisper spells their names right
+        const speakerNames = entries.filter(entry => !this.isTimelineGap(entry)).map(entry => entry.displayName || entry.username);
+        const options = { language, prompt: vocabularyService.buildPrompt(guildId, speakerNames) };
+        const corrections = vocabularyService.getCorrections(guildId);
+        const transcriptionResults = new Array(entries.length);
+        const workerCount = Math.max(1, Math.min(config.transcription.concurrency, entries.length));
+        // Shared by the workers so one 429 holds back every request, not just the one that got it
+        const rateLimit = { until: 0 };
+        let nextIndex = 0;
+        let completed = 0;
+
+        logger.info(`Starting transcription of ${entries.length} speech segments with ${provider.label} in ${this.describeLanguage(language)} (${workerCount} at a time)`);
+
+        const worker = async () => {
+            while (nextIndex < entries.length) {
+                const index = nextIndex++;
+                const result = await this.transcribeSegment(entries[index], provider, rateLimit, options);
+                transcriptionResults[index] = this.applyCorrections(result, corrections);
+                completed++;
+                logger.debug(`Transcription progress: ${completed}/${entries.length}`);
+            }
+        };
 
-                const transcription = await this.transcribeFile(wavFile);
+        await Promise.all(Array.from({ length: workerCount }, worker));
 
-                transcriptionResults.push({
+        return transcriptionResults;
+    }
+
+    /**
+     * Run the glossary replacements over a finished segment. Words are corrected one
+     * by one so they keep lining up with the text for subtitle timing.
+     * @param {object} result - From transcribeSegment
+     * @param {Array} corrections - From vocabularyService.getCorrections
+     * @returns {object}
+     */
+    applyCorrections(result, corrections) {
+        if (corrections.length === 0 || result.error || !result.transcription) {
+            return result;
+        }
+
+        return {
+            ...result,
+            transcription: vocabularyService.applyCorrections(result.transcription, corrections),
+            words: (result.words || []).map(word => ({ ...word, word: vocabularyService.applyCorrections(word.word, corrections) }))
+        };
+    }
+
+    async transcribeSegment(segment, provider, rateLimit, options) {
+        // Gap markers (e.g. pauses) carry no audio; keep them so the transcript shows the gap
+        if (this.isTimelineGap(segment)) {
+            return { ...segment };
+        }
+
+        let wavFile = null;
+        let cleanFile = null;
+        let chunks = [];
+
+        try {
+            logger.info(`Transcribing segment ${segment.segmentId} for ${segment.displayName}`);
+
+            // Convert PCM to WAV for the transcription API
+            wavFile = await this.convertPcmToWav(segment.filename);
+
+            // Skip very small files (likely silence)
+            const fileStats = fs.statSync(wavFile);
+            if (fileStats.size < TRANSCRIPTION.MIN_FILE_SIZE_BYTES) {
+                logger.debug(`Segment ${segment.segmentId} too small (${fileStats.size} bytes), skipping`);
+                return {
+                    ...segment,
+                    transcription: '[Audio segment too small]',
+                    error: ERROR_MESSAGES.TRANSCRIPTION.FILE_TOO_SMALL
+                };
+            }
+
+            // Denoise, high-pass and trim silence; VAD over the whole segment decides if there is speech
+            const preprocessed = await speechPreprocessor.preprocess(wavFile);
+            cleanFile = preprocessed.file;
+            const preprocessing = this.describePreprocessing(segment, preprocessed);
+
+            if (!preprocessed.hasSpeech) {
+                logger.debug(`Segment ${segment.segmentId} has no speech after noise suppression, skipping`);
+                return {
+                    ...segment,
+                    transcription: '[No speech detected]',
+                    error: ERROR_MESSAGES.TRANSCRIPTION.NO_SPEECH_DETECTED,
+                    preprocessing
+                };
+            }
+
+            // Over the provider's upload limit: transcribe in overlapping chunks and stitch them back into one turn
+            if (fs.statSync(cleanFile).size > provider.maxFileSizeBytes) {
+                chunks = speechPreprocessor.splitIntoChunks(cleanFile, provider.maxFileSizeBytes);
+                logger.info(`Segment ${segment.segmentId} is over the size limit, transcribing it in ${chunks.length} chunks`);
+
+                const transcription = await this.transcribeChunks(chunks, provider, rateLimit, options);
+                const chunkStart = segment.startTimestamp + preprocessing.offsetMs;
+
+                if (this.isAllFiltered(transcription)) {
+                    return this.toFilteredResult(segment, transcription, chunkStart, preprocessing);
+                }
+
+                return {
                     ...segment,
                     transcription: transcription.text || '[Transcription failed]',
                     confidence: transcription.confidence,
-                    language: transcription.language
-                });
+                    language: transcription.language,
+                    words: this.toTimelineWords(transcription.words, chunkStart),
+                    filtered: this.toTimelineLines(transcription.filtered, chunkStart),
+                    attempts: transcription.attempts,
+                    chunks: chunks.map((chunk, index) => ({
+                        startTimestamp: chunkStart + chunk.startMs,
+                        endTimestamp: chunkStart + chunk.endMs,
+                        attempts: transcription.chunkAttempts[index],
+                        ...(transcription.chunkErrors[index] ? { error: transcription.chunkErrors[index] } : {})
+                    })),
+                    preprocessing
+                };
+            }
 
-                // Clean up WAV file
-                try {
-                    fs.unlinkSync(wavFile);
-                } catch (error) {
-                    logger.error(`Failed to clean up WAV file ${wavFile}:`, error);
+            const transcription = await this.transcribeWithRetry(cleanFile, provider, rateLimit, options);
+            const audioStart = segment.startTimestamp + preprocessing.offsetMs;
+
+            if (this.isAllFiltered(transcription)) {
+                return this.toFilteredResult(segment, transcription, audioStart, preprocessing);
+            }
+
+            return {
+                ...segment,
+                transcription: transcription.text || '[Transcription failed]',
+                confidence: transcription.confidence,
+                language: transcription.language,
+                words: this.toTimelineWords(transcription.words, audioStart),
+                filtered: this.toTimelineLines(transcription.filtered, audioStart),
+                attempts: transcription.attempts,
+                preprocessing
+            };
+
+        } catch (error) {
+            logger.error(`Failed to transcribe segment ${segment.segmentId}:`, error);
+            return {
+                ...segment,
+                transcription: '[Transcription error]',
+                error: error.message,
+                attempts: error.attempts || 0
+            };
+        } finally {
+            // Clean up WAV files
+            for (const file of [wavFile, cleanFile, ...chunks.map(chunk => chunk.file)]) {
+                if (file && fs.existsSync(file)) {
+                    try {
+                        fs.unlinkSync(file);
+                    } catch (error) {
+                        logger.error(`Failed to clean up WAV file ${file}:`, error);
+                    }
                 }
+            }
+        }
+    }
+
+    // Whisper returned lines, but the hallucination filter dropped all of them
+    isAllFiltered(transcription) {
+        return !transcription.text && transcription.filtered.some(line => line.action === 'dropped');
+    }
+
+    toFilteredResult(segment, transcription, audioStart, preprocessing) {
+        logger.debug(`Segment ${segment.segmentId} only held hallucinated lines, skipping`);
+        return {
+            ...segment,
+            transcription: '[Hallucination filtered]',
+            error: ERROR_MESSAGES.TRANSCRIPTION.HALLUCINATION_FILTERED,
+            filtered: this.toTimelineLines(transcription.filtered, audioStart),
+            attempts: transcription.attempts,
+            preprocessing
+        };
+    }
 
+    /**
+     * Send a file to the provider, retrying rate limits, 5xx responses, timeouts and
+     * network errors with exponential backoff and jitter. A Retry-After from the
+     * provider takes precedence over the backoff and pauses every worker.
+     * @param {string} audioFilePath - WAV to transcribe
+     * @param {OpenAICompatibleProvider} provider - Provider to send it to
+     * @param {{until: number}} rateLimit - Time before which no request may be sent
+     * @param {object} options - transcribeFile options
+     * @returns {Promise<object>} - transcribeFile result plus the number of attempts made
+     */
+    async transcribeWithRetry(audioFilePath, provider, rateLimit, options) {
+        const maxAttempts = config.transcription.maxAttempts;
+
+        for (let attempt = 1; ; attempt++) {
+            const rateLimitWaitMs = rateLimit.until - Date.now();
+            if (rateLimitWaitMs > 0) {
+                await this.sleep(rateLimitWaitMs);
+            }
+
+            try {
+                const transcription = await this.transcribeFile(audioFilePath, provider, options);
+                return { ...transcription, attempts: attempt };
             } catch (error) {
-                logger.error(`Failed to transcribe segment ${segment.segmentId}:`, error);
-                transcriptionResults.push({
-                    ...segment,
-                    transcription: '[Transcription error]',
-                    error: error.message
-                });
+                const details = error.details || {};
+                if (!details.retryable || attempt >= maxAttempts) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const delayMs = this.getRetryDelay(attempt, details.retryAfterMs);
+                if (details.status === 429) {
+                    rateLimit.until = Math.max(rateLimit.until, Date.now() + delayMs);
+                }
+
+                logger.warn(`${provider.label} request failed (${error.message}), retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`);
+                await this.sleep(delayMs);
             }
         }
+    }
 
-        return transcriptionResults;
+    /**
+     * Transcribe the chunks of a split segment one after another and join the text,
+     * dropping words repeated across each overlap. A chunk that still fails after its
+     * retries is marked "[Transcription error]" in the text and the rest are kept;
+     * only when every chunk fails does the segment fail.
+     * @param {Array<{file: string}>} chunks - From speechPreprocessor.splitIntoChunks, in order
+     * @param {OpenAICompatibleProvider} provider - Provider to send them to
+     * @param {{until: number}} rateLimit - Shared rate-limit gate
+     * @param {object} options - transcribeFile options
+     * @returns {Promise<object>} - { text, language, confidence, words, filtered, attempts, chunkAttempts, chunkErrors }
+     */
+    async transcribeChunks(chunks, provider, rateLimit, options) {
+        const transcriptions = [];
+        let attempts = 0;
+        let lastError = null;
+
+        for (const [index, chunk] of chunks.entries()) {
+            try {
+                transcriptions.push(await this.transcribeWithRetry(chunk.file, provider, rateLimit, options));
+            } catch (error) {
+                logger.warn(`Chunk ${index + 1}/${chunks.length} failed to transcribe (${error.message}), keeping the other chunks`);
+                lastError = error;
+                transcriptions.push({ text: '', language: null, confidence: null, words: [], filtered: [], attempts: error.attempts || 0, error: error.message });
+            }
+            attempts += transcriptions[transcriptions.length - 1].attempts;
+        }
+
+        if (transcriptions.every(transcription => transcription.error)) {
+            lastError.attempts = attempts;
+            throw lastError;
+        }
+
+        const text = transcriptions.reduce((joined, transcription) => transcription.error
+            ? `${joined} [Transcription error]`.trim()
+            : this.stitchText(joined, (transcription.text || '').trim()), '');
+
+        // Words heard by both sides of an overlap go to whichever chunk they fall in the first half of
+        const words = transcriptions.flatMap((transcription, index) => {
+            const chunk = chunks[index];
+            const from = index > 0 ? (chunks[index - 1].endMs + chunk.startMs) / 2 : 0;
+            const to = index < chunks.length - 1 ? (chunk.endMs + chunks[index + 1].startMs) / 2 : Infinity;
+
+            return transcription.words
+                .map(word => ({ ...word, start: word.start + chunk.startMs / 1000, end: word.end + chunk.startMs / 1000 }))
+                .filter(word => word.start * 1000 >= from && word.start * 1000 < to);
+        });
+        const filtered = transcriptions.flatMap((transcription, index) => {
+            const chunk = chunks[index];
+            const from = index > 0 ? (chunks[index - 1].endMs + chunk.startMs) / 2 : 0;
+            const to = index < chunks.length - 1 ? (chunk.endMs + chunks[index + 1].startMs) / 2 : Infinity;
+
+            return transcription.filtered
+                .map(line => ({ ...line, startMs: line.startMs + chunk.startMs, endMs: line.endMs + chunk.startMs }))
+                .filter(line => line.startMs >= from && line.startMs < to);
+        });
+        const confidences = transcriptions.map(transcription => transcription.confidence).filter(confidence => confidence !== null);
+
+        return {
+            text,
+            language: transcriptions.find(transcription => !transcription.error).language,
+            confidence: confidences.length > 0
+                ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+                : null,
+            words,
+            filtered,
+            attempts,
+            chunkAttempts: transcriptions.map(transcription => transcription.attempts),
+            chunkErrors: transcriptions.map(transcription => transcription.error || null)
+        };
+    }
+
+    /**
+     * Append the next chunk's text, dropping its opening words if they repeat the
+     * end of the text so far (both chunks heard the overlapping audio)
+     * @param {string} previous - Text stitched so far
+     * @param {string} next - Transcript of the following chunk
+     * @returns {string}
+     */
+    stitchText(previous, next) {
+        if (!previous || !next) {
+            return previous || next;
+        }
+
+        const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const previousWords = previous.split(/\s+/);
+        const nextWords = next.split(/\s+/);
+        const maxOverlap = Math.min(SPEECH_PREPROCESSING.MAX_OVERLAP_WORDS, previousWords.length, nextWords.length);
+
+        for (let length = maxOverlap; length > 0; length--) {
+            const tail = previousWords.slice(-length).map(normalize);
+            const head = nextWords.slice(0, length).map(normalize);
+            if (tail.every((word, index) => word === head[index])) {
+                return [...previousWords, ...nextWords.slice(length)].join(' ');
+            }
+        }
+
+        return `${previous} ${next}`;
+    }
+
+    getRetryDelay(attempt, retryAfterMs = null) {
+        const backoffMs = Math.min(TRANSCRIPTION.RETRY_MAX_DELAY_MS, TRANSCRIPTION.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        // Equal jitter: half the backoff plus a random share of the other half, so workers spread out
+        const jitteredMs = backoffMs / 2 + Math.random() * backoffMs / 2;
+
+        return Math.round(retryAfterMs
+            ? Math.max(jitteredMs, Math.min(retryAfterMs, TRANSCRIPTION.MAX_RETRY_AFTER_MS))
+            : jitteredMs);
     }
 
-    async transcribeFile(audioFilePath) {
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * @param {string} audioFilePath - WAV to transcribe
+     * @param {OpenAICompatibleProvider} provider - Provider to send it to
+     * @param {object} [options]
+     * @param {string} [options.language] - Spoken language code, or 'auto'
+     * @param {string} [options.prompt] - Names and terms to expect, from vocabularyService.buildPrompt
+     * @returns {Promise<object>} - { text, language, confidence, words, filtered } with the lines the
+     *   hallucination filter dropped, collapsed or flagged in filtered
+     */
+    async transcribeFile(audioFilePath, provider = this.getProvider(), { language = config.transcription.language, prompt = null } = {}) {
         if (!fs.existsSync(audioFilePath)) {
             throw new Error(`Audio file not found: ${audioFilePath}`);
         }
 
-        const formData = new FormData();
-        formData.append('file', fs.createReadStream(audioFilePath));
-        formData.append('model', TRANSCRIPTION.DEFAULT_MODEL);
-        formData.append('language', TRANSCRIPTION.DEFAULT_LANGUAGE);
-        formData.append('response_format', TRANSCRIPTION.RESPONSE_FORMAT);
+        const result = hallucinationFilter.filter(await provider.transcribe(audioFilePath, { language, prompt }));
 
-        try {
-            const response = await axios.post(`${this.groqBaseUrl}/audio/transcriptions`, formData, {
-                headers: {
-                    'Authorization': `Bearer ${this.groqApiKey}`,
-                    ...formData.getHeaders()
-                },
-                timeout: TRANSCRIPTION.API_TIMEOUT_MS
-            });
+        return {
+            text: result.text,
+            // Providers report the detected language; fall back to the one we asked for
+            language: this.normalizeLanguage(result.language) || (language !== TRANSCRIPTION.AUTO_LANGUAGE ? language : null),
+            confidence: this.calculateAverageConfidence(result.segments),
+            words: result.words || [],
+            filtered: result.filtered
+        };
+    }
 
-            return {
-                text: response.data.text,
-                language: response.data.language,
-                confidence: this.calculateAverageConfidence(response.data.segments)
-            };
+    /**
+     * Place provider word timings (seconds into the file) on the recording timeline
+     * @param {Array} words - Words from transcribeFile
+     * @param {number} audioStart - Timestamp the transcribed audio starts at
+     * @returns {Array<{word: string, startTimestamp: number, endTimestamp: number, probability: number}>}
+     */
+    toTimelineWords(words, audioStart) {
+        return words.map(word => ({
+            word: word.word,
+            startTimestamp: audioStart + Math.round(word.start * 1000),
+            endTimestamp: audioStart + Math.round(word.end * 1000),
+            probability: word.probability
+        }));
+    }
 
-        } catch (error) {
-            if (error.response) {
-                logger.error(`Groq API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-                throw new Error(`${ERROR_MESSAGES.TRANSCRIPTION.API_ERROR}: ${error.response.status}`);
-            } else if (error.code === 'ECONNABORTED') {
-                throw new Error(ERROR_MESSAGES.TRANSCRIPTION.API_TIMEOUT);
-            } else {
-                throw new Error(`${ERROR_MESSAGES.TRANSCRIPTION.NETWORK_ERROR}: ${error.message}`);
-            }
-        }
+    // Place filtered lines (milliseconds into the file) on the recording timeline
+    toTimelineLines(lines, audioStart) {
+        return lines.map(({ startMs, endMs, ...line }) => ({
+            ...line,
+            startTimestamp: audioStart + startMs,
+            endTimestamp: audioStart + endMs
+        }));
     }
 
     calculateAverageConfidence(segments) {
@@ -183,20 +529,269 @@ class TranscriptionService {
         });
     }
 
-    formatTranscript(transcriptionResults) {
-        // Sort segments by start timestamp
-        const sortedResults = transcriptionResults
-            .filter(result => result.transcription && result.transcription !== '[No speech detected]')
+    /**
+     * Summarise what preprocessing did to a segment, with trimmed or skipped
+     * regions on the recording timeline alongside their segment-relative offsets
+     * @param {object} segment - Speech segment that was preprocessed
+     * @param {object} preprocessed - Result of speechPreprocessor.preprocess
+     * @returns {object} - { durationMs, speechMs, offsetMs, trimmedRegions }
+     */
+    describePreprocessing(segment, preprocessed) {
+        return {
+            durationMs: preprocessed.durationMs,
+            speechMs: preprocessed.speechMs,
+            offsetMs: preprocessed.offsetMs,
+            trimmedRegions: preprocessed.trimmedRegions.map(region => ({
+                ...region,
+                startTimestamp: segment.startTimestamp + region.startMs,
+                endTimestamp: segment.startTimestamp + region.endMs
+            }))
+        };
+    }
+
+    /**
+     * Totals of silence trimmed and segments skipped across a transcription run
+     * @param {Array} transcriptionResults - Results from transcribeSegments
+     * @returns {object} - { segmentsPreprocessed, segmentsWithoutSpeech, trimmedMs, trimmedRegions }
+     */
+    summarizePreprocessing(transcriptionResults) {
+        const preprocessed = transcriptionResults.filter(result => result.preprocessing);
+        const trimmedRegions = preprocessed.flatMap(result => result.preprocessing.trimmedRegions.map(region => ({
+            segmentId: result.segmentId,
+            userId: result.userId,
+            reason: region.reason,
+            startTimestamp: region.startTimestamp,
+            endTimestamp: region.endTimestamp
+        })));
+
+        return {
+            segmentsPreprocessed: preprocessed.length,
+            segmentsWithoutSpeech: preprocessed.filter(result => result.error === ERROR_MESSAGES.TRANSCRIPTION.NO_SPEECH_DETECTED).length,
+            trimmedMs: trimmedRegions.reduce((sum, region) => sum + region.endTimestamp - region.startTimestamp, 0),
+            trimmedRegions
+        };
+    }
+
+    /**
+     * Request totals across a transcription run, from the per-segment attempt counts
+     * @param {Array} transcriptionResults - Results from transcribeSegments
+     * @returns {object} - { requests, retriedSegments, failedSegments }
+     */
+    summarizeAttempts(transcriptionResults) {
+        const attempted = transcriptionResults.filter(result => typeof result.attempts === 'number');
+
+        return {
+            requests: attempted.reduce((sum, result) => sum + result.attempts, 0),
+            retriedSegments: attempted.filter(result => result.attempts > 1).length,
+            failedSegments: attempted.filter(result => result.transcription === '[Transcription error]').length
+        };
+    }
+
+    isTimelineGap(entry) {
+        return entry.type === 'pause' || entry.type === 'outage';
+    }
+
+    /**
+     * Derive chapter markers for the recording from speaker turns and long pauses.
+     * A speaker change starts a new chapter once the current one has run for
+     * AUDIO_TAGS.MIN_CHAPTER_MS; long silences, pauses and outages always do.
+     * @param {Array} timelineEntries - Transcription results or raw segments with gap markers
+     * @param {number} recordingStart - Recording start time (ms since epoch)
+     * @param {number} durationMs - Length of the recording
+     * @returns {Array<{startMs: number, endMs: number, title: string, speakers: string[]}>} - Contiguous chapters covering the recording
+     */
+    buildChapters(timelineEntries, recordingStart, durationMs) {
+        const toOffset = (timestamp) => Math.min(durationMs, Math.max(0, timestamp - recordingStart));
+        const entries = timelineEntries
+            .filter(entry => this.isTimelineGap(entry) || !this.isSkippedSegment(entry))
             .sort((a, b) => a.startTimestamp - b.startTimestamp);
 
-        if (sortedResults.length === 0) {
+        const chapters = [];
+        let current = null;
+        let lastSpeechEndMs = 0;
+
+        const startChapter = (startMs, fields) => {
+            const previous = chapters[chapters.length - 1];
+            if (previous) {
+                previous.endMs = startMs;
+            }
+            const chapter = { startMs: chapters.length === 0 ? 0 : startMs, endMs: durationMs, ...fields };
+            chapters.push(chapter);
+            return chapter;
+        };
+
+        for (const entry of entries) {
+            const startMs = toOffset(entry.startTimestamp + (entry.preprocessing ? entry.preprocessing.offsetMs : 0));
+            const endMs = toOffset(entry.endTimestamp || entry.startTimestamp);
+
+            if (this.isTimelineGap(entry)) {
+                startChapter(startMs, {
+                    title: entry.type === 'outage' ? AUDIO_TAGS.OUTAGE_CHAPTER_TITLE : AUDIO_TAGS.PAUSE_CHAPTER_TITLE,
+                    speakers: []
+                });
+                current = null;
+                lastSpeechEndMs = endMs;
+                continue;
+            }
+
+            const speaker = entry.displayName || entry.username;
+            const longPause = startMs - lastSpeechEndMs >= AUDIO_TAGS.LONG_PAUSE_MS;
+            const speakerTurn = current && speaker !== current.lastSpeaker &&
+                startMs - current.startMs >= AUDIO_TAGS.MIN_CHAPTER_MS;
+
+            if (!current || longPause || speakerTurn) {
+                current = startChapter(startMs, { speakers: [] });
+            }
+            if (!current.speakers.includes(speaker)) {
+                current.speakers.push(speaker);
+            }
+            current.lastSpeaker = speaker;
+            lastSpeechEndMs = Math.max(lastSpeechEndMs, endMs);
+        }
+
+        return chapters
+            .filter(chapter => chapter.endMs > chapter.startMs)
+            .map(({ startMs, endMs, title, speakers }) => ({
+                startMs,
+                endMs,
+                title: title || this.formatChapterTitle(speakers),
+                speakers
+            }));
+    }
+
+    formatChapterTitle(speakers) {
+        const named = speakers.slice(0, AUDIO_TAGS.MAX_CHAPTER_TITLE_SPEAKERS).join(', ');
+        const others = speakers.length - AUDIO_TAGS.MAX_CHAPTER_TITLE_SPEAKERS;
+        return others > 0 ? `${named} +${others} more` : named;
+    }
+
+    // Segments skipped before transcription carry no text worth keeping
+    isSkippedSegment(result) {
+        return result.error === ERROR_MESSAGES.TRANSCRIPTION.FILE_TOO_SMALL ||
+            result.error === ERROR_MESSAGES.TRANSCRIPTION.NO_SPEECH_DETECTED ||
+            result.error === ERROR_MESSAGES.TRANSCRIPTION.HALLUCINATION_FILTERED;
+    }
+
+    /**
+     * Build the canonical transcript that the Markdown, summaries, titles and the
+     * API are all generated from. Offsets are milliseconds from the recording start.
+     * @param {Array} transcriptionResults - Results from transcribeSegments, with gap markers
+     * @param {object} options - Document options
+     * @param {string} options.transcriptId - Id the transcript is saved under
+     * @param {number} options.recordingStart - Recording start time; defaults to the first entry
+     * @param {string} options.guildId - Guild the recording was made in, whose settings pick the summary language
+     * @returns {object} - { version, transcriptId, guildId, recordingStart, durationMs, generatedAt, speakers, languages, segments, filtered, stats }
+     */
+    buildTranscriptDocument(transcriptionResults, { transcriptId = null, recordingStart = null, guildId = null } = {}) {
+        const entries = [...transcriptionResults].sort((a, b) => a.startTimestamp - b.startTimestamp);
+        const origin = recordingStart || Math.min(...entries.map(entry => entry.startTimestamp));
+        const toOffset = (timestamp) => Math.max(0, timestamp - origin);
+        const speakers = new Map();
+        const segments = [];
+        const filtered = [];
+
+        for (const entry of entries) {
+            const startMs = toOffset(entry.startTimestamp);
+            const endMs = toOffset(entry.endTimestamp || entry.startTimestamp);
+
+            if (this.isTimelineGap(entry)) {
+                segments.push({ type: entry.type, startMs, endMs });
+                continue;
+            }
+
+            const speaker = entry.displayName || entry.username;
+            if (!speakers.has(entry.userId)) {
+                speakers.set(entry.userId, { id: entry.userId, name: speaker, username: entry.username });
+            }
+
+            for (const line of entry.filtered || []) {
+                filtered.push({
+                    segmentId: entry.segmentId,
+                    speakerId: entry.userId,
+                    speaker,
+                    action: line.action,
+                    reason: line.reason,
+                    text: line.text,
+                    startMs: toOffset(line.startTimestamp),
+                    endMs: toOffset(line.endTimestamp),
+                    noSpeechProb: line.noSpeechProb,
+                    avgLogprob: line.avgLogprob,
+                    compressionRatio: line.compressionRatio
+                });
+            }
+
+            if (this.isSkippedSegment(entry)) {
+                continue;
+            }
+
+            segments.push({
+                type: 'speech',
+                segmentId: entry.segmentId,
+                speakerId: entry.userId,
+                speaker,
+                startMs,
+                endMs,
+                text: entry.transcription || '',
+                confidence: entry.confidence ?? null,
+                language: entry.language || null,
+                words: (entry.words || []).map(word => ({
+                    word: word.word,
+                    startMs: toOffset(word.startTimestamp),
+                    endMs: toOffset(word.endTimestamp),
+                    probability: word.probability
+                })),
+                ...(entry.error ? { error: entry.error } : {})
+            });
+        }
+
+        const speechEntries = entries.filter(entry => !this.isTimelineGap(entry));
+        const languages = [...new Set(segments.map(segment => segment.language).filter(Boolean))];
+        const lastTimestamp = Math.max(origin, ...entries.map(entry => entry.endTimestamp || entry.startTimestamp));
+
+        return {
+            version: TRANSCRIPTION.DOCUMENT_VERSION,
+            transcriptId,
+            guildId,
+            recordingStart: new Date(origin).toISOString(),
+            durationMs: lastTimestamp - origin,
+            generatedAt: new Date().toISOString(),
+            speakers: Array.from(speakers.values()),
+            languages, // Every language spoken, in order of first appearance
+            segments,
+            filtered, // Lines the hallucination filter dropped, collapsed or flagged
+            stats: {
+                totalSegments: speechEntries.length,
+                transcribedSegments: segments.filter(segment => segment.type === 'speech' && !segment.error).length,
+                pauses: segments.filter(segment => segment.type === 'pause').length,
+                outages: segments.filter(segment => segment.type === 'outage').length,
+                filteredLines: filtered.filter(line => line.action !== 'flagged').length,
+                flaggedLines: filtered.filter(line => line.action === 'flagged').length
+            }
+        };
+    }
+
+    /**
+     * Build the canonical transcript and save it with its Markdown rendering
+     * @param {string} transcriptId - Id to save under (transcript_<id>.json / .md)
+     * @param {Array} transcriptionResults - Results from transcribeSegments
+     * @param {object} options - Passed to buildTranscriptDocument
+     * @returns {object} - { text, metadata, document } with the Markdown as text
+     */
+    saveTranscript(transcriptId, transcriptionResults, options = {}) {
+        const document = this.buildTranscriptDocument(transcriptionResults, { ...options, transcriptId });
+        const transcript = this.formatTranscript(document);
+
+        transcriptStore.save(transcriptId, document, transcript.text);
+        return { ...transcript, document };
+    }
+
+    formatTranscript(document) {
+        const metadata = this.generateMetadata(document);
+
+        if (!document.segments.some(segment => segment.type === 'speech')) {
             return {
                 text: 'No transcribable speech detected in this recording.',
-                metadata: {
-                    totalSegments: transcriptionResults.length,
-                    transcribedSegments: 0,
-                    processingDate: new Date().toISOString()
-                }
+                metadata
             };
         }
 
@@ -204,21 +799,50 @@ class TranscriptionService {
         lines.push('# Voice Channel Transcript\n');
 
         // Add metadata
-        const metadata = this.generateMetadata(transcriptionResults);
         lines.push(`**Recording Date:** ${metadata.recordingDate}`);
         lines.push(`**Duration:** ${metadata.totalDuration}`);
         lines.push(`**Participants:** ${metadata.participants.join(', ')}`);
-        lines.push(`**Total Speech Segments:** ${metadata.transcribedSegments}/${metadata.totalSegments}\n`);
+        if (metadata.languages.length > 0) {
+            lines.push(`**Languages:** ${metadata.languages.join(', ')}`);
+        }
+        if (document.translation) {
+            const sources = document.translation.sourceLanguages.map(language => this.describeLanguage(language));
+            lines.push(`**Translated from:** ${sources.length > 0 ? sources.join(', ') : 'original transcript'}`);
+        }
+        lines.push(`**Total Speech Segments:** ${metadata.transcribedSegments}/${metadata.totalSegments}`);
+        if (metadata.pauses > 0) {
+            lines.push(`**Pauses:** ${metadata.pauses}`);
+        }
+        if (metadata.outages > 0) {
+            lines.push(`**Connection Outages:** ${metadata.outages}`);
+        }
+        if (metadata.filteredLines > 0) {
+            lines.push(`**Filtered Lines:** ${metadata.filteredLines}`);
+        }
+        lines.push('');
         lines.push('---\n');
 
         // Add transcript
-        for (const result of sortedResults) {
-            const timestamp = new Date(result.startTimestamp).toISOString().substr(11, 8); // HH:MM:SS
-            const speaker = result.displayName || result.username;
-            const confidence = result.confidence ? ` (${result.confidence.toFixed(1)}%)` : '';
+        const recordingStart = Date.parse(document.recordingStart);
+        const multilingual = metadata.languages.length > 1;
+        for (const segment of document.segments) {
+            const timestamp = new Date(recordingStart + segment.startMs).toISOString().substr(11, 8); // HH:MM:SS
+
+            if (segment.type !== 'speech') {
+                const gapDuration = this.formatDuration(Math.round((segment.endMs - segment.startMs) / 1000));
+                const gapLabel = segment.type === 'outage'
+                    ? `⚠️ [${timestamp}] Voice connection lost for ${gapDuration}`
+                    : `⏸️ [${timestamp}] Recording paused for ${gapDuration}`;
+                lines.push(`*${gapLabel}*\n`);
+                continue;
+            }
+
+            const confidence = segment.confidence ? ` (${segment.confidence.toFixed(1)}%)` : '';
+            // Only tag lines with their language when more than one was spoken
+            const language = multilingual && segment.language ? ` [${segment.language.toUpperCase()}]` : '';
 
-            lines.push(`**[${timestamp}] ${speaker}${confidence}:**`);
-            lines.push(`${result.transcription}\n`);
+            lines.push(`**[${timestamp}] ${segment.speaker}${language}${confidence}:**`);
+            lines.push(`${segment.text}\n`);
         }
 
         return {
@@ -227,26 +851,14 @@ class TranscriptionService {
         };
     }
 
-    generateMetadata(transcriptionResults) {
-        const participants = [...new Set(transcriptionResults.map(r => r.displayName || r.username))];
-        const transcribedSegments = transcriptionResults.filter(r =>
-            r.transcription &&
-            r.transcription !== '[No speech detected]' &&
-            r.transcription !== '[Transcription error]' &&
-            r.transcription !== '[Audio segment too large for transcription]'
-        ).length;
-
-        const firstTimestamp = Math.min(...transcriptionResults.map(r => r.startTimestamp));
-        const lastTimestamp = Math.max(...transcriptionResults.map(r => r.endTimestamp || r.startTimestamp));
-        const totalDuration = Math.round((lastTimestamp - firstTimestamp) / 1000); // seconds
-
+    generateMetadata(document) {
         return {
-            recordingDate: new Date(firstTimestamp).toISOString(),
-            totalDuration: this.formatDuration(totalDuration),
-            participants,
-            totalSegments: transcriptionResults.length,
-            transcribedSegments,
-            processingDate: new Date().toISOString()
+            recordingDate: document.recordingStart,
+            totalDuration: this.formatDuration(Math.round(document.durationMs / 1000)),
+            participants: document.speakers.map(speaker => speaker.name),
+            languages: (document.languages || []).map(language => this.describeLanguage(language)),
+            ...document.stats,
+            processingDate: document.generatedAt
         };
     }
 
@@ -264,66 +876,6 @@ class TranscriptionService {
         }
     }
 
-    async analyzeAudioQuality(pcmFilePath) {
-        try {
-            // Check if file exists and is readable
-            if (!fs.existsSync(pcmFilePath)) {
-                throw new Error(`Audio file not found: ${pcmFilePath}`);
-            }
-
-            const stats = fs.statSync(pcmFilePath);
-            if (stats.size === 0) {
-                return {
-                    avgEnergy: 0,
-                    peakAmplitude: 0,
-                    sampleCount: 0,
-                    isLikelySilence: true
-                };
-            }
-
-            // Read PCM file in chunks to avoid memory issues with large files
-            const buffer = fs.readFileSync(pcmFilePath);
-            const maxSamplesToAnalyze = 48000; // Analyze max 1 second of audio
-            const bytesToRead = Math.min(buffer.length, maxSamplesToAnalyze * 2);
-
-            // PCM is 16-bit signed little endian, 2 channels (stereo)
-            let sumSquares = 0;
-            let maxAmplitude = 0;
-            let sampleCount = 0;
-
-            for (let i = 0; i < bytesToRead - 1; i += 2) {
-                const sample = buffer.readInt16LE(i) / 32768.0; // Normalize to -1.0 to 1.0
-                const amplitude = Math.abs(sample);
-
-                sumSquares += sample * sample;
-                maxAmplitude = Math.max(maxAmplitude, amplitude);
-                sampleCount++;
-            }
-
-            const rmsEnergy = sampleCount > 0 ? Math.sqrt(sumSquares / sampleCount) : 0;
-            const isLikelySilence = rmsEnergy < TRANSCRIPTION.MIN_AUDIO_ENERGY &&
-                                   maxAmplitude < TRANSCRIPTION.MIN_PEAK_AMPLITUDE;
-
-            logger.debug(`Audio quality analysis: RMS=${rmsEnergy.toFixed(4)}, Peak=${maxAmplitude.toFixed(4)}, Samples=${sampleCount}, Silence=${isLikelySilence}`);
-
-            return {
-                avgEnergy: rmsEnergy,
-                peakAmplitude: maxAmplitude,
-                sampleCount,
-                isLikelySilence
-            };
-
-        } catch (error) {
-            logger.error(`Failed to analyze audio quality for ${pcmFilePath}:`, error);
-            // Return permissive values on error so we don't skip potentially valid audio
-            return {
-                avgEnergy: TRANSCRIPTION.MIN_AUDIO_ENERGY + 0.01, // Just above threshold
-                peakAmplitude: TRANSCRIPTION.MIN_PEAK_AMPLITUDE + 0.01,
-                sampleCount: 0,
-                isLikelySilence: false
-            };
-        }
-    }
 }
 
 module.exports = new TranscriptionService();
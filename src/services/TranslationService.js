@@ -0,0 +1,233 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const transcriptStore = require('../utils/TranscriptStore');
+const transcriptionService = require('./TranscriptionService');
+const summarizationService = require('./SummarizationService');
+const { TRANSLATION, TRANSCRIPTION, ERROR_MESSAGES } = require('../constants');
+
+/**
+ * Translates saved transcripts, and optionally their summaries, into another
+ * language. Translations keep every speaker, timestamp and gap of the original
+ * and are stored next to it as transcript_<id>.<lang>.json / .md and
+ * <id>_summary_<type>.<lang>.md.
+ */
+class TranslationService {
+    constructor() {
+        this.groqApiKey = config.groq.apiKey;
+    }
+
+    isSupportedLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(TRANSCRIPTION.LANGUAGES, language);
+    }
+
+    /**
+     * Translate a transcript, reusing a saved translation if the transcript has not changed since
+     * @param {string} transcriptId - Transcript to translate
+     * @param {string} language - Key of TRANSCRIPTION.LANGUAGES
+     * @param {object} [options]
+     * @param {boolean} [options.includeSummaries] - Also translate the summaries generated so far
+     * @returns {Promise<{document: object, cached: boolean, summaries: string[]}>} - The translated
+     *   transcript and the summary types now available in the language
+     */
+    async translateTranscript(transcriptId, language, { includeSummaries = false } = {}) {
+        if (!this.groqApiKey) {
+            throw new Error(ERROR_MESSAGES.TRANSLATION.API_KEY_MISSING);
+        }
+        if (!this.isSupportedLanguage(language)) {
+            throw new Error(`${ERROR_MESSAGES.TRANSLATION.UNSUPPORTED_LANGUAGE}: ${language}`);
+        }
+
+        const transcript = transcriptStore.read(transcriptId);
+        if (!transcript) {
+            throw new Error(transcriptStore.exists(transcriptId)
+                ? ERROR_MESSAGES.TRANSLATION.NOT_AVAILABLE
+                : `Transcript not found: ${transcriptId}`);
+        }
+
+        let document = transcriptStore.read(transcriptId, language);
+        const cached = Boolean(document && document.translation && document.translation.sourceGeneratedAt === transcript.generatedAt);
+
+        if (!cached) {
+            document = await this.translateDocument(transcript, language);
+            transcriptStore.save(transcriptId, document, transcriptionService.formatTranscript(document).text, language);
+        }
+
+        const summaries = includeSummaries
+            ? await this.translateSummaries(transcriptId, language, transcript.guildId)
+            : summarizationService.getSummaryTypes(transcript.guildId).filter(type => summarizationService.summaryExists(transcriptId, type, language));
+
+        return { document, cached, summaries };
+    }
+
+    /**
+     * Copy of the transcript with every speech line translated. Lines go to the
+     * model numbered and in batches of MAX_CHUNK_CHARS, and come back matched by
+     * number; a line the model drops keeps its original text.
+     * @param {object} transcript - Canonical transcript
+     * @param {string} language - Target language code
+     * @returns {Promise<object>}
+     */
+    async translateDocument(transcript, language) {
+        const lines = transcript.segments
+            .map((segment, index) => ({ index, text: segment.type === 'speech' && !segment.error ? (segment.text || '').replace(/\s+/g, ' ').trim() : '' }))
+            .filter(line => line.text);
+
+        const translations = new Map();
+        const batches = this.batchLines(lines);
+
+        logger.info(`Translating transcript ${transcript.transcriptId} into ${TRANSCRIPTION.LANGUAGES[language]} (${lines.length} lines in ${batches.length} requests)`);
+
+        for (const batch of batches) {
+            const translated = await this.translateLines(batch, language);
+            translated.forEach((text, index) => translations.set(index, text));
+        }
+
+        const missing = lines.filter(line => !translations.has(line.index)).length;
+        if (missing > 0) {
+            logger.warn(`${missing} lines of transcript ${transcript.transcriptId} came back untranslated, keeping the original text`);
+        }
+
+        return {
+            ...transcript,
+            generatedAt: new Date().toISOString(),
+            languages: [language],
+            translation: {
+                language,
+                sourceLanguages: transcript.languages || [],
+                sourceGeneratedAt: transcript.generatedAt,
+                model: TRANSLATION.MODEL
+            },
+            segments: transcript.segments.map((segment, index) => {
+                if (!translations.has(index)) {
+                    return segment;
+                }
+                // Word timings belong to the original wording, so they are not carried over
+                return { ...segment, text: translations.get(index), language, sourceLanguage: segment.language, words: [] };
+            })
+        };
+    }
+
+    // Group lines so no request holds more than MAX_CHUNK_CHARS of text
+    batchLines(lines) {
+        const batches = [];
+        let current = [];
+        let size = 0;
+
+        for (const line of lines) {
+            if (current.length > 0 && size + line.text.length > TRANSLATION.MAX_CHUNK_CHARS) {
+                batches.push(current);
+                current = [];
+                size = 0;
+            }
+            current.push(line);
+            size += line.text.length;
+        }
+
+        if (current.length > 0) {
+            batches.push(current);
+        }
+        return batches;
+    }
+
+    /**
+     * @param {Array<{index: number, text: string}>} batch - Lines to translate
+     * @param {string} language - Target language code
+     * @returns {Promise<Map<number, string>>} - Translated text by line index
+     */
+    async translateLines(batch, language) {
+        const name = TRANSCRIPTION.LANGUAGES[language];
+        const systemPrompt = `You are a professional translator. Translate each numbered line of a voice conversation transcript into ${name}. ` +
+            'Reply with exactly one line per input line, in the form [number] translation, keeping the numbers unchanged. ' +
+            `Do not merge, split, add or drop lines and do not add any commentary. Keep names as they are, and leave lines that are already in ${name} unchanged.`;
+        const userPrompt = batch.map(line => `[${line.index}] ${line.text}`).join('\n');
+
+        const response = await this.requestCompletion(systemPrompt, userPrompt);
+        const translations = new Map();
+
+        for (const line of response.split('\n')) {
+            const match = line.trim().match(/^\[(\d+)\]\s*(.+)$/);
+            if (match && batch.some(item => item.index === Number(match[1]))) {
+                translations.set(Number(match[1]), match[2].trim());
+            }
+        }
+
+        return translations;
+    }
+
+    /**
+     * Translate every saved summary of a transcript, including those made from the guild's
+     * templates, unless it already has a translation made from the summary as it is now
+     * @returns {Promise<string[]>} - Summary types available in the language afterwards
+     */
+    async translateSummaries(transcriptId, language, guildId = null) {
+        const available = [];
+
+        for (const type of summarizationService.getSummaryTypes(guildId)) {
+            if (!summarizationService.summaryExists(transcriptId, type)) {
+                continue;
+            }
+
+            // A regenerated summary gets a new Generated time, which the translation records as its source
+            const source = summarizationService.getSummary(transcriptId, type).content;
+            const sourceGeneratedAt = this.readHeader(source, 'Generated');
+            const current = summarizationService.summaryExists(transcriptId, type, language) &&
+                this.readHeader(summarizationService.getSummary(transcriptId, type, language).content, 'Source Generated') === sourceGeneratedAt;
+
+            if (!current) {
+                const original = summarizationService.extractSummaryText(source);
+                const translated = await this.requestCompletion(
+                    `You are a professional translator. Translate the following Markdown summary into ${TRANSCRIPTION.LANGUAGES[language]}. ` +
+                        'Keep the Markdown formatting, names and numbers exactly as they are, and reply with the translation only.',
+                    original
+                );
+
+                fs.writeFileSync(summarizationService.getSummaryPath(transcriptId, type, language), this.formatTranslatedSummary(translated, type, language, sourceGeneratedAt), 'utf8');
+                logger.info(`Translated ${type} summary of ${transcriptId} into ${language}`);
+            }
+
+            available.push(type);
+        }
+
+        return available;
+    }
+
+    // Same layout as summarizationService.formatSummary so the viewer and exports read it the same way
+    formatTranslatedSummary(text, type, language, sourceGeneratedAt) {
+        return [
+            `# ${type.charAt(0).toUpperCase() + type.slice(1)} Summary`,
+            '',
+            `**Generated:** ${new Date().toISOString()}`,
+            `**Source Generated:** ${sourceGeneratedAt}`,
+            `**Type:** ${type}`,
+            `**Language:** ${TRANSCRIPTION.LANGUAGES[language]} (translated)`,
+            '',
+            '---',
+            '',
+            text.trim(),
+            '',
+            '---',
+            '',
+            `*Translated with ${TRANSLATION.MODEL}*`
+        ].join('\n');
+    }
+
+    // Value of a "**Name:** value" header line of a summary file, or null
+    readHeader(content, name) {
+        const match = content.match(new RegExp(`^\\*\\*${name}:\\*\\* (.+)$`, 'm'));
+        return match ? match[1].trim() : null;
+    }
+
+    // Groq chat request with translation's model and limits
+    async requestCompletion(systemPrompt, userPrompt) {
+        const result = await summarizationService.requestCompletion(systemPrompt, userPrompt, TRANSLATION.MAX_TOKENS, {
+            model: TRANSLATION.MODEL,
+            temperature: TRANSLATION.TEMPERATURE,
+            timeoutMs: TRANSLATION.API_TIMEOUT_MS,
+            errors: ERROR_MESSAGES.TRANSLATION
+        });
+        return result.text;
+    }
+}
+
+module.exports = new TranslationService();
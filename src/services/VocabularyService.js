@@ -0,0 +1,150 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/JsonStore');
+const guildSettingsService = require('./GuildSettingsService');
+const { VOCABULARY } = require('../constants');
+
+/**
+ * Persistent per-guild glossary of product names, codenames and nicknames.
+ * Terms are sent to Whisper as a prompt so it spells them right, and their
+ * misheard spellings can be replaced in the finished transcript.
+ * Stored as { [guildId]: { [lowercased term]: { term, replacements, addedBy, addedAt } } }.
+ */
+class VocabularyService {
+    constructor() {
+        this.store = new JsonStore(VOCABULARY.STORE_FILENAME);
+        this.vocabulary = this.store.read();
+    }
+
+    getTerms(guildId) {
+        return Object.values(this.vocabulary[guildId] || {})
+            .sort((a, b) => a.term.localeCompare(b.term));
+    }
+
+    /**
+     * Add a term to a guild's glossary, or update the misheard spellings of one already there
+     * @param {string} guildId - Guild the glossary belongs to
+     * @param {string} term - Term as it should be spelled
+     * @param {string[]} replacements - Misheard spellings to replace with the term
+     * @param {string} userId - Member adding it
+     * @returns {{entry: object, created: boolean}}
+     */
+    add(guildId, term, replacements = [], userId = null) {
+        const key = term.toLowerCase();
+        const existing = this.vocabulary[guildId] && this.vocabulary[guildId][key];
+
+        if (!existing && this.getTerms(guildId).length >= VOCABULARY.MAX_TERMS) {
+            throw new Error(`The glossary is full (${VOCABULARY.MAX_TERMS} terms). Remove a term first.`);
+        }
+
+        const entry = {
+            term,
+            replacements: [...new Set(replacements.filter(replacement => replacement.toLowerCase() !== key))]
+                .slice(0, VOCABULARY.MAX_REPLACEMENTS),
+            addedBy: existing ? existing.addedBy : userId,
+            addedAt: existing ? existing.addedAt : new Date().toISOString()
+        };
+
+        this.vocabulary[guildId] = this.vocabulary[guildId] || {};
+        this.vocabulary[guildId][key] = entry;
+        this.store.write(this.vocabulary);
+        logger.info(`${existing ? 'Updated' : 'Added'} vocabulary term "${term}" in guild ${guildId}`);
+
+        return { entry, created: !existing };
+    }
+
+    /**
+     * @param {string} guildId - Guild the glossary belongs to
+     * @param {string} term - Term to remove, in any case
+     * @returns {boolean} - False if the term was not in the glossary
+     */
+    remove(guildId, term) {
+        const key = term.toLowerCase();
+        if (!this.vocabulary[guildId] || !this.vocabulary[guildId][key]) {
+            return false;
+        }
+
+        delete this.vocabulary[guildId][key];
+        if (Object.keys(this.vocabulary[guildId]).length === 0) {
+            delete this.vocabulary[guildId];
+        }
+        this.store.write(this.vocabulary);
+        logger.info(`Removed vocabulary term "${term}" from guild ${guildId}`);
+        return true;
+    }
+
+    // The guild's /settings choice, otherwise TRANSCRIPTION_VOCABULARY_CORRECTIONS
+    isCorrectionEnabled(guildId) {
+        const requested = guildId ? guildSettingsService.get(guildId).vocabularyCorrections : undefined;
+        return requested !== undefined ? requested : config.transcription.vocabularyCorrections;
+    }
+
+    /**
+     * Prompt telling Whisper which names and terms to expect. Speakers come first
+     * and glossary terms are dropped from the end once the prompt is full.
+     * @param {string} guildId - Guild whose glossary to use
+     * @param {string[]} speakerNames - Display names of the people in the recording
+     * @returns {string|null} - Null when there is nothing to prompt with
+     */
+    buildPrompt(guildId, speakerNames = []) {
+        const speakers = [...new Set(speakerNames.filter(Boolean))];
+        const terms = guildId ? this.getTerms(guildId).map(entry => entry.term) : [];
+        const sentences = [];
+
+        if (speakers.length > 0) {
+            sentences.push(`Speakers: ${speakers.join(', ')}.`);
+        }
+
+        const fitting = [];
+        for (const term of terms) {
+            const candidate = [...sentences, `Glossary: ${[...fitting, term].join(', ')}.`].join(' ');
+            if (candidate.length > VOCABULARY.PROMPT_MAX_CHARS) {
+                logger.warn(`Transcription prompt for guild ${guildId} is full, leaving out ${terms.length - fitting.length} glossary terms`);
+                break;
+            }
+            fitting.push(term);
+        }
+        if (fitting.length > 0) {
+            sentences.push(`Glossary: ${fitting.join(', ')}.`);
+        }
+
+        const prompt = sentences.join(' ').slice(0, VOCABULARY.PROMPT_MAX_CHARS);
+        return prompt || null;
+    }
+
+    /**
+     * Replacements to run over a guild's transcripts, longest spelling first so
+     * "kube flow" is replaced before "kube"
+     * @param {string} guildId - Guild whose glossary to use
+     * @returns {Array<{pattern: RegExp, term: string}>} - Empty when corrections are off
+     */
+    getCorrections(guildId) {
+        if (!guildId || !this.isCorrectionEnabled(guildId)) {
+            return [];
+        }
+
+        return this.getTerms(guildId)
+            .flatMap(entry => [entry.term, ...entry.replacements].map(spelling => ({ spelling, term: entry.term })))
+            .sort((a, b) => b.spelling.length - a.spelling.length)
+            .map(({ spelling, term }) => ({
+                // Whole words only, in any script
+                pattern: new RegExp(`(?<![\\p{L}\\p{N}])${spelling.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu'),
+                term
+            }));
+    }
+
+    /**
+     * Replace every spelling of each glossary term, in any case, with the term
+     * @param {string} text - Transcribed text
+     * @param {Array<{pattern: RegExp, term: string}>} corrections - From getCorrections
+     * @returns {string}
+     */
+    applyCorrections(text, corrections) {
+        if (!text || corrections.length === 0) {
+            return text;
+        }
+        return corrections.reduce((corrected, { pattern, term }) => corrected.replace(pattern, () => term), text);
+    }
+}
+
+module.exports = new VocabularyService();
@@ -0,0 +1,22 @@
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const { TRANSCRIPTION } = require('../../constants');
+
+/**
+ * Groq's hosted Whisper, which speaks the OpenAI transcription API
+ */
+class GroqProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey }) {
+        super({
+            name: 'groq',
+            baseUrl: TRANSCRIPTION.GROQ_BASE_URL,
+            apiKey,
+            model: TRANSCRIPTION.DEFAULT_MODEL
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const FormData = require('form-data');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { TranscriptionError } = require('../../utils/errors');
+const { TRANSCRIPTION, ERROR_MESSAGES } = require('../../constants');
+
+/**
+ * Transcribes through any server implementing OpenAI's POST /audio/transcriptions,
+ * e.g. OpenAI itself or a self-hosted faster-whisper server.
+ */
+class OpenAICompatibleProvider {
+    /**
+     * @param {object} options - Provider settings
+     * @param {string} options.name - Key of TRANSCRIPTION.PROVIDERS
+     * @param {string} options.baseUrl - API root, e.g. https://api.openai.com/v1
+     * @param {string} options.apiKey - Sent as a bearer token when set
+     * @param {string} options.model - Model name sent with each request, if any
+     * @param {number} options.timeoutMs - Request timeout
+     * @param {number} options.maxFileSizeBytes - Largest upload the API accepts
+     */
+    constructor({ name = 'openai', baseUrl, apiKey, model, timeoutMs = TRANSCRIPTION.API_TIMEOUT_MS, maxFileSizeBytes = null }) {
+        this.name = name;
+        this.label = TRANSCRIPTION.PROVIDERS[name].label;
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+        this.maxFileSizeBytes = maxFileSizeBytes || TRANSCRIPTION.PROVIDERS[name].maxFileSizeBytes;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    getEndpoint() {
+        return `${this.baseUrl}/audio/transcriptions`;
+    }
+
+    // Leaving the language out makes the API detect it
+    shouldSendLanguage(language) {
+        return language !== TRANSCRIPTION.AUTO_LANGUAGE;
+    }
+
+    buildForm(audioFilePath, { language = TRANSCRIPTION.DEFAULT_LANGUAGE, prompt = null } = {}) {
+        const formData = new FormData();
+        formData.append('file', fs.createReadStream(audioFilePath));
+        if (this.model) {
+            formData.append('model', this.model);
+        }
+        if (this.shouldSendLanguage(language)) {
+            formData.append('language', language);
+        }
+        if (prompt) {
+            formData.append('prompt', prompt);
+        }
+        formData.append('response_format', TRANSCRIPTION.RESPONSE_FORMAT);
+        formData.append('timestamp_granularities[]', 'word');
+        formData.append('timestamp_granularities[]', 'segment');
+        return formData;
+    }
+
+    /**
+     * @param {string} audioFilePath - 16kHz mono WAV to transcribe
+     * @param {object} [options]
+     * @param {string} [options.language] - Spoken language code, or 'auto' to detect it
+     * @param {string} [options.prompt] - Names and terms the audio is likely to contain
+     * @returns {Promise<object>} - { text, language, segments, words } with verbose_json segments
+     *   and words as { word, start, end, probability } in seconds from the start of the file
+     */
+    async transcribe(audioFilePath, options = {}) {
+        const formData = this.buildForm(audioFilePath, options);
+        const headers = formData.getHeaders();
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        try {
+            const response = await axios.post(this.getEndpoint(), formData, {
+                headers,
+                timeout: this.timeoutMs
+            });
+
+            const segments = response.data.segments || [];
+            // OpenAI and Groq list words at the top level; whisper.cpp nests them in each segment
+            const words = response.data.words || segments.flatMap(segment => segment.words || []);
+
+            return {
+                text: response.data.text,
+                language: response.data.language,
+                segments,
+                words: words.map(word => ({
+                    word: word.word.trim(),
+                    start: word.start,
+                    end: word.end,
+                    probability: word.probability ?? null
+                }))
+            };
+
+        } catch (error) {
+            throw this.toTranscriptionError(error);
+        }
+    }
+
+    /**
+     * Wrap an axios failure, noting whether it is worth retrying and for how long the server asked us to wait
+     * @param {Error} error - Error thrown by axios
+     * @returns {TranscriptionError}
+     */
+    toTranscriptionError(error) {
+        if (error.response) {
+            const { status } = error.response;
+            logger.error(`${this.label} error: ${status} - ${error.response.data?.error?.message || 'Unknown error'}`);
+            return new TranscriptionError(`${ERROR_MESSAGES.TRANSCRIPTION.API_ERROR}: ${status}`, 'API_ERROR', {
+                status,
+                retryable: status === 408 || status === 429 || status >= 500,
+                retryAfterMs: this.parseRetryAfter(error.response.headers && error.response.headers['retry-after'])
+            });
+        } else if (error.code === 'ECONNABORTED') {
+            return new TranscriptionError(ERROR_MESSAGES.TRANSCRIPTION.API_TIMEOUT, 'API_TIMEOUT', { retryable: true });
+        } else {
+            return new TranscriptionError(`${ERROR_MESSAGES.TRANSCRIPTION.NETWORK_ERROR}: ${error.message}`, 'NETWORK_ERROR', { retryable: true });
+        }
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,37 @@
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const { TRANSCRIPTION } = require('../../constants');
+
+/**
+ * A whisper.cpp server (or anything taking the same multipart form) on the
+ * local network, for audio that must not leave the premises. The model is
+ * whatever the server was started with, so none is sent.
+ */
+class WhisperServerProvider extends OpenAICompatibleProvider {
+    /**
+     * @param {object} options - Provider settings
+     * @param {string} options.url - Server root, e.g. http://whisper:8080
+     * @param {string} options.inferencePath - Endpoint path; /inference for whisper.cpp
+     * @param {number} options.timeoutMs - Request timeout; CPU inference is slow
+     * @param {number} options.maxFileSizeBytes - Largest upload the server accepts
+     */
+    constructor({ url, inferencePath, timeoutMs, maxFileSizeBytes }) {
+        super({
+            name: 'whisper_server',
+            baseUrl: url,
+            timeoutMs: timeoutMs || TRANSCRIPTION.LOCAL_API_TIMEOUT_MS,
+            maxFileSizeBytes
+        });
+        this.inferencePath = inferencePath || TRANSCRIPTION.WHISPER_SERVER_INFERENCE_PATH;
+    }
+
+    getEndpoint() {
+        return `${this.baseUrl}${this.inferencePath}`;
+    }
+
+    // whisper.cpp takes 'auto' as a language itself
+    shouldSendLanguage() {
+        return true;
+    }
+}
+
+module.exports = WhisperServerProvider;
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * A JSON file under config.paths.data holding persistent bot state.
+ * Writes go through a temp file and a rename so a crash never leaves a truncated file.
+ */
+class JsonStore {
+    constructor(filename) {
+        this.filePath = path.join(config.paths.data, filename);
+    }
+
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read ${this.filePath}:`, error);
+            return {};
+        }
+    }
+
+    write(data) {
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logger.error(`Failed to write ${this.filePath}:`, error);
+        }
+    }
+}
+
+module.exports = JsonStore;
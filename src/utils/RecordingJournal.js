@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { RECORDING } = require('../constants');
+
+/**
+ * On-disk journal of an in-progress recording, kept next to its PCM files in the
+ * session temp directory so a crashed session can be finalized on the next boot.
+ *
+ * Status lifecycle: recording -> stopped -> (journal removed when processed).
+ * Recovery moves unfinished journals to recovering, and to failed if that fails.
+ * A journal still recovering at startup was interrupted mid-recovery, so it is
+ * picked up again and kept safe from cleanup like any other unfinished one.
+ */
+class RecordingJournal {
+    constructor() {
+        this.unfinishedStatuses = ['recording', 'stopped', 'recovering'];
+    }
+
+    getJournalPath(tempDir) {
+        return path.join(tempDir, RECORDING.JOURNAL_FILENAME);
+    }
+
+    /**
+     * Write the current state of a live recording session
+     * @param {object} recordingSession - Session from VoiceRecorder.activeRecordings
+     * @param {string} status - Journal status to record
+     */
+    write(recordingSession, status = 'recording') {
+        const journal = {
+            status,
+            sessionId: recordingSession.sessionId,
+            guildId: recordingSession.guildId,
+            voiceChannelId: recordingSession.voiceChannelId,
+            textChannelId: recordingSession.textChannelId,
+            startTime: recordingSession.startTime,
+            tempDir: recordingSession.tempDir,
+            outputFile: recordingSession.outputFile,
+            outputProfile: recordingSession.outputProfile,
+            participants: Array.from(recordingSession.participants.entries())
+                .map(([userId, info]) => ({ userId, ...info })),
+            speechSegments: recordingSession.speechSegments,
+            openSegments: Array.from(recordingSession.currentSpeechSegments.values())
+                .map(segment => ({
+                    segmentId: segment.segmentId,
+                    userId: segment.userId,
+                    username: segment.username,
+                    displayName: segment.displayName,
+                    startTimestamp: segment.startTimestamp,
+                    filename: segment.filename
+                })),
+            pauses: recordingSession.pauses,
+            outages: recordingSession.outages,
+            excludedUsers: Array.from(recordingSession.excludedUsers),
+            multitrackFormat: recordingSession.multitrackFormat,
+            updatedAt: Date.now()
+        };
+
+        this.save(recordingSession.tempDir, journal);
+    }
+
+    save(tempDir, journal) {
+        const journalPath = this.getJournalPath(tempDir);
+        const tempPath = `${journalPath}.tmp`;
+
+        try {
+            // Write-then-rename so a crash mid-write never leaves a truncated journal
+            fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+            fs.renameSync(tempPath, journalPath);
+        } catch (error) {
+            logger.error(`Failed to write recording journal ${journalPath}:`, error);
+        }
+    }
+
+    read(tempDir) {
+        const journalPath = this.getJournalPath(tempDir);
+
+        if (!fs.existsSync(journalPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read recording journal ${journalPath}:`, error);
+            return null;
+        }
+    }
+
+    setStatus(tempDir, status) {
+        const journal = this.read(tempDir);
+        if (journal) {
+            this.save(tempDir, { ...journal, status, updatedAt: Date.now() });
+        }
+    }
+
+    /**
+     * Remove the journal once a recording has been fully processed
+     * @param {string} tempDir - Session temp directory
+     */
+    finish(tempDir) {
+        const journalPath = this.getJournalPath(tempDir);
+
+        try {
+            if (fs.existsSync(journalPath)) {
+                fs.unlinkSync(journalPath);
+            }
+            if (fs.existsSync(tempDir) && fs.readdirSync(tempDir).length === 0) {
+                fs.rmdirSync(tempDir);
+            }
+        } catch (error) {
+            logger.error(`Failed to remove recording journal ${journalPath}:`, error);
+        }
+    }
+
+    isUnfinished(tempDir) {
+        const journal = this.read(tempDir);
+        return Boolean(journal && this.unfinishedStatuses.includes(journal.status));
+    }
+
+    /**
+     * Find journals of sessions that were interrupted before being processed.
+     * Only meaningful at startup, before any new recording has begun.
+     * @returns {object[]} - Unfinished journals, oldest first
+     */
+    findUnfinished() {
+        if (!fs.existsSync(config.paths.temp)) {
+            return [];
+        }
+
+        return fs.readdirSync(config.paths.temp, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => path.join(config.paths.temp, entry.name))
+            .map(tempDir => this.read(tempDir))
+            .filter(journal => journal && this.unfinishedStatuses.includes(journal.status))
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+}
+
+module.exports = new RecordingJournal();
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { RECORDING_METADATA } = require('../constants');
+
+/**
+ * Facts about a finished recording (output profile, loudness, processing stats)
+ * kept in <recordingId>_metadata.json next to the recording itself.
+ */
+class RecordingMetadata {
+    getPath(recordingId) {
+        return path.join(config.paths.recordings, `${recordingId}${RECORDING_METADATA.FILE_SUFFIX}`);
+    }
+
+    read(recordingId) {
+        const metadataPath = this.getPath(recordingId);
+
+        if (!fs.existsSync(metadataPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read recording metadata ${metadataPath}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Merge fields into a recording's metadata, creating the file if needed
+     * @param {string} recordingId - Recording the metadata belongs to
+     * @param {object} fields - Top-level fields to set
+     * @returns {object} - The full metadata after the update
+     */
+    update(recordingId, fields) {
+        const metadata = {
+            recordingId,
+            ...(this.read(recordingId) || {}),
+            ...fields,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.writeFileSync(this.getPath(recordingId), JSON.stringify(metadata, null, 2));
+        } catch (error) {
+            logger.error(`Failed to write recording metadata for ${recordingId}:`, error);
+        }
+
+        return metadata;
+    }
+}
+
+module.exports = new RecordingMetadata();
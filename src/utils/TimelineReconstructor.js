@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const logger = require('./logger');
+const { MASTERING } = require('../constants');
 
 class TimelineReconstructor {
     constructor() {
@@ -9,7 +10,7 @@ class TimelineReconstructor {
         this.validFormats = ['.pcm', '.wav', '.mp3'];
     }
 
-    async reconstructTimeline(speechSegments, outputPath) {
+    async reconstructTimeline(speechSegments, outputPath, options = {}) {
         if (!speechSegments || speechSegments.length === 0) {
             throw new Error('No speech segments provided for timeline reconstruction');
         }
@@ -29,7 +30,7 @@ class TimelineReconstructor {
         const timeline = this.createTimelineWithSilence(sortedSegments);
 
         // Generate the mixed audio file
-        await this.generateMixedAudio(timeline, outputPath);
+        await this.generateMixedAudio(timeline, outputPath, options);
 
         return {
             outputPath,
@@ -72,14 +73,14 @@ class TimelineReconstructor {
         return timeline;
     }
 
-    async generateMixedAudio(timeline, outputPath) {
+    async generateMixedAudio(timeline, outputPath, options = {}) {
         // Create a temporary script for FFmpeg complex filter
         const tempDir = path.dirname(outputPath);
         const scriptPath = path.join(tempDir, 'ffmpeg_script.txt');
 
         try {
             // Build FFmpeg input list and filter complex
-            const { inputs, filterComplex } = this.buildFFmpegCommand(timeline);
+            const { inputs, filterComplex } = this.buildFFmpegCommand(timeline, options);
 
             // Write filter complex to file for complex operations
             fs.writeFileSync(scriptPath, filterComplex);
@@ -151,11 +152,14 @@ class TimelineReconstructor {
         }
     }
 
-    buildFFmpegCommand(timeline) {
+    buildFFmpegCommand(timeline, { mastering = false } = {}) {
         const inputs = [];
         const filterChain = [];
         let inputIndex = 0;
 
+        // With mastering, each speech segment (always a single speaker) is loudness-normalized
+        const speechFilter = mastering ? `${MASTERING.SPEAKER_FILTER},` : '';
+
         for (const event of timeline) {
             if (event.type === 'speech') {
                 // Convert PCM to audio format for FFmpeg
@@ -167,9 +171,9 @@ class TimelineReconstructor {
 
                 // Add format conversion for PCM files
                 if (event.segment.filename.endsWith('.pcm')) {
-                    filterChain.push(`[${inputIndex}:a]aformat=sample_fmts=s16:sample_rates=48000:channel_layouts=mono[audio${inputIndex}]`);
+                    filterChain.push(`[${inputIndex}:a]${speechFilter}aformat=sample_fmts=s16:sample_rates=48000:channel_layouts=mono[audio${inputIndex}]`);
                 } else {
-                    filterChain.push(`[${inputIndex}:a]aformat=sample_fmts=s16:sample_rates=48000:channel_layouts=mono[audio${inputIndex}]`);
+                    filterChain.push(`[${inputIndex}:a]${speechFilter}aformat=sample_fmts=s16:sample_rates=48000:channel_layouts=mono[audio${inputIndex}]`);
                 }
 
                 inputIndex++;
@@ -189,7 +193,8 @@ class TimelineReconstructor {
 
         // Concatenate all audio streams
         const audioStreams = Array.from({length: inputIndex}, (_, i) => `[audio${i}]`).join('');
-        filterChain.push(`${audioStreams}concat=n=${inputIndex}:v=0:a=1[mixed]`);
+        const busFilter = mastering ? `,${MASTERING.BUS_FILTER}` : '';
+        filterChain.push(`${audioStreams}concat=n=${inputIndex}:v=0:a=1${busFilter}[mixed]`);
 
         return {
             inputs,
@@ -216,11 +221,13 @@ class TimelineReconstructor {
         }
 
         try {
-            const mixedAudioPath = recordingResult.outputFile.replace('.mp3', '_mixed_timeline.mp3');
+            const outputExtension = path.extname(recordingResult.outputFile);
+            const mixedAudioPath = `${recordingResult.outputFile.slice(0, -outputExtension.length)}_mixed_timeline.mp3`;
 
             const reconstructionResult = await this.reconstructTimeline(
                 recordingResult.speechSegments,
-                mixedAudioPath
+                mixedAudioPath,
+                { mastering: Boolean(recordingResult.outputProfile && recordingResult.outputProfile.mastering) }
             );
 
             return {
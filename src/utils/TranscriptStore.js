@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { COMMANDS } = require('../constants');
+
+/**
+ * Transcripts on disk. transcript_<id>.json is the canonical transcript that
+ * everything reads from; transcript_<id>.md is rendered from it for downloads
+ * and the viewer. Transcripts made before the JSON existed only have the .md.
+ * Translations sit next to the original as transcript_<id>.<lang>.json / .md.
+ */
+class TranscriptStore {
+    getBaseName(transcriptId, language = null) {
+        return `${COMMANDS.TRANSCRIPT_FILE_PREFIX}${transcriptId}${language ? `.${language}` : ''}`;
+    }
+
+    getJsonPath(transcriptId, language = null) {
+        return path.join(config.paths.recordings, `${this.getBaseName(transcriptId, language)}.json`);
+    }
+
+    getMarkdownPath(transcriptId, language = null) {
+        return path.join(config.paths.recordings, `${this.getBaseName(transcriptId, language)}.md`);
+    }
+
+    exists(transcriptId, language = null) {
+        return fs.existsSync(this.getJsonPath(transcriptId, language)) || fs.existsSync(this.getMarkdownPath(transcriptId, language));
+    }
+
+    /**
+     * @returns {Array<{id: string, created: Date}>} - Every original transcript on disk, newest first
+     */
+    list() {
+        if (!fs.existsSync(config.paths.recordings)) {
+            return [];
+        }
+
+        return fs.readdirSync(config.paths.recordings)
+            .filter(file => file.startsWith(COMMANDS.TRANSCRIPT_FILE_PREFIX) && file.endsWith('.md'))
+            .map(file => ({
+                id: file.slice(COMMANDS.TRANSCRIPT_FILE_PREFIX.length, -'.md'.length),
+                created: fs.statSync(path.join(config.paths.recordings, file)).ctime
+            }))
+            .filter(transcript => !transcript.id.includes('.')) // Translations
+            .sort((a, b) => b.created - a.created);
+    }
+
+    /**
+     * @param {string} transcriptId - Transcript to read
+     * @param {string} [language] - Read this translation instead of the original
+     * @returns {object|null} - The canonical transcript, or null if there is none
+     */
+    read(transcriptId, language = null) {
+        const jsonPath = this.getJsonPath(transcriptId, language);
+
+        if (!fs.existsSync(jsonPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read transcript ${jsonPath}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write the canonical transcript and its Markdown rendering
+     * @param {string} transcriptId - Transcript being saved
+     * @param {object} transcript - Canonical transcript from transcriptionService.buildTranscriptDocument
+     * @param {string} markdown - Markdown rendered from it
+     * @param {string} [language] - Save as this translation of the transcript
+     */
+    save(transcriptId, transcript, markdown, language = null) {
+        fs.writeFileSync(this.getJsonPath(transcriptId, language), JSON.stringify(transcript, null, 2));
+        fs.writeFileSync(this.getMarkdownPath(transcriptId, language), markdown);
+        logger.info(`Saved transcript ${this.getBaseName(transcriptId, language)} (${transcript.segments.length} entries)`);
+    }
+
+    /**
+     * Speaker-labelled lines for the summarizer and title generator
+     * @param {string} transcriptId - Transcript to read
+     * @param {object} [options]
+     * @param {boolean} [options.timestamps] - Start each line with its [H:MM:SS] time into the recording;
+     *   transcripts saved before the JSON existed have no times to add
+     * @returns {string} - "Speaker: text" per line, empty if the transcript has no speech
+     */
+    getConversationText(transcriptId, options = {}) {
+        const transcript = this.read(transcriptId);
+        if (transcript) {
+            return this.toConversationText(transcript, options);
+        }
+
+        const markdownPath = this.getMarkdownPath(transcriptId);
+        if (!fs.existsSync(markdownPath)) {
+            throw new Error(`Transcript not found: ${transcriptId}`);
+        }
+
+        return this.parseMarkdownConversation(fs.readFileSync(markdownPath, 'utf8'));
+    }
+
+    toConversationText(transcript, { timestamps = false } = {}) {
+        return this.toConversationLines(transcript)
+            .map(line => `${timestamps ? `[${this.formatOffset(line.startMs)}] ` : ''}${line.speaker}: ${line.text}`)
+            .join('\n');
+    }
+
+    /**
+     * The transcribed speech of a transcript, one entry per line of toConversationText
+     * @param {object} transcript - Canonical transcript
+     * @returns {Array<{speaker: string, text: string, startMs: number, endMs: number}>}
+     */
+    toConversationLines(transcript) {
+        return transcript.segments
+            .filter(segment => segment.type === 'speech' && !segment.error && segment.text.trim())
+            .map(segment => ({ speaker: segment.speaker, text: segment.text.trim(), startMs: segment.startMs, endMs: segment.endMs }));
+    }
+
+    // Time into the recording as H:MM:SS
+    formatOffset(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${Math.floor(totalSeconds / 3600)}:${minutes}:${seconds}`;
+    }
+
+    // Transcripts written before the JSON existed: pull speakers and text back out of the Markdown
+    parseMarkdownConversation(transcriptContent) {
+        const lines = transcriptContent.split('\n');
+        const conversationLines = [];
+        let inConversation = false;
+        let speaker = null;
+
+        for (const line of lines) {
+            // Start collecting after the separator line
+            if (line.trim() === '---') {
+                inConversation = true;
+                continue;
+            }
+
+            if (inConversation && line.trim()) {
+                if (line.startsWith('**[')) {
+                    const speakerMatch = line.match(/^\*\*\[.*?\]\s*(.+?)(?:\s*\([\d.]+%\))?:\*\*$/);
+                    speaker = speakerMatch ? speakerMatch[1] : null;
+                } else if (!line.startsWith('**') && !line.startsWith('#') && !line.startsWith('*')) {
+                    // This is the actual speech content
+                    conversationLines.push(speaker ? `${speaker}: ${line.trim()}` : line.trim());
+                }
+            }
+        }
+
+        return conversationLines.join('\n');
+    }
+}
+
+module.exports = new TranscriptStore();
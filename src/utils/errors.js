@@ -34,11 +34,11 @@ function getUserFriendlyMessage(error) {
             case 'API_KEY_MISSING':
                 return '❌ Transcription service not configured properly. Please contact an administrator.';
             case 'FILE_TOO_LARGE':
-                return '❌ Audio file too large for transcription (maximum 100MB).';
+                return '❌ Audio file too large for the transcription provider.';
             case 'FILE_TOO_SMALL':
                 return '⚠️ Audio segment too small to transcribe (likely silence).';
-            case 'LOW_AUDIO_ENERGY':
-                return '⚠️ Audio quality too low for transcription (likely background noise).';
+            case 'NO_SPEECH_DETECTED':
+                return '⚠️ No speech detected in the audio after noise suppression.';
             case 'API_TIMEOUT':
                 return '⏱️ Transcription request timed out. Please try again.';
             case 'API_ERROR':
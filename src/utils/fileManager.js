@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('./logger');
+const recordingJournal = require('./RecordingJournal');
+const { MULTITRACK, AUDIO_OUTPUT, TRANSCRIPT_EXPORT } = require('../constants');
 
 class FileManager {
     constructor() {
@@ -30,7 +32,7 @@ class FileManager {
     async getLatestRecording() {
         try {
             const files = fs.readdirSync(this.recordingsDir)
-                .filter(file => file.endsWith('.mp3'))
+                .filter(file => this.isRecordingFile(file))
                 .map(file => {
                     const filePath = path.join(this.recordingsDir, file);
                     const stats = fs.statSync(filePath);
@@ -53,7 +55,7 @@ class FileManager {
     async getAllRecordings() {
         try {
             return fs.readdirSync(this.recordingsDir)
-                .filter(file => file.endsWith('.mp3'))
+                .filter(file => this.isRecordingFile(file))
                 .map(file => {
                     const filePath = path.join(this.recordingsDir, file);
                     const stats = fs.statSync(filePath);
@@ -86,6 +88,18 @@ class FileManager {
                 }
             }
 
+            // Per-speaker track archives follow the same retention as the recordings
+            const trackArchives = fs.readdirSync(this.recordingsDir)
+                .filter(file => file.endsWith(MULTITRACK.ARCHIVE_SUFFIX));
+            for (const file of trackArchives) {
+                const filePath = path.join(this.recordingsDir, file);
+                if (now - fs.statSync(filePath).birthtime.getTime() > maxAge) {
+                    fs.unlinkSync(filePath);
+                    logger.info(`Deleted old track archive: ${file}`);
+                    deletedCount++;
+                }
+            }
+
             // Clean up temp directory
             if (fs.existsSync(this.tempDir)) {
                 const tempFiles = fs.readdirSync(this.tempDir);
@@ -94,6 +108,12 @@ class FileManager {
                     try {
                         const stats = fs.statSync(filePath);
                         if (now - stats.birthtime.getTime() > maxAge) {
+                            // Keep interrupted sessions until they have been recovered
+                            if (stats.isDirectory() && recordingJournal.isUnfinished(filePath)) {
+                                logger.info(`Keeping unrecovered recording session: ${file}`);
+                                continue;
+                            }
+
                             if (stats.isDirectory()) {
                                 // Recursively delete directory and its contents
                                 fs.rmSync(filePath, { recursive: true, force: true });
@@ -133,9 +153,9 @@ class FileManager {
         this.deleteOldFiles();
     }
 
-    getDiskUsage() {
+    async getDiskUsage() {
         try {
-            const recordings = this.getAllRecordings();
+            const recordings = await this.getAllRecordings();
             const totalSize = recordings.reduce((sum, file) => sum + file.size, 0);
 
             return {
@@ -156,6 +176,67 @@ class FileManager {
     fileExists(filename) {
         return fs.existsSync(path.join(this.recordingsDir, filename));
     }
+
+    // Mixed recordings in any of the supported output formats
+    isRecordingFile(filename) {
+        const extension = path.extname(filename).slice(1).toLowerCase();
+        return Object.values(AUDIO_OUTPUT.FORMATS).some(format => format.extension === extension);
+    }
+
+    // recording_<guild>_<time>.<ext> -> recording_<guild>_<time>, as used by transcripts and summaries
+    getRecordingId(filename) {
+        return path.basename(filename, path.extname(filename));
+    }
+
+    findRecordingFile(recordingId) {
+        if (!fs.existsSync(this.recordingsDir)) {
+            return null;
+        }
+
+        return fs.readdirSync(this.recordingsDir)
+            .find(file => this.isRecordingFile(file) && this.getRecordingId(file) === recordingId) || null;
+    }
+
+    getContentType(filename) {
+        const extension = path.extname(filename).slice(1).toLowerCase();
+        const audioFormat = Object.values(AUDIO_OUTPUT.FORMATS).find(format => format.extension === extension);
+        if (audioFormat) {
+            return audioFormat.contentType;
+        }
+
+        const exportFormat = Object.values(TRANSCRIPT_EXPORT.FORMATS).find(format => format.extension === extension);
+        if (exportFormat) {
+            return exportFormat.contentType;
+        }
+
+        const contentTypes = {
+            zip: 'application/zip',
+            md: 'text/markdown; charset=utf-8',
+            json: 'application/json'
+        };
+        return contentTypes[extension] || 'application/octet-stream';
+    }
+
+    getTracksArchiveName(recordingName) {
+        return `${this.getRecordingId(recordingName)}${MULTITRACK.ARCHIVE_SUFFIX}`;
+    }
+
+    // Zip of per-speaker tracks exported for a recording, if there is one
+    getTracksArchive(recordingName) {
+        const name = this.getTracksArchiveName(recordingName);
+        const filePath = this.getFilePath(name);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        const stats = fs.statSync(filePath);
+        return {
+            name,
+            path: filePath,
+            size: stats.size,
+            created: stats.birthtime
+        };
+    }
 }
 
 module.exports = new FileManager();